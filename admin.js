@@ -0,0 +1,527 @@
+// Zero Hunger Website - Coordinator Dashboard (admin.html)
+// Lists donations, food requests and volunteer registrations from the server, with filters,
+// lifecycle actions, internal notes, bulk updates, the audit log, security events and per-location
+// inventory. Loaded after script.js.
+
+// Columns shown in the record list, per collection
+const ADMIN_SUMMARY_FIELDS = {
+    donations: ['donor-name', 'food-type', 'quantity', 'pickup-date', 'pickup-time', 'pickup-address'],
+    requests: ['requester-name', 'urgency', 'family-size', 'food-type', 'delivery-address'],
+    volunteers: ['volunteer-name', 'area-interest', 'availability', 'volunteer-email']
+};
+
+const ADMIN_COLLECTION_LABELS = {
+    donations: 'Donations',
+    requests: 'Food Requests',
+    volunteers: 'Volunteers'
+};
+
+class AdminDashboard {
+    constructor() {
+        this.collection = 'donations';
+        this.records = [];
+        this.selected = new Set();
+        this.expanded = null; // id of the record whose details are open
+        this.stockLocations = null; // directory locations that hold stock, loaded with the dashboard
+
+        this.loginSection = document.getElementById('admin-login');
+        this.dashboard = document.getElementById('admin-dashboard');
+        this.body = document.getElementById('records-body');
+        this.setupEventListeners();
+        this.checkSession();
+    }
+
+    setupEventListeners() {
+        document.getElementById('admin-login-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        document.getElementById('admin-logout').addEventListener('click', () => this.logout());
+
+        document.querySelectorAll('[data-collection]').forEach(tab => {
+            tab.addEventListener('click', () => this.selectCollection(tab.getAttribute('data-collection')));
+        });
+        ['filter-status', 'filter-urgency', 'filter-expiring', 'filter-from', 'filter-to'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.loadRecords());
+        });
+
+        document.getElementById('select-all').addEventListener('change', (e) => {
+            this.selected = e.target.checked ? new Set(this.records.map(record => record.id)) : new Set();
+            this.renderRecords();
+        });
+        document.getElementById('bulk-apply').addEventListener('click', () => this.applyBulk());
+        document.getElementById('security-hours').addEventListener('change', () => this.loadSecurityEvents());
+        document.getElementById('inventory-location').addEventListener('change', () => this.loadInventory());
+        document.getElementById('inventory-adjust-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.adjustStock();
+        });
+
+        // Row controls are re-rendered, so listen once on the table body
+        this.body.addEventListener('change', (e) => {
+            if (e.target.matches('[data-select-id]')) {
+                const id = e.target.getAttribute('data-select-id');
+                if (e.target.checked) this.selected.add(id); else this.selected.delete(id);
+                this.updateBulkBar();
+            }
+        });
+        this.body.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const id = button.getAttribute('data-id');
+            const action = button.getAttribute('data-action');
+            if (action === 'status') this.changeStatus(id, button.getAttribute('data-status'));
+            if (action === 'details') this.toggleDetails(id);
+            if (action === 'note') this.addNote(id);
+        });
+    }
+
+    // Coordinator API call with the session cookie; mutating requests carry the CSRF token
+    async request(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            headers['X-CSRF-Token'] = await SecurityUtils.getCSRFToken();
+        }
+
+        const response = await fetch(url, {
+            method: options.method || 'GET',
+            credentials: 'same-origin',
+            headers,
+            body: options.body === undefined ? undefined : JSON.stringify(options.body)
+        });
+        const body = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            this.showLogin();
+        }
+        if (response.status === 403) {
+            SECURITY_CONFIG.csrfToken = null;
+        }
+        if (!response.ok) {
+            const error = new Error(body.error || `Request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return body;
+    }
+
+    async checkSession() {
+        try {
+            const { name } = await this.request('/api/admin/session');
+            this.showDashboard(name);
+        } catch (error) {
+            this.showLogin();
+        }
+    }
+
+    async login() {
+        const form = document.getElementById('admin-login-form');
+        try {
+            const { name } = await this.request('/api/admin/login', {
+                method: 'POST',
+                body: { name: form.elements.name.value.trim(), token: form.elements.token.value }
+            });
+            form.reset();
+            this.showDashboard(name);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    async logout() {
+        await this.request('/api/admin/logout', { method: 'POST', body: {} }).catch(() => {});
+        this.showLogin();
+    }
+
+    showLogin() {
+        this.loginSection.classList.remove('hidden');
+        this.dashboard.classList.add('hidden');
+        document.getElementById('admin-logout').classList.add('hidden');
+    }
+
+    showDashboard(name) {
+        this.loginSection.classList.add('hidden');
+        this.dashboard.classList.remove('hidden');
+        document.getElementById('admin-logout').classList.remove('hidden');
+        document.getElementById('admin-name').textContent = name;
+        this.selectCollection(this.collection);
+        this.loadSecurityEvents();
+        this.loadInventory();
+    }
+
+    selectCollection(collection) {
+        this.collection = collection;
+        this.selected.clear();
+        this.expanded = null;
+
+        document.querySelectorAll('[data-collection]').forEach(tab => {
+            const active = tab.getAttribute('data-collection') === collection;
+            tab.classList.toggle('bg-green-600', active);
+            tab.classList.toggle('text-white', active);
+            tab.setAttribute('aria-selected', String(active));
+        });
+
+        // Urgency only applies to food requests
+        const urgency = document.getElementById('filter-urgency');
+        urgency.value = '';
+        urgency.parentNode.classList.toggle('hidden', collection !== 'requests');
+        // Food safety only applies to donations
+        const expiring = document.getElementById('filter-expiring');
+        expiring.checked = false;
+        expiring.closest('div').classList.toggle('hidden', collection !== 'donations');
+
+        const statuses = Lifecycle.statuses(collection);
+        const options = statuses.map(status => SafeHTML.html`<option value="${status}">${Lifecycle.label(status)}</option>`);
+        SafeHTML.render(document.getElementById('filter-status'), SafeHTML.html`<option value="">All statuses</option>${options}`);
+        SafeHTML.render(document.getElementById('bulk-status'), SafeHTML.html`<option value="">Move selected to...</option>${options}`);
+
+        this.loadRecords();
+        this.loadAudit();
+    }
+
+    // Date inputs are local calendar days; the API filters on ISO timestamps
+    readFilters() {
+        const params = new URLSearchParams({ collection: this.collection });
+        const status = document.getElementById('filter-status').value;
+        const urgency = document.getElementById('filter-urgency').value;
+        const from = document.getElementById('filter-from').value;
+        const to = document.getElementById('filter-to').value;
+
+        if (status) params.set('status', status);
+        if (urgency && this.collection === 'requests') params.set('urgency', urgency);
+        if (document.getElementById('filter-expiring').checked && this.collection === 'donations') params.set('expiring', '1');
+        if (from) params.set('from', new Date(`${from}T00:00:00`).toISOString());
+        if (to) params.set('to', new Date(`${to}T23:59:59.999`).toISOString());
+        return params;
+    }
+
+    async loadRecords() {
+        try {
+            const { records } = await this.request(`/api/admin/records?${this.readFilters()}`);
+            this.records = records;
+            // Keep only selections that are still listed
+            this.selected = new Set(records.map(record => record.id).filter(id => this.selected.has(id)));
+            this.renderRecords();
+        } catch (error) {
+            if (error.status !== 401) showMessage(error.message, 'error');
+        }
+    }
+
+    renderRecords() {
+        const summaryFields = ADMIN_SUMMARY_FIELDS[this.collection];
+        const { html } = SafeHTML;
+
+        document.getElementById('records-summary').textContent =
+            `${this.records.length} ${ADMIN_COLLECTION_LABELS[this.collection].toLowerCase()}`;
+        document.getElementById('select-all').checked = this.records.length > 0 && this.selected.size === this.records.length;
+
+        const rows = this.records.map(record => {
+            const summary = summaryFields
+                .filter(name => record.fields[name] !== undefined && record.fields[name] !== '')
+                .map(name => html`<span class="mr-3"><span class="text-gray-500">${name}:</span> ${record.fields[name]}</span>`);
+            const actions = Lifecycle.nextStatuses(this.collection, record.status).map(status => html`
+                <button type="button" class="text-sm px-2 py-1 rounded border border-gray-300 hover:bg-gray-100 mr-1 mb-1"
+                        data-action="status" data-status="${status}" data-id="${record.id}">${Lifecycle.label(status)}</button>
+            `);
+
+            return html`
+                <tr class="border-t align-top">
+                    <td class="p-3"><input type="checkbox" data-select-id="${record.id}" aria-label="Select record" ${this.selected.has(record.id) ? html`checked` : ''}></td>
+                    <td class="p-3 text-sm text-gray-600 whitespace-nowrap">${new Date(record.createdAt).toLocaleString()}${record.reference ? html`<br><span class="font-mono">${record.reference}</span>` : ''}</td>
+                    <td class="p-3 text-sm">${summary}</td>
+                    <td class="p-3"><span class="status ${this.statusClass(record.status)}">${Lifecycle.label(record.status)}</span>${this.expiryBadge(record)}</td>
+                    <td class="p-3">
+                        ${actions}
+                        <button type="button" class="text-sm text-blue-600 hover:underline" data-action="details" data-id="${record.id}">
+                            ${this.expanded === record.id ? 'Hide' : 'Details'}${record.notes.length ? ` (${record.notes.length} notes)` : ''}
+                        </button>
+                    </td>
+                </tr>
+                ${this.expanded === record.id ? this.renderDetails(record) : ''}
+            `;
+        });
+        SafeHTML.render(this.body, rows.length > 0
+            ? html`${rows}`
+            : html`<tr><td colspan="5" class="p-6 text-center text-gray-600">No records match these filters.</td></tr>`);
+
+        this.updateBulkBar();
+    }
+
+    renderDetails(record) {
+        const { html } = SafeHTML;
+        const fields = Object.keys(record.fields).map(name => html`
+            <dt class="text-gray-500">${name}</dt><dd class="mb-1">${record.fields[name]}</dd>
+        `);
+        const notes = record.notes.length > 0
+            ? record.notes.map(note => html`
+                <li class="mb-2"><p>${note.text}</p><p class="text-xs text-gray-500">${note.author} · ${new Date(note.at).toLocaleString()}</p></li>
+            `)
+            : html`<li class="text-gray-500">No notes yet.</li>`;
+
+        return html`
+            <tr class="bg-gray-50">
+                <td></td>
+                <td colspan="4" class="p-3 text-sm">
+                    <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+                        <dl>${fields}</dl>
+                        <div>
+                            <h4 class="font-semibold mb-2">Internal notes</h4>
+                            <ul>${notes}</ul>
+                            <label for="note-${record.id}" class="sr-only">New note</label>
+                            <textarea id="note-${record.id}" rows="2" maxlength="1000" class="w-full px-3 py-2 border border-gray-300 rounded-lg"></textarea>
+                            <button type="button" class="mt-2 bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700" data-action="note" data-id="${record.id}">Add note</button>
+                        </div>
+                        <div>
+                            <h4 class="font-semibold mb-2">History</h4>
+                            <ul id="history-${record.id}" class="space-y-1"><li class="text-gray-500">Loading...</li></ul>
+                        </div>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }
+
+    // Donations the server flagged (food-safety.js): expired food, or food to deliver within hours
+    expiryBadge(record) {
+        if (!record.expiry) return '';
+        const until = new Date(record.safeUntil).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+        return SafeHTML.html`<br><span class="status ${record.expiry === 'expired' ? 'closed' : 'limited'} mt-1 inline-block"
+            title="Safe to eat until ${until}">${record.expiry === 'expired' ? 'Expired' : `Expires ${until}`}</span>`;
+    }
+
+    statusClass(status) {
+        if (status === 'cancelled') return 'closed';
+        if (status === 'new') return 'limited';
+        return 'open';
+    }
+
+    updateBulkBar() {
+        document.getElementById('bulk-count').textContent = `${this.selected.size} selected`;
+        document.getElementById('bulk-apply').disabled = this.selected.size === 0;
+    }
+
+    async toggleDetails(id) {
+        this.expanded = this.expanded === id ? null : id;
+        this.renderRecords();
+        if (this.expanded) {
+            this.loadHistory(id);
+        }
+    }
+
+    async changeStatus(id, status) {
+        try {
+            await this.request(`/api/admin/records/${this.collection}/${encodeURIComponent(id)}/status`, {
+                method: 'POST',
+                body: { status }
+            });
+            showMessage(`Moved to ${Lifecycle.label(status)}`, 'success');
+            await this.refresh(id);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    async addNote(id) {
+        const input = document.getElementById(`note-${id}`);
+        const text = input.value.trim();
+        if (!text) return;
+
+        try {
+            await this.request(`/api/admin/records/${this.collection}/${encodeURIComponent(id)}/notes`, {
+                method: 'POST',
+                body: { text }
+            });
+            await this.refresh(id);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    async applyBulk() {
+        const status = document.getElementById('bulk-status').value;
+        if (!status || this.selected.size === 0) {
+            showMessage('Choose a status and at least one record', 'error');
+            return;
+        }
+
+        try {
+            const result = await this.request(`/api/admin/records/${this.collection}/bulk`, {
+                method: 'POST',
+                body: { ids: Array.from(this.selected), status, note: document.getElementById('bulk-note').value }
+            });
+            showMessage(result.failed.length === 0
+                ? `Updated ${result.updated.length} records`
+                : `Updated ${result.updated.length}, skipped ${result.failed.length}: ${result.failed[0].error}`,
+            result.failed.length === 0 ? 'success' : 'error');
+
+            this.selected.clear();
+            document.getElementById('bulk-note').value = '';
+            await this.refresh(null);
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    async refresh(id) {
+        await this.loadRecords();
+        await this.loadAudit();
+        if (id && this.expanded === id) {
+            this.loadHistory(id);
+        }
+    }
+
+    async loadHistory(id) {
+        try {
+            const { entries } = await this.request(`/api/admin/audit?collection=${this.collection}&recordId=${encodeURIComponent(id)}`);
+            const list = document.getElementById(`history-${id}`);
+            if (list) {
+                SafeHTML.render(list, entries.length > 0
+                    ? SafeHTML.html`${entries.map(entry => SafeHTML.html`<li>${this.describeEntry(entry)}</li>`)}`
+                    : SafeHTML.html`<li class="text-gray-500">No changes yet.</li>`);
+            }
+        } catch (error) {
+            console.error('Audit loading error:', error);
+        }
+    }
+
+    async loadAudit() {
+        try {
+            const { entries } = await this.request(`/api/admin/audit?collection=${this.collection}`);
+            SafeHTML.render(document.getElementById('audit-log'), entries.length > 0
+                ? SafeHTML.html`${entries.slice(0, 20).map(entry => SafeHTML.html`<li class="text-sm">${this.describeEntry(entry)}</li>`)}`
+                : SafeHTML.html`<li class="text-sm text-gray-500">No changes recorded yet.</li>`);
+        } catch (error) {
+            console.error('Audit loading error:', error);
+        }
+    }
+
+    async loadSecurityEvents() {
+        const { html } = SafeHTML;
+        try {
+            const report = await this.request(`/api/admin/security-events?hours=${document.getElementById('security-hours').value}`);
+            document.getElementById('security-total').textContent = `(${report.total} in total)`;
+
+            SafeHTML.render(document.getElementById('security-by-type'), html`${report.byType.map(row => html`
+                <tr class="border-t"><td class="py-1">${row.label}</td><td class="py-1 text-right">${row.client}</td>
+                    <td class="py-1 text-right">${row.server}</td><td class="py-1 text-right font-semibold">${row.count}</td></tr>
+            `)}`);
+
+            // Bars scaled to the busiest hour. Heights go through the CSSOM, since the CSP refuses style attributes
+            const busiest = Math.max(1, ...report.byHour.map(bucket => bucket.count));
+            const byHour = document.getElementById('security-by-hour');
+            SafeHTML.render(byHour, html`${report.byHour.map(bucket => html`
+                <li class="flex-1 bg-red-400 rounded-t"
+                    title="${new Date(bucket.hour).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}: ${bucket.count}"></li>
+            `)}`);
+            Array.from(byHour.children).forEach((bar, index) => {
+                bar.style.height = `${Math.max(2, Math.round(report.byHour[index].count / busiest * 100))}%`;
+            });
+
+            SafeHTML.render(document.getElementById('security-recent'), report.recent.length > 0
+                ? html`${report.recent.map(event => html`
+                    <li class="text-sm"><span class="text-gray-500">${new Date(event.createdAt).toLocaleString()}</span> ·
+                        <strong>${SecurityEvents.label(event.type)}</strong> · ${event.source === 'client' ? 'page' : 'server'} ${event.page || ''}
+                        ${event.form ? html` · ${event.form}` : ''}${event.fields.length ? html` (${event.fields.join(', ')})` : ''}
+                        ${event.detail ? html` · <span class="text-gray-600">${event.detail}</span>` : ''}
+                        ${event.network ? html` · <span class="text-gray-500">${event.network}</span>` : ''}</li>
+                `)}`
+                : html`<li class="text-sm text-gray-500">No security events in this period.</li>`);
+        } catch (error) {
+            console.error('Security events loading error:', error);
+        }
+    }
+
+    // Stock and movement history for the selected location (inventory.js, server/inventory.js)
+    async loadInventory() {
+        const { html } = SafeHTML;
+        const select = document.getElementById('inventory-location');
+        try {
+            if (!this.stockLocations) {
+                this.stockLocations = (await LocationRepository.load()).filter(location => Inventory.stocks(location));
+                SafeHTML.render(select, html`${this.stockLocations.map(location => html`<option value="${location.id}">${location.name}</option>`)}`);
+            }
+            const location = LocationRepository.findById(this.stockLocations, select.value);
+            if (!location) return;
+
+            const [{ levels }, { movements }] = await Promise.all([
+                this.request(Inventory.url),
+                this.request(`/api/admin/inventory/movements?locationId=${encodeURIComponent(location.id)}`)
+            ]);
+            const summary = Inventory.summary(location, levels[String(location.id)] || {});
+
+            SafeHTML.render(document.getElementById('inventory-stock'), html`${summary.map(row => html`
+                <tr class="border-t"><td class="py-1">${LocationRepository.label('foodTypes', row.category)}</td>
+                    <td class="py-1 text-right font-semibold">${row.quantity}</td><td class="py-1 text-right">${row.threshold}</td>
+                    <td class="py-1 text-right"><span class="status ${row.quantity === 0 ? 'closed' : row.low ? 'limited' : 'open'}">${row.quantity === 0 ? 'Out' : row.low ? 'Low' : 'OK'}</span></td></tr>
+            `)}`);
+
+            // Keep the chosen food type when the same location is reloaded after an adjustment
+            const category = document.getElementById('inventory-category');
+            const chosen = category.value;
+            SafeHTML.render(category, html`${summary.map(row => html`<option value="${row.category}">${LocationRepository.label('foodTypes', row.category)}</option>`)}`);
+            if (summary.some(row => row.category === chosen)) category.value = chosen;
+
+            SafeHTML.render(document.getElementById('inventory-movements'), movements.length > 0
+                ? html`${movements.map(movement => html`<li class="text-sm">${this.describeMovement(movement)}</li>`)}`
+                : html`<li class="text-sm text-gray-500">No stock movements at this location yet.</li>`);
+        } catch (error) {
+            console.error('Inventory loading error:', error);
+        }
+    }
+
+    async adjustStock() {
+        const form = document.getElementById('inventory-adjust-form');
+        const amount = Number(form.elements.amount.value);
+        const note = form.elements.note.value.trim();
+        if (form.elements.amount.value === '' || !Number.isInteger(amount) || !note) {
+            showMessage('Enter a whole number of servings and a reason', 'error');
+            return;
+        }
+
+        try {
+            const { movement, quantity } = await this.request('/api/admin/inventory/adjust', {
+                method: 'POST',
+                body: {
+                    locationId: document.getElementById('inventory-location').value,
+                    category: form.elements.category.value,
+                    [form.elements.mode.value]: amount,
+                    note
+                }
+            });
+            showMessage(movement
+                ? `${LocationRepository.label('foodTypes', movement.category)} now at ${quantity} servings`
+                : 'Stock already at that level', 'success');
+            form.elements.amount.value = '';
+            form.elements.note.value = '';
+            await this.loadInventory();
+        } catch (error) {
+            showMessage(error.message, 'error');
+        }
+    }
+
+    describeMovement(movement) {
+        const { html } = SafeHTML;
+        const when = new Date(movement.createdAt).toLocaleString();
+        const change = `${movement.change > 0 ? '+' : ''}${movement.change} ${LocationRepository.label('foodTypes', movement.category).toLowerCase()}`;
+        const source = movement.reference ? html` · <span class="font-mono">${movement.reference}</span>` : '';
+        const note = movement.note ? html` <span class="text-gray-600">“${movement.note}”</span>` : '';
+        return html`<span class="text-gray-500">${when}</span> · <strong>${movement.actor}</strong> · ${change} (${movement.reason})${source}${note}`;
+    }
+
+    describeEntry(entry) {
+        const { html } = SafeHTML;
+        const when = new Date(entry.createdAt).toLocaleString();
+        const what = entry.action === 'status'
+            ? `${Lifecycle.label(entry.from)} → ${Lifecycle.label(entry.to)}`
+            : entry.action;
+        const note = entry.note ? html` <span class="text-gray-600">“${entry.note}”</span>` : '';
+        return html`<span class="text-gray-500">${when}</span> · <strong>${entry.actor}</strong> · ${what}${note}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('admin-dashboard')) {
+        new AdminDashboard();
+    }
+});
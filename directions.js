@@ -0,0 +1,151 @@
+// Zero Hunger Website - Directions
+// Routes between the user and a location through a pluggable provider. Providers resolve
+// { mode, distance (meters), duration (seconds), geometry: [[lat, lng], ...] } for one travel mode.
+// The default provider talks the OSRM route API to the local stand-in served at /api/route;
+// point it at a real OSRM instance with Directions.use(Directions.createOsrmProvider({ baseUrl })).
+
+const METERS_PER_MILE = 1609.344;
+
+// Average speeds the local stand-in uses for each OSRM profile
+const PROFILE_SPEEDS_KMH = {
+    foot: 4.8,
+    bike: 15,
+    car: 30
+};
+
+const Directions = {
+    // Neither OSRM nor the stand-in knows timetables, so transit is estimated from the driving
+    // route at an average bus/subway speed plus a wait for the first departure
+    MODES: {
+        walking: { label: 'Walking', icon: 'fa-walking', profile: 'foot' },
+        transit: { label: 'Transit', icon: 'fa-bus', profile: 'car', speedKmh: 18, waitMinutes: 8 },
+        driving: { label: 'Driving', icon: 'fa-car', profile: 'car' }
+    },
+
+    provider: null,
+
+    use: (provider) => {
+        if (!provider || typeof provider.route !== 'function') {
+            throw new Error('A directions provider must implement route(from, to, mode)');
+        }
+        Directions.provider = provider;
+        return provider;
+    },
+
+    // Route every travel mode; a mode whose request fails is reported as null
+    plan: async (from, to) => {
+        const provider = Directions.provider || Directions.use(Directions.createOsrmProvider());
+        const modes = Object.keys(Directions.MODES);
+        const results = await Promise.all(modes.map(mode =>
+            Promise.resolve()
+                .then(() => provider.route(from, to, mode))
+                .catch(error => {
+                    console.error(`Directions error (${mode}):`, error);
+                    return null;
+                })
+        ));
+
+        const routes = {};
+        modes.forEach((mode, index) => {
+            routes[mode] = results[index];
+        });
+        return routes;
+    },
+
+    // Great-circle distance in meters between two { lat, lng } points
+    haversine: (from, to) => {
+        const R = 6371008.8; // Earth's mean radius in meters
+        const dLat = (to.lat - from.lat) * Math.PI / 180;
+        const dLng = (to.lng - from.lng) * Math.PI / 180;
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                  Math.cos(from.lat * Math.PI / 180) * Math.cos(to.lat * Math.PI / 180) *
+                  Math.sin(dLng / 2) * Math.sin(dLng / 2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    },
+
+    // Seconds to ride `distance` meters of transit, including the wait
+    estimateTransitDuration: (distance) => {
+        const { speedKmh, waitMinutes } = Directions.MODES.transit;
+        return Math.round(distance / (speedKmh * 1000 / 3600) + waitMinutes * 60);
+    },
+
+    // '4 min', '1 hr 5 min'
+    formatDuration: (seconds) => {
+        const minutes = Math.max(1, Math.round(seconds / 60));
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest === 0 ? `${hours} hr` : `${hours} hr ${rest} min`;
+    },
+
+    toMiles: (meters) => meters / METERS_PER_MILE,
+
+    // Client for the OSRM HTTP API (GET /route/v1/{profile}/{lng},{lat};{lng},{lat})
+    createOsrmProvider: ({ baseUrl = '/api', fetchImpl } = {}) => ({
+        name: 'osrm',
+        route: async (from, to, mode) => {
+            const settings = Directions.MODES[mode];
+            if (!settings) throw new Error(`Unknown travel mode: ${mode}`);
+
+            const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+            const url = `${baseUrl}/route/v1/${settings.profile}/${coordinates}?overview=full&geometries=geojson`;
+            const response = await (fetchImpl || fetch)(url);
+            const body = await response.json();
+            if (!response.ok || body.code !== 'Ok' || !body.routes || body.routes.length === 0) {
+                throw new Error(body.message || `No route found (${response.status})`);
+            }
+
+            return Directions.fromOsrmRoute(mode, body.routes[0]);
+        }
+    }),
+
+    // In-process provider over localRoute(); needs no network at all
+    localProvider: {
+        name: 'local',
+        route: async (from, to, mode) => {
+            const settings = Directions.MODES[mode];
+            if (!settings) throw new Error(`Unknown travel mode: ${mode}`);
+
+            return Directions.fromOsrmRoute(mode, Directions.localRoute(from, to, settings.profile).routes[0]);
+        }
+    },
+
+    fromOsrmRoute: (mode, route) => ({
+        mode,
+        distance: route.distance,
+        duration: mode === 'transit' ? Directions.estimateTransitDuration(route.distance) : route.duration,
+        geometry: route.geometry.coordinates.map(([lng, lat]) => [lat, lng])
+    }),
+
+    // OSRM-style stand-in: an L-shaped path along the street grid (north/south, then east/west)
+    // timed at the profile's speed. Returns an OSRM route response body.
+    localRoute: (from, to, profile) => {
+        if (!Object.prototype.hasOwnProperty.call(PROFILE_SPEEDS_KMH, profile)) {
+            return { code: 'InvalidValue', message: `Unknown profile: ${profile}` };
+        }
+
+        const corner = { lat: to.lat, lng: from.lng };
+        const distance = Directions.haversine(from, corner) + Directions.haversine(corner, to);
+        const speed = PROFILE_SPEEDS_KMH[profile] * 1000 / 3600;
+
+        return {
+            code: 'Ok',
+            routes: [{
+                distance: Math.round(distance * 10) / 10,
+                duration: Math.round(distance / speed * 10) / 10,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [[from.lng, from.lat], [corner.lng, corner.lat], [to.lng, to.lat]]
+                }
+            }],
+            waypoints: [
+                { location: [from.lng, from.lat] },
+                { location: [to.lng, to.lat] }
+            ]
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Directions;
+}
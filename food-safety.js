@@ -0,0 +1,94 @@
+// Zero Hunger Website - Food Safety Rules
+// How long donated food stays safe to eat, by food type, condition and (for cooked meals) storage
+// temperature, and which allergens donors declare. The donation-form schema refuses food that would not
+// be safe when delivered, donate.html shows how long the food keeps, and admin.html flags food about to expire.
+
+// Hours food stays safe after it is offered; 0 refuses it. Cooked meals count from when they were cooked
+// and are also limited by STORAGE_HOLD_HOURS.
+const HOLD_HOURS = {
+    'perishable': { excellent: 96, good: 72, fair: 24 },
+    'non-perishable': { excellent: Infinity, good: Infinity, fair: Infinity },
+    'bakery': { excellent: 72, good: 48, fair: 24 },
+    'cooked': { excellent: Infinity, good: Infinity, fair: 0 }
+};
+
+// Same values as the storage-temperature select on donate.html
+const STORAGE_HOLD_HOURS = {
+    'hot': 4, // Kept at 63°C / 145°F or above
+    'refrigerated': 72, // 5°C / 41°F or below
+    'frozen': 30 * 24,
+    'room': 2
+};
+
+// Food types that need the time they were cooked and how they are stored
+const PREPARED_FOOD_TYPES = ['cooked'];
+
+// Food types whose donors must tick the allergens they contain, or "None of these"
+const ALLERGEN_DECLARATION_TYPES = ['cooked', 'bakery'];
+
+// The nine major food allergens on US labels; each is an allergen-<name> checkbox
+const ALLERGENS = ['milk', 'eggs', 'fish', 'shellfish', 'tree-nuts', 'peanuts', 'wheat', 'soy', 'sesame'];
+
+const DELIVERY_HOURS = 1; // Food must stay safe this long after pickup, to be delivered
+const EXPIRING_WITHIN_HOURS = 12;
+
+const HOUR = 3600000;
+
+const FoodSafety = {
+    ALLERGENS,
+    DELIVERY_HOURS,
+    EXPIRING_WITHIN_HOURS,
+
+    isPrepared: (foodType) => PREPARED_FOOD_TYPES.includes(foodType),
+
+    needsAllergens: (foodType) => ALLERGEN_DECLARATION_TYPES.includes(foodType),
+
+    allergenField: (allergen) => `allergen-${allergen}`,
+
+    // Allergens ticked on a submission, in ALLERGENS order
+    declaredAllergens: (fields) => ALLERGENS.filter(allergen => fields[FoodSafety.allergenField(allergen)] === true),
+
+    // Hours the food keeps, Infinity, or null when the food type or condition is unknown. Cooked meals
+    // offered before the storage temperature was asked are taken to be kept hot.
+    holdHours: (fields) => {
+        const hours = (HOLD_HOURS[fields['food-type']] || {})[fields['food-condition']];
+        if (hours === undefined) return null;
+        if (!FoodSafety.isPrepared(fields['food-type'])) return hours;
+        return Math.min(hours, STORAGE_HOLD_HOURS[fields['storage-temperature']] || STORAGE_HOLD_HOURS.hot);
+    },
+
+    // Epoch milliseconds the food stops being safe, Infinity, or null when unknown.
+    // times: { preparedAt, submittedAt }, in epoch milliseconds; preparedAt may be null
+    safeUntil: (fields, times) => {
+        const hours = FoodSafety.holdHours(fields);
+        if (hours === null) return null;
+        if (hours === Infinity) return Infinity;
+        const from = FoodSafety.isPrepared(fields['food-type']) && typeof times.preparedAt === 'number'
+            ? times.preparedAt
+            : times.submittedAt;
+        return from + hours * HOUR;
+    },
+
+    // Whole hours left after pickup (Infinity for food that keeps), or null when either time is unknown
+    hoursAfterPickup: (safeUntil, pickupAt) => {
+        if (safeUntil === null || pickupAt === null) return null;
+        return safeUntil === Infinity ? Infinity : Math.floor((safeUntil - pickupAt) / HOUR);
+    },
+
+    // True unless the food would spoil before it could be delivered
+    isSafeForDelivery: (safeUntil, pickupAt) => {
+        if (safeUntil === null || pickupAt === null) return true;
+        return safeUntil - pickupAt >= DELIVERY_HOURS * HOUR;
+    },
+
+    // 'expired', 'expiring' (within EXPIRING_WITHIN_HOURS) or null
+    expiryStatus: (safeUntil, now = Date.now()) => {
+        if (safeUntil === null || safeUntil === Infinity) return null;
+        if (safeUntil <= now) return 'expired';
+        return safeUntil - now <= EXPIRING_WITHIN_HOURS * HOUR ? 'expiring' : null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FoodSafety;
+}
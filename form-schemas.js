@@ -0,0 +1,421 @@
+// Zero Hunger Website - Form Validation Schemas
+// One schema per form ID; loaded by the pages after food-safety.js and before script.js, and required by the server
+
+const SchemaDeps = typeof module !== 'undefined' && module.exports
+    ? { FoodSafety: require('./food-safety') }
+    : { FoodSafety };
+
+// Pickup and cooking times of a donation, in epoch milliseconds (null when not given), for the
+// food-safety rules; submittedAt is when the donation was first offered
+function donationTimes(data, context) {
+    return {
+        pickupAt: FormSchemas.toTimestamp(data['pickup-date'], data['pickup-time'], context.timezoneOffset),
+        preparedAt: FormSchemas.toTimestamp(data['prepared-date'], data['prepared-time'], context.timezoneOffset),
+        submittedAt: context.submittedAt.getTime()
+    };
+}
+
+function ticksAllergen(data) {
+    return SchemaDeps.FoodSafety.ALLERGENS.some(allergen => FormSchemas.isChecked(data[SchemaDeps.FoodSafety.allergenField(allergen)]));
+}
+
+const FORM_SCHEMAS = {
+    'donation-form': {
+        fields: {
+            'donor-name': { type: 'name', required: true },
+            'donor-email': { type: 'email', required: true },
+            'donor-phone': { type: 'phone', required: true },
+            'food-type': {
+                type: 'enum',
+                required: true,
+                values: ['perishable', 'non-perishable', 'cooked', 'bakery'],
+                messages: { required: 'Please select a food type' }
+            },
+            'quantity': {
+                type: 'integer',
+                required: true,
+                min: 1,
+                max: 10000,
+                messages: {
+                    min: 'Quantity must be at least 1 serving',
+                    max: 'For more than 10,000 servings please call our helpline'
+                }
+            },
+            'pickup-date': {
+                type: 'date',
+                required: true,
+                notPast: true,
+                messages: { notPast: 'Pickup date cannot be in the past' }
+            },
+            'pickup-time': { type: 'time', required: true },
+            'food-condition': {
+                type: 'enum',
+                required: true,
+                values: ['excellent', 'good', 'fair'],
+                messages: { required: 'Please select the food condition' }
+            },
+            // Required for cooked meals by the rules below (food-safety.js)
+            'prepared-date': { type: 'date' },
+            'prepared-time': { type: 'time' },
+            'storage-temperature': {
+                type: 'enum',
+                values: ['hot', 'refrigerated', 'frozen', 'room']
+            },
+            'allergen-milk': { type: 'checkbox' },
+            'allergen-eggs': { type: 'checkbox' },
+            'allergen-fish': { type: 'checkbox' },
+            'allergen-shellfish': { type: 'checkbox' },
+            'allergen-tree-nuts': { type: 'checkbox' },
+            'allergen-peanuts': { type: 'checkbox' },
+            'allergen-wheat': { type: 'checkbox' },
+            'allergen-soy': { type: 'checkbox' },
+            'allergen-sesame': { type: 'checkbox' },
+            'allergen-none': { type: 'checkbox' },
+            'pickup-address': { type: 'text', required: true, minLength: 5, maxLength: 500 },
+            'special-instructions': { type: 'text', maxLength: 500 },
+            'terms': {
+                type: 'checkbox',
+                required: true,
+                messages: { required: 'Please accept the terms and confirm the food is safe' }
+            },
+            // Optional: notifications are only sent when it is ticked (server/notifications.js)
+            'contact-consent': { type: 'checkbox' }
+        },
+        rules: [
+            {
+                id: 'pickupInFuture',
+                field: 'pickup-time',
+                message: 'Pickup date and time must be in the future',
+                validate: (data, context) => {
+                    const pickupAt = FormSchemas.toTimestamp(data['pickup-date'], data['pickup-time'], context.timezoneOffset);
+                    return pickupAt === null || pickupAt > context.now.getTime();
+                }
+            },
+            {
+                id: 'safeForDelivery',
+                field: 'pickup-time',
+                message: 'This food would no longer be safe to eat when delivered. Please choose an earlier pickup time',
+                validate: (data, context) => {
+                    // Food refused outright is reported on food-condition (conditionAccepted)
+                    if (SchemaDeps.FoodSafety.holdHours(data) === 0) return true;
+                    const times = donationTimes(data, context);
+                    return SchemaDeps.FoodSafety.isSafeForDelivery(SchemaDeps.FoodSafety.safeUntil(data, times), times.pickupAt);
+                }
+            },
+            {
+                id: 'conditionAccepted',
+                field: 'food-condition',
+                message: 'We cannot accept this type of food in fair condition',
+                validate: (data) => SchemaDeps.FoodSafety.holdHours(data) !== 0
+            },
+            {
+                id: 'preparedAtRequired',
+                field: 'prepared-time',
+                message: 'Please give the date and time the food was cooked',
+                validate: (data, context) => !SchemaDeps.FoodSafety.isPrepared(data['food-type']) ||
+                    donationTimes(data, context).preparedAt !== null
+            },
+            {
+                id: 'preparedBeforePickup',
+                field: 'prepared-time',
+                message: 'The food must be cooked before it is picked up',
+                validate: (data, context) => {
+                    const times = donationTimes(data, context);
+                    return !SchemaDeps.FoodSafety.isPrepared(data['food-type']) ||
+                        times.preparedAt === null || times.pickupAt === null || times.preparedAt <= times.pickupAt;
+                }
+            },
+            {
+                id: 'storageTemperatureRequired',
+                field: 'storage-temperature',
+                message: 'Please tell us how the food is stored',
+                validate: (data) => !SchemaDeps.FoodSafety.isPrepared(data['food-type']) || Boolean(data['storage-temperature'])
+            },
+            {
+                id: 'allergensDeclared',
+                field: 'allergen-none',
+                message: 'Please tick the allergens the food contains, or "None of these"',
+                validate: (data) => !SchemaDeps.FoodSafety.needsAllergens(data['food-type']) ||
+                    FormSchemas.isChecked(data['allergen-none']) || ticksAllergen(data)
+            },
+            {
+                id: 'allergensConsistent',
+                field: 'allergen-none',
+                message: 'Untick "None of these" or the allergens you ticked',
+                validate: (data) => !FormSchemas.isChecked(data['allergen-none']) || !ticksAllergen(data)
+            }
+        ]
+    },
+
+    'request-form': {
+        fields: {
+            'requester-name': { type: 'name', required: true },
+            'requester-phone': { type: 'phone', required: true },
+            'requester-email': { type: 'email' },
+            'family-size': {
+                type: 'integer',
+                required: true,
+                min: 1,
+                max: 20,
+                messages: {
+                    min: 'Family size must be at least 1',
+                    max: 'For households larger than 20 please call our helpline'
+                }
+            },
+            'urgency': {
+                type: 'enum',
+                required: true,
+                values: ['immediate', 'today', 'tomorrow', 'this-week'],
+                messages: { required: 'Please select how urgently you need food' }
+            },
+            'food-type': {
+                type: 'enum',
+                values: ['fresh', 'canned', 'dairy', 'bakery', 'cooked', 'any']
+            },
+            'delivery-date': {
+                type: 'date',
+                notPast: true,
+                messages: { notPast: 'Delivery date cannot be in the past' }
+            },
+            'delivery-time': { type: 'time' },
+            'delivery-address': { type: 'text', required: true, minLength: 5, maxLength: 500 },
+            'special-requirements': { type: 'text', maxLength: 500 },
+            'additional-info': { type: 'text', maxLength: 500 },
+            'consent': {
+                type: 'checkbox',
+                required: true,
+                messages: { required: 'Please confirm the information provided is accurate' }
+            },
+            'contact-consent': { type: 'checkbox' }
+        },
+        rules: [
+            {
+                id: 'deliveryInFuture',
+                field: 'delivery-time',
+                message: 'Please give both a delivery date and time, in the future',
+                validate: (data, context) => {
+                    if (!data['delivery-date'] && !data['delivery-time']) return true;
+                    const deliveryAt = FormSchemas.toTimestamp(data['delivery-date'], data['delivery-time'], context.timezoneOffset);
+                    return deliveryAt !== null && deliveryAt > context.now.getTime();
+                }
+            }
+        ]
+    },
+
+    'volunteer-form': {
+        fields: {
+            'volunteer-name': { type: 'name', required: true },
+            'volunteer-email': { type: 'email', required: true },
+            'volunteer-phone': { type: 'phone', required: true },
+            'dob': {
+                type: 'date',
+                notFuture: true,
+                messages: { notFuture: 'Date of birth cannot be in the future' }
+            },
+            'area-interest': {
+                type: 'enum',
+                required: true,
+                values: ['delivery', 'warehouse', 'helpline', 'outreach', 'events', 'fundraising'],
+                messages: { required: 'Please select an area of interest' }
+            },
+            'availability': {
+                type: 'enum',
+                required: true,
+                values: ['weekdays', 'weekends', 'evenings', 'flexible'],
+                messages: { required: 'Please select your availability' }
+            },
+            'address': { type: 'text', maxLength: 500 },
+            'skills': { type: 'text', maxLength: 500 },
+            'motivation': { type: 'text', maxLength: 500 },
+            'background-check': {
+                type: 'checkbox',
+                required: true,
+                messages: { required: 'Volunteers must consent to a background check' }
+            },
+            'terms': {
+                type: 'checkbox',
+                required: true,
+                messages: { required: 'Please accept the volunteer terms and conditions' }
+            },
+            'contact-consent': { type: 'checkbox' }
+        },
+        rules: [
+            {
+                id: 'minimumAge',
+                field: 'dob',
+                message: 'Volunteers must be at least 16 years old',
+                validate: (data, context) => {
+                    if (!data.dob) return true;
+                    const age = FormSchemas.ageOn(data.dob, context.now);
+                    return age === null || age >= 16;
+                }
+            }
+        ]
+    }
+};
+
+const DEFAULT_MESSAGES = {
+    required: 'This field is required',
+    name: 'Name should only contain letters',
+    email: 'Please enter a valid email address',
+    phone: 'Please enter a valid phone number',
+    integer: 'Please enter a whole number',
+    date: 'Please enter a valid date',
+    time: 'Please enter a valid time',
+    enum: 'Please select one of the listed options',
+    min: 'Value is too small',
+    max: 'Value is too large',
+    minLength: 'This entry is too short',
+    maxLength: 'This entry is too long',
+    notPast: 'Date cannot be in the past',
+    notFuture: 'Date cannot be in the future'
+};
+
+// Type checks return true when the (non-empty) value is well-formed
+const TYPE_CHECKS = {
+    text: () => true,
+    name: (value) => FormSchemas.isName(value),
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    phone: (value) => /^[\d\s\-\+\(\)]+$/.test(value) && value.replace(/\D/g, '').length >= 10,
+    integer: (value) => /^-?\d+$/.test(value),
+    date: (value) => FormSchemas.parseDate(value) !== null,
+    time: (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    enum: (value, rules) => rules.values.includes(value),
+    checkbox: () => true
+};
+
+const FormSchemas = {
+    get: (formId) => Object.prototype.hasOwnProperty.call(FORM_SCHEMAS, formId) ? FORM_SCHEMAS[formId] : null,
+
+    // Checkboxes are submitted as booleans; 'on' covers plain HTML form encoding
+    isChecked: (value) => value === true || value === 'on' || value === 'true',
+
+    isEmpty: (value, rules) => {
+        if (rules.type === 'checkbox') return !FormSchemas.isChecked(value);
+        return value === undefined || value === null || String(value).trim() === '';
+    },
+
+    // Parse 'YYYY-MM-DD' into { year, month, day }, rejecting impossible dates
+    parseDate: (value) => {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+        if (!match) return null;
+        const [year, month, day] = match.slice(1).map(Number);
+        const check = new Date(Date.UTC(year, month - 1, day));
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+        return { year, month, day };
+    },
+
+    // Epoch milliseconds for a local date and time. timezoneOffset is in minutes as
+    // returned by Date#getTimezoneOffset(); when omitted the runtime's zone is used
+    toTimestamp: (dateValue, timeValue, timezoneOffset) => {
+        const date = FormSchemas.parseDate(dateValue);
+        if (!date || !TYPE_CHECKS.time(timeValue || '')) return null;
+        const [hours, minutes] = timeValue.split(':').map(Number);
+
+        if (typeof timezoneOffset === 'number') {
+            return Date.UTC(date.year, date.month - 1, date.day, hours, minutes) + timezoneOffset * 60000;
+        }
+        return new Date(date.year, date.month - 1, date.day, hours, minutes).getTime();
+    },
+
+    // Calendar date of `now` in the submitter's zone as 'YYYY-MM-DD'
+    localDateString: (now, timezoneOffset) => {
+        const shifted = typeof timezoneOffset === 'number'
+            ? new Date(now.getTime() - timezoneOffset * 60000)
+            : new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+        return shifted.toISOString().substring(0, 10);
+    },
+
+    ageOn: (dobValue, now) => {
+        const dob = FormSchemas.parseDate(dobValue);
+        if (!dob) return null;
+        let age = now.getFullYear() - dob.year;
+        const monthDiff = now.getMonth() + 1 - dob.month;
+        if (monthDiff < 0 || (monthDiff === 0 && now.getDate() < dob.day)) {
+            age--;
+        }
+        return age;
+    },
+
+    // Letters and combining marks of any script (José, Nguyễn, प्रिया, محمد), with spaces, hyphens,
+    // apostrophes and periods between them; 2 to 50 characters
+    isName: (value) => {
+        const text = String(value).trim();
+        const length = Array.from(text).length;
+        return /^[\p{L}\p{M}](?:[\p{L}\p{M}\s'’.-]*[\p{L}\p{M}.])?$/u.test(text) && length >= 2 && length <= 50;
+    },
+
+    message: (rules, key) => (rules.messages && rules.messages[key]) || DEFAULT_MESSAGES[key],
+
+    // The failed check of one field on its own ('required', 'min', a type name...), or ''
+    fieldError: (rules, value, context) => {
+        if (FormSchemas.isEmpty(value, rules)) {
+            return rules.required ? 'required' : '';
+        }
+        if (rules.type === 'checkbox') return '';
+
+        const text = String(value).trim();
+        if (!TYPE_CHECKS[rules.type](text, rules)) {
+            return rules.type;
+        }
+
+        if (rules.type === 'integer') {
+            const number = parseInt(text, 10);
+            if (rules.min !== undefined && number < rules.min) return 'min';
+            if (rules.max !== undefined && number > rules.max) return 'max';
+        }
+
+        if (rules.minLength !== undefined && text.length < rules.minLength) return 'minLength';
+        if (rules.maxLength !== undefined && text.length > rules.maxLength) return 'maxLength';
+
+        if (rules.type === 'date') {
+            const today = FormSchemas.localDateString(context.now, context.timezoneOffset);
+            if (rules.notPast && text < today) return 'notPast';
+            if (rules.notFuture && text > today) return 'notFuture';
+        }
+
+        return '';
+    },
+
+    // Validate a single field including the cross-field rules reported on it. options.translate(key, message)
+    // may return the message in the user's language; keys are validation.<check>, validation.<form>.<field>.<check>
+    // for messages a field sets itself, and validation.<form>.<rule id> for cross-field rules.
+    // options.submittedAt (a Date, default now) is when the submission was first made
+    validateField: (formId, name, data, options = {}) => {
+        const schema = FormSchemas.get(formId);
+        if (!schema || !schema.fields[name]) return '';
+
+        const rules = schema.fields[name];
+        const translate = options.translate || ((key, message) => message);
+        const now = options.now || new Date();
+        const context = { now, timezoneOffset: options.timezoneOffset, submittedAt: options.submittedAt || now };
+        const error = FormSchemas.fieldError(rules, data[name], context);
+        if (error) {
+            const key = rules.messages && rules.messages[error] ? `validation.${formId}.${name}.${error}` : `validation.${error}`;
+            return translate(key, FormSchemas.message(rules, error));
+        }
+
+        const failed = schema.rules.find(rule => rule.field === name && !rule.validate(data, context));
+        return failed ? translate(`validation.${formId}.${failed.id}`, failed.message) : '';
+    },
+
+    // Validate a whole submission; returns { valid, errors } with one message per field
+    validate: (formId, data, options = {}) => {
+        const schema = FormSchemas.get(formId);
+        if (!schema) {
+            return { valid: false, errors: { form: 'Unknown form' } };
+        }
+
+        const errors = {};
+        Object.keys(schema.fields).forEach(name => {
+            const error = FormSchemas.validateField(formId, name, data, options);
+            if (error) errors[name] = error;
+        });
+
+        return { valid: Object.keys(errors).length === 0, errors };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FormSchemas;
+}
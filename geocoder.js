@@ -0,0 +1,132 @@
+// Zero Hunger Website - Offline Geocoder
+// Resolves map searches against the location directory and a bundled gazetteer
+// (data/gazetteer.json) of ZIP codes, neighborhoods and cities. No external service is used.
+
+// Shorter queries ('5', 'a') would match almost any name or address
+const MIN_QUERY_LENGTH = 3;
+
+const Geocoder = {
+    url: 'data/gazetteer.json',
+    entries: null,
+    loading: null,
+
+    load: async () => {
+        if (Geocoder.entries) return Geocoder.entries;
+
+        if (!Geocoder.loading) {
+            Geocoder.loading = fetch(Geocoder.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Unable to load gazetteer (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(data => {
+                    Geocoder.entries = Array.isArray(data.entries) ? data.entries : [];
+                    return Geocoder.entries;
+                })
+                .finally(() => {
+                    Geocoder.loading = null;
+                });
+        }
+
+        return Geocoder.loading;
+    },
+
+    // Lowercase, drop punctuation and collapse whitespace so 'Bed-Stuy,' matches 'bed stuy'
+    normalize: (text) => String(text || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim(),
+
+    // Score how well `query` names `candidate` (0 = no match)
+    scoreName: (query, candidate) => {
+        const name = Geocoder.normalize(candidate);
+        if (!name) return 0;
+        if (query === name) return 100;
+        if (name.startsWith(query) && query.length >= 3) return 70;
+        // 'harlem new york' or 'food pantry west side' still point at the named place
+        if (` ${query} `.includes(` ${name} `)) return 60;
+        return 0;
+    },
+
+    // Whole-word address match: every word of the query is in the address ('oak ave new york'), or
+    // the query has the address's house number followed by its street ('456 oak avenue apt 2')
+    matchesAddress: (query, address) => {
+        const terms = query.split(' ');
+        const words = Geocoder.normalize(address).split(' ');
+        if (terms.length > 1 && terms.every(term => words.includes(term))) return true;
+
+        const [number, street] = words;
+        return /^\d+$/.test(number || '') && Boolean(street) &&
+            terms.some((term, index) => term === number && terms[index + 1] === street);
+    },
+
+    // Returns the best match as { label, kind, lat, lng, score, location? } or null.
+    // kind is 'location', 'zip', 'neighborhood' or 'city'. Null as well when the query is too
+    // short, or when two different places match it equally well.
+    resolve: (query, locations, entries) => {
+        const normalized = Geocoder.normalize(query);
+        if (normalized.length < MIN_QUERY_LENGTH) return null;
+
+        const candidates = [];
+        const zip = (/\b(\d{5})\b/.exec(normalized) || [])[1];
+
+        locations.forEach(location => {
+            let score = Geocoder.scoreName(normalized, location.name);
+
+            if (!score && Geocoder.matchesAddress(normalized, location.address)) {
+                score = 55;
+            }
+
+            if (score) {
+                candidates.push({
+                    label: location.name,
+                    kind: 'location',
+                    lat: location.lat,
+                    lng: location.lng,
+                    score: score + 5, // A named location beats a place with the same name
+                    location
+                });
+            }
+        });
+
+        entries.forEach(entry => {
+            let score = entry.kind === 'zip'
+                ? (zip === entry.name ? 95 : 0)
+                : Math.max(...[entry.name].concat(entry.aliases || []).map(name => Geocoder.scoreName(normalized, name)));
+
+            // Prefer the more specific place when several contain the query
+            if (score && entry.kind === 'neighborhood') score += 2;
+
+            if (score) {
+                candidates.push({
+                    label: entry.region ? `${entry.name}, ${entry.region}` : entry.name,
+                    kind: entry.kind,
+                    lat: entry.lat,
+                    lng: entry.lng,
+                    score
+                });
+            }
+        });
+
+        // A ZIP missing from the gazetteer can still be placed by a location that has it
+        if (zip && !candidates.some(candidate => candidate.kind === 'zip')) {
+            const location = locations.find(item => item.zip === zip);
+            if (location) {
+                candidates.push({ label: zip, kind: 'zip', lat: location.lat, lng: location.lng, score: 85 });
+            }
+        }
+
+        candidates.sort((a, b) => b.score - a.score);
+        const [best, runnerUp] = candidates;
+        if (runnerUp && runnerUp.score === best.score && (runnerUp.lat !== best.lat || runnerUp.lng !== best.lng)) {
+            return null;
+        }
+        return best || null;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Geocoder;
+}
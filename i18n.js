@@ -0,0 +1,160 @@
+// Zero Hunger Website - Internationalization
+// Message catalogs live in locales/<code>.json. Pages mark their copy with data-i18n="key" (and
+// data-i18n-placeholder, -aria-label, -title, -alt for attributes); script.js uses I18n.t() for its messages.
+
+// dir is 'rtl' for right-to-left scripts; <html dir> follows the selected locale
+const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    hi: { name: 'हिन्दी', dir: 'ltr' }
+};
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'zh-locale';
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+const i18nState = {
+    locale: DEFAULT_LOCALE,
+    catalogs: {}
+};
+
+const I18n = {
+    locales: () => Object.keys(LOCALES),
+
+    isLocale: (locale) => Object.prototype.hasOwnProperty.call(LOCALES, locale),
+
+    locale: () => i18nState.locale,
+
+    direction: (locale = i18nState.locale) => (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir,
+
+    // The saved choice, then the first supported browser language, then English
+    preferredLocale: () => {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+        } catch (error) {
+            // Storage can be blocked; the browser languages still apply
+        }
+        if (I18n.isLocale(saved)) return saved;
+
+        const languages = navigator.languages || [navigator.language || ''];
+        const match = languages.map(language => String(language).toLowerCase().split('-')[0]).find(I18n.isLocale);
+        return match || DEFAULT_LOCALE;
+    },
+
+    lookup: (catalog, key) => key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog),
+
+    // Message for key in the current locale, then in English, then `fallback`, then the key itself.
+    // {name} takes params.name; messages with plural forms ({ "one": ..., "other": ... }) pick one by params.count
+    t: (key, params = {}, fallback) => {
+        let message = I18n.lookup(i18nState.catalogs[i18nState.locale], key);
+        if (message === undefined) message = I18n.lookup(i18nState.catalogs[DEFAULT_LOCALE], key);
+        if (message === undefined) message = fallback === undefined ? key : fallback;
+
+        if (message && typeof message === 'object') {
+            const form = new Intl.PluralRules(i18nState.locale).select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!Object.prototype.hasOwnProperty.call(params, name)) return placeholder;
+            return typeof params[name] === 'number' ? I18n.number(params[name]) : String(params[name]);
+        });
+    },
+
+    number: (value, options) => new Intl.NumberFormat(i18nState.locale, options).format(value),
+
+    date: (value, options = { dateStyle: 'medium' }) => new Intl.DateTimeFormat(i18nState.locale, options).format(new Date(value)),
+
+    dateTime: (value, options = { dateStyle: 'medium', timeStyle: 'short' }) => I18n.date(value, options),
+
+    // "45 seconds", "3 minutos", "2 घंटे" for a duration in seconds
+    duration: (seconds) => {
+        const [value, unit] = seconds < 60 ? [seconds, 'second']
+            : seconds < 3600 ? [Math.ceil(seconds / 60), 'minute']
+            : [Math.ceil(seconds / 3600), 'hour'];
+        return I18n.number(value, { style: 'unit', unit, unitDisplay: 'long' });
+    },
+
+    loadCatalog: async (locale) => {
+        if (i18nState.catalogs[locale]) return;
+        const response = await fetch(`locales/${locale}.json`, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`Unable to load the ${locale} catalog (${response.status})`);
+        }
+        i18nState.catalogs[locale] = await response.json();
+    },
+
+    // Loads the catalogs and translates the page; resolves (in English at worst) even when loading fails
+    init: async () => {
+        const locale = I18n.preferredLocale();
+        try {
+            await Promise.all([I18n.loadCatalog(DEFAULT_LOCALE), I18n.loadCatalog(locale)]);
+            i18nState.locale = locale;
+        } catch (error) {
+            console.error('Catalog loading error:', error);
+        }
+
+        document.documentElement.lang = i18nState.locale;
+        document.documentElement.dir = I18n.direction();
+        I18n.translate(document);
+        I18n.renderSwitchers();
+    },
+
+    // The element's text is replaced and its child elements (icons, inputs) are kept. A message with
+    // {0}, {1} markers places the element's children at those positions instead.
+    translateElement: (element, message) => {
+        const parts = message.split(/\{(\d+)\}/);
+        if (parts.length > 1) {
+            const children = Array.from(element.children);
+            element.replaceChildren(...parts.map((part, index) => (index % 2 === 1 ? children[Number(part)] || '' : part)));
+            return;
+        }
+
+        const textNode = Array.from(element.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+        if (!textNode) {
+            element.append(message);
+            return;
+        }
+        // Keep the spacing next to icons
+        const [, before, after] = /^(\s*)[\s\S]*?(\s*)$/.exec(textNode.textContent);
+        textNode.textContent = `${before}${message}${after}`;
+    },
+
+    translate: (root) => {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            I18n.translateElement(element, I18n.t(element.getAttribute('data-i18n'), {}, element.textContent.trim()));
+        });
+        TRANSLATED_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, I18n.t(element.getAttribute(`data-i18n-${attribute}`), {}, element.getAttribute(attribute)));
+            });
+        });
+    },
+
+    // Every <select data-language-select> lists the locales by their own name
+    renderSwitchers: () => {
+        document.querySelectorAll('[data-language-select]').forEach(select => {
+            select.replaceChildren(...I18n.locales().map(locale => {
+                const option = document.createElement('option');
+                option.value = locale;
+                option.lang = locale;
+                option.textContent = LOCALES[locale].name;
+                option.selected = locale === i18nState.locale;
+                return option;
+            }));
+            select.addEventListener('change', () => I18n.setLocale(select.value));
+        });
+    },
+
+    // The choice is kept in localStorage for every page; the page reloads in the new language
+    setLocale: (locale) => {
+        if (!I18n.isLocale(locale) || locale === i18nState.locale) return;
+        try {
+            localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            console.error('Locale saving error:', error);
+        }
+        window.location.reload();
+    }
+};
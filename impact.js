@@ -0,0 +1,186 @@
+// Zero Hunger Website - Impact Statistics
+// Aggregates the stored submissions into the numbers, charts and exports on index.html and impact.html.
+// Food counts only once it is delivered; the delivery date comes from the audit log.
+
+// Feeding America's estimate of food weight per meal (1.2 lb)
+const KG_PER_MEAL = 0.54;
+
+// WRAP's average emissions avoided per kg of food kept out of waste, in kg CO2e
+const CO2E_PER_KG_FOOD = 2.5;
+
+// Same values as the food-type select on donate.html
+const FOOD_TYPE_LABELS = {
+    'perishable': 'Perishable',
+    'non-perishable': 'Non-perishable',
+    'cooked': 'Cooked Meals',
+    'bakery': 'Bakery Items'
+};
+
+// Columns of each downloadable dataset, in order
+const DATASET_COLUMNS = {
+    monthly: ['month', 'donations', 'meals', 'kgDiverted', 'co2eKg'],
+    foodTypes: ['foodType', 'label', 'donations', 'meals', 'kgDiverted', 'co2eKg']
+};
+
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+const GROWTH_YEARS = 4;
+
+const Impact = {
+    // recordId -> epoch ms of the change to 'delivered'
+    deliveryTimes: (auditEntries) => {
+        const times = new Map();
+        auditEntries
+            .filter(entry => entry.action === 'status' && entry.to === 'delivered')
+            .forEach(entry => times.set(entry.recordId, Date.parse(entry.createdAt)));
+        return times;
+    },
+
+    deliveredAt: (record, times) => times.get(record.id) || Date.parse(record.updatedAt || record.createdAt),
+
+    // Records delivered in [from, to), epoch ms
+    delivered: (records, times, from, to = Infinity) => records.filter(record => {
+        if (record.status !== 'delivered') return false;
+        const at = Impact.deliveredAt(record, times);
+        return at >= from && at < to;
+    }),
+
+    meals: (donations) => donations.reduce((sum, donation) => sum + (parseInt(donation.fields.quantity, 10) || 0), 0),
+
+    // Donors are counted once per email address
+    donorCount: (donations) => new Set(donations
+        .filter(donation => donation.status !== 'cancelled')
+        .map(donation => String(donation.fields['donor-email'] || donation.id).toLowerCase())).size,
+
+    // Meals, families and food rescued for deliveries in [from, to)
+    period: (data, times, from, to) => {
+        const meals = Impact.meals(Impact.delivered(data.donations, times, from, to));
+        return {
+            mealsDistributed: meals,
+            familiesServed: Impact.delivered(data.requests, times, from, to).length,
+            foodRescuedKg: Math.round(meals * KG_PER_MEAL),
+            co2eKg: Math.round(meals * KG_PER_MEAL * CO2E_PER_KG_FOOD)
+        };
+    },
+
+    // The last GROWTH_YEARS calendar years, with meal growth over the year before in percent
+    byYear: (data, times, now) => {
+        const years = [];
+        for (let offset = GROWTH_YEARS - 1; offset >= 0; offset--) {
+            const year = now.getFullYear() - offset;
+            const stats = Impact.period(data, times, new Date(year, 0, 1).getTime(), new Date(year + 1, 0, 1).getTime());
+            const previous = years[years.length - 1];
+            years.push({
+                year,
+                ...stats,
+                growth: previous && previous.mealsDistributed > 0
+                    ? Math.round((stats.mealsDistributed - previous.mealsDistributed) / previous.mealsDistributed * 100)
+                    : null
+            });
+        }
+        return years;
+    },
+
+    isMonth: (value) => typeof value === 'string' && MONTH_PATTERN.test(value),
+
+    // 'YYYY-MM' in the local zone
+    monthKey: (time) => {
+        const date = new Date(time);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    },
+
+    monthStart: (month) => {
+        const [, year, number] = MONTH_PATTERN.exec(month);
+        return new Date(Number(year), Number(number) - 1, 1).getTime();
+    },
+
+    // Every month from `from` to `to`, inclusive
+    monthRange: (from, to) => {
+        const months = [];
+        const date = new Date(Impact.monthStart(from));
+        while (Impact.monthKey(date) <= to) {
+            months.push(Impact.monthKey(date));
+            date.setMonth(date.getMonth() + 1);
+        }
+        return months;
+    },
+
+    // Datasets for the impact charts and exports: meals, kg diverted and CO2e per month, and the same
+    // per food type, for donations delivered from month `from` to month `to`.
+    // options: { from, to, locationId, locationOf(donation) -> directory location id | null }
+    series: (data, options) => {
+        const times = Impact.deliveryTimes(data.auditEntries);
+        const end = new Date(Impact.monthStart(options.to));
+        end.setMonth(end.getMonth() + 1);
+        const locationOf = options.locationOf || (() => null);
+
+        const donations = Impact.delivered(data.donations, times, Impact.monthStart(options.from), end.getTime())
+            .filter(donation => !options.locationId || String(locationOf(donation)) === String(options.locationId));
+
+        const totals = (rows) => rows.map(row => ({
+            ...row,
+            kgDiverted: Math.round(row.meals * KG_PER_MEAL),
+            co2eKg: Math.round(row.meals * KG_PER_MEAL * CO2E_PER_KG_FOOD)
+        }));
+        const monthly = Impact.monthRange(options.from, options.to).map(month => ({ month, donations: 0, meals: 0 }));
+        const foodTypes = Object.keys(FOOD_TYPE_LABELS).map(foodType => ({ foodType, label: FOOD_TYPE_LABELS[foodType], donations: 0, meals: 0 }));
+
+        donations.forEach(donation => {
+            const meals = Impact.meals([donation]);
+            const rows = [
+                monthly.find(row => row.month === Impact.monthKey(Impact.deliveredAt(donation, times))),
+                foodTypes.find(row => row.foodType === donation.fields['food-type'])
+            ];
+            rows.filter(Boolean).forEach(row => {
+                row.donations += 1;
+                row.meals += meals;
+            });
+        });
+
+        return {
+            from: options.from,
+            to: options.to,
+            locationId: options.locationId || null,
+            monthly: totals(monthly),
+            foodTypes: totals(foodTypes)
+        };
+    },
+
+    datasets: () => Object.keys(DATASET_COLUMNS),
+
+    // RFC 4180 CSV of one dataset. Text starting with = + - @ gets a leading ' so spreadsheets do not
+    // run it as a formula.
+    toCsv: (rows, dataset) => {
+        const columns = DATASET_COLUMNS[dataset];
+        const cell = (value) => {
+            let text = value === null || value === undefined ? '' : String(value);
+            if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.join(',')]
+            .concat(rows.map(row => columns.map(column => cell(row[column])).join(',')))
+            .join('\r\n') + '\r\n';
+    },
+
+    // data: { donations, requests, volunteers, auditEntries, locations }
+    aggregate: (data, now = new Date()) => {
+        const times = Impact.deliveryTimes(data.auditEntries);
+        const yearStart = new Date(now.getFullYear(), 0, 1).getTime();
+        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+
+        return {
+            totals: Impact.period(data, times, 0),
+            thisYear: Impact.period(data, times, yearStart),
+            thisMonth: Impact.period(data, times, monthStart),
+            activeDonors: Impact.donorCount(data.donations),
+            volunteers: data.volunteers.filter(volunteer => volunteer.status !== 'cancelled').length,
+            partners: data.locations.length,
+            byYear: Impact.byYear(data, times, now),
+            updatedAt: now.toISOString()
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Impact;
+}
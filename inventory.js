@@ -0,0 +1,100 @@
+// Zero Hunger Website - Inventory
+// Servings in stock per directory location and food category, summed from the stock movements the
+// server records (server/inventory.js). Low stock sets a location's supply status on find.html and
+// map.html; locations with no movements yet keep the stockStatus from data/locations.json.
+
+// Same values as the food-type select on donate.html
+const INVENTORY_CATEGORIES = ['perishable', 'non-perishable', 'cooked', 'bakery'];
+
+// request.html food type -> the category it is served from; 'any' takes whatever there is most of
+const REQUEST_CATEGORIES = {
+    'fresh': 'perishable',
+    'dairy': 'perishable',
+    'canned': 'non-perishable',
+    'bakery': 'bakery',
+    'cooked': 'cooked'
+};
+
+// Servings at or below which a category is low; a location can set its own lowStockThresholds
+const DEFAULT_LOW_STOCK = {
+    'perishable': 50,
+    'non-perishable': 100,
+    'cooked': 20,
+    'bakery': 30
+};
+
+// Location types that hold stock, for the food types they accept
+const STOCKED_TYPES = ['food-bank', 'donation-center', 'request-point'];
+
+const Inventory = {
+    url: '/api/inventory',
+
+    categories: () => INVENTORY_CATEGORIES.slice(),
+
+    isCategory: (value) => INVENTORY_CATEGORIES.includes(value),
+
+    // True when the location holds stock, of the given category if one is passed
+    stocks: (location, category) => STOCKED_TYPES.includes(location.type) &&
+        (!category || location.acceptedFoodTypes.includes(category)),
+
+    // { [locationId]: { [category]: servings } } from movements ({ locationId, category, change })
+    levels: (movements) => {
+        const levels = {};
+        movements.forEach(movement => {
+            const stock = levels[movement.locationId] || (levels[movement.locationId] = {});
+            stock[movement.category] = (stock[movement.category] || 0) + movement.change;
+        });
+        return levels;
+    },
+
+    threshold: (location, category) => {
+        const own = location.lowStockThresholds && location.lowStockThresholds[category];
+        return Number.isInteger(own) ? own : DEFAULT_LOW_STOCK[category];
+    },
+
+    // Category a request is served from; for 'any' (or no answer) the one with the most in stock
+    requestCategory: (foodType, stock = {}) => {
+        if (REQUEST_CATEGORIES[foodType]) return REQUEST_CATEGORIES[foodType];
+        const stocked = INVENTORY_CATEGORIES.filter(category => stock[category] > 0);
+        return stocked.length > 0 ? stocked.reduce((best, category) => (stock[category] > stock[best] ? category : best)) : null;
+    },
+
+    // [{ category, quantity, threshold, low }] for the food types the location accepts
+    summary: (location, stock) => location.acceptedFoodTypes
+        .filter(Inventory.isCategory)
+        .map(category => {
+            const quantity = stock[category] || 0;
+            const threshold = Inventory.threshold(location, category);
+            return { category, quantity, threshold, low: quantity <= threshold };
+        }),
+
+    // 'available', 'limited' (a category at or below its threshold) or 'out-of-stock' (nothing left);
+    // the directory's own status for locations without stock levels
+    status: (location, stock) => {
+        const summary = stock ? Inventory.summary(location, stock) : [];
+        if (summary.length === 0) return location.stockStatus;
+        if (summary.every(row => row.quantity === 0)) return 'out-of-stock';
+        return summary.some(row => row.low) ? 'limited' : 'available';
+    },
+
+    // Directory locations with stock levels applied: stockStatus from the stock, and stock as summary()
+    apply: (locations, levels) => locations.map(location => {
+        const stock = levels[String(location.id)];
+        if (!stock || !Inventory.stocks(location)) return location;
+        return { ...location, stockStatus: Inventory.status(location, stock), stock: Inventory.summary(location, stock) };
+    }),
+
+    // Levels from the server; {} when it cannot be reached (offline, or a plain static server)
+    loadLevels: async () => {
+        try {
+            const response = await fetch(Inventory.url, { credentials: 'same-origin' });
+            return response.ok ? (await response.json()).levels : {};
+        } catch (error) {
+            return {};
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Inventory;
+}
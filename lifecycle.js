@@ -0,0 +1,78 @@
+// Zero Hunger Website - Submission Lifecycle
+// Statuses a stored submission moves through, shared by admin.html, track.html and the server.
+// Donations and food requests: new -> scheduled -> picked-up -> delivered, or cancelled before delivery.
+
+const STATUS_LABELS = {
+    'new': 'New',
+    'scheduled': 'Scheduled',
+    'picked-up': 'Picked Up',
+    'delivered': 'Delivered',
+    'cancelled': 'Cancelled',
+    'active': 'Active'
+};
+
+const DELIVERY_TRANSITIONS = {
+    'new': ['scheduled', 'cancelled'],
+    'scheduled': ['picked-up', 'cancelled'],
+    'picked-up': ['delivered', 'cancelled'],
+    'delivered': [],
+    'cancelled': []
+};
+
+// What donors and requesters see on track.html for each internal status
+const TRACKING_STAGES = {
+    'received': 'Received',
+    'matched': 'Matched',
+    'out-for-delivery': 'Out for Delivery',
+    'completed': 'Completed',
+    'cancelled': 'Cancelled'
+};
+
+const STATUS_STAGES = {
+    'new': 'received',
+    'scheduled': 'matched',
+    'picked-up': 'out-for-delivery',
+    'delivered': 'completed',
+    'cancelled': 'cancelled'
+};
+
+// Submitters can still cancel or change the time until the food is on its way
+const SELF_SERVICE_STATUSES = ['new', 'scheduled'];
+
+// Allowed next statuses per store collection
+const LIFECYCLES = {
+    donations: DELIVERY_TRANSITIONS,
+    requests: DELIVERY_TRANSITIONS,
+    volunteers: {
+        'new': ['active', 'cancelled'],
+        'active': ['cancelled'],
+        'cancelled': ['active']
+    }
+};
+
+const Lifecycle = {
+    collections: () => Object.keys(LIFECYCLES),
+
+    isCollection: (collection) => Object.prototype.hasOwnProperty.call(LIFECYCLES, collection),
+
+    statuses: (collection) => Object.keys(LIFECYCLES[collection] || {}),
+
+    nextStatuses: (collection, status) => (LIFECYCLES[collection] && LIFECYCLES[collection][status]) || [],
+
+    canTransition: (collection, from, to) => Lifecycle.nextStatuses(collection, from).includes(to),
+
+    label: (status) => STATUS_LABELS[status] || status,
+
+    // A new record that already has an accepted match shows as matched
+    trackingStage: (status, matched) => (status === 'new' && matched ? 'matched' : STATUS_STAGES[status] || 'received'),
+
+    trackingStages: () => Object.keys(TRACKING_STAGES),
+
+    stageLabel: (stage) => TRACKING_STAGES[stage] || stage,
+
+    isSelfService: (status) => SELF_SERVICE_STATUSES.includes(status)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Lifecycle;
+}
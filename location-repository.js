@@ -0,0 +1,129 @@
+// Zero Hunger Website - Location Repository
+// Single source of food assistance locations for find.html, map.html and the server.
+// The directory lives in data/locations.json as a GeoJSON FeatureCollection.
+
+const LOCATION_LABELS = {
+    types: {
+        'food-bank': 'Food Bank',
+        'donation-center': 'Donation Center',
+        'request-point': 'Request Point',
+        'volunteer-hub': 'Volunteer Hub'
+    },
+    services: {
+        'food-pantry': 'Food Pantry',
+        'hot-meals': 'Hot Meals',
+        'emergency-food': 'Emergency Food',
+        'delivery': 'Home Delivery',
+        'donation-drop-off': 'Donation Drop-off',
+        'volunteer-coordination': 'Volunteer Coordination',
+        'snap-assistance': 'SNAP Assistance'
+    },
+    // Same values as the food-type select on donate.html
+    foodTypes: {
+        'perishable': 'Perishable',
+        'non-perishable': 'Non-perishable',
+        'cooked': 'Cooked Meals',
+        'bakery': 'Bakery Items'
+    },
+    stock: {
+        'available': 'Well Stocked',
+        'limited': 'Limited Supply',
+        'out-of-stock': 'Out of Stock'
+    }
+};
+
+// Location types where people can pick up food (shown on find.html)
+const DISTRIBUTION_TYPES = ['food-bank', 'request-point'];
+
+const LocationRepository = {
+    url: 'data/locations.json',
+    locations: null,
+    loading: null,
+
+    // Fetch and cache the directory; concurrent callers share one request
+    load: async () => {
+        if (LocationRepository.locations) return LocationRepository.locations;
+
+        if (!LocationRepository.loading) {
+            LocationRepository.loading = fetch(LocationRepository.url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Unable to load locations (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .then(collection => {
+                    LocationRepository.locations = LocationRepository.fromGeoJSON(collection);
+                    return LocationRepository.locations;
+                })
+                .finally(() => {
+                    LocationRepository.loading = null;
+                });
+        }
+
+        return LocationRepository.loading;
+    },
+
+    // Flatten GeoJSON features into the location objects used by the pages
+    fromGeoJSON: (collection) => {
+        if (!collection || collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+            throw new Error('Location data must be a GeoJSON FeatureCollection');
+        }
+
+        return collection.features
+            .filter(feature => feature && feature.geometry && feature.geometry.type === 'Point')
+            .map(feature => {
+                const properties = feature.properties || {};
+                const [lng, lat] = feature.geometry.coordinates;
+                return {
+                    ...properties,
+                    lat,
+                    lng,
+                    address: LocationRepository.formatAddress(properties),
+                    services: properties.services || [],
+                    acceptedFoodTypes: properties.acceptedFoodTypes || [],
+                    stockStatus: properties.stockStatus || 'available'
+                };
+            });
+    },
+
+    formatAddress: (properties) => {
+        const region = [properties.state, properties.zip].filter(Boolean).join(' ');
+        return [properties.street, properties.city, region].filter(Boolean).join(', ');
+    },
+
+    findById: (locations, id) => locations.find(location => String(location.id) === String(id)) || null,
+
+    // Case-insensitive match against name, street, city and ZIP code
+    search: (locations, query) => {
+        const terms = String(query || '').toLowerCase().split(/[\s,]+/).filter(Boolean);
+        if (terms.length === 0) return locations.slice();
+
+        return locations.filter(location => {
+            const haystack = [location.name, location.street, location.city, location.state, location.zip]
+                .join(' ')
+                .toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+    },
+
+    isDistributionPoint: (location) => DISTRIBUTION_TYPES.includes(location.type),
+
+    // Great-circle distance in miles
+    calculateDistance: (lat1, lon1, lat2, lon2) => {
+        const R = 3959; // Earth's radius in miles
+        const dLat = (lat2 - lat1) * Math.PI / 180;
+        const dLon = (lon2 - lon1) * Math.PI / 180;
+        const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+                  Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+                  Math.sin(dLon/2) * Math.sin(dLon/2);
+        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+        return R * c;
+    },
+
+    label: (group, value) => (LOCATION_LABELS[group] && LOCATION_LABELS[group][value]) || value
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationRepository;
+}
@@ -0,0 +1,79 @@
+// Zero Hunger Website - Map Filters
+// Filter model for the live map: several location types at once, accepted food type,
+// "open now" and wheelchair access. Filters round-trip through the URL query string.
+
+const MapFilters = {
+    // Plural values used by older links (?type=food-banks) mapped to LocationRepository types
+    TYPE_ALIASES: {
+        'food-banks': 'food-bank',
+        'donation-centers': 'donation-center',
+        'request-points': 'request-point',
+        'volunteer-hubs': 'volunteer-hub'
+    },
+
+    create: (values = {}) => ({
+        types: values.types || [],
+        foodType: values.foodType || '',
+        openNow: Boolean(values.openNow),
+        wheelchair: Boolean(values.wheelchair)
+    }),
+
+    normalizeType: (value) => MapFilters.TYPE_ALIASES[value] || value,
+
+    isEmpty: (filter) => filter.types.length === 0 && !filter.foodType && !filter.openNow && !filter.wheelchair,
+
+    matches: (filter, location, now = new Date()) => {
+        if (filter.types.length > 0 && !filter.types.includes(location.type)) return false;
+        if (filter.foodType && !location.acceptedFoodTypes.includes(filter.foodType)) return false;
+        if (filter.wheelchair && !location.wheelchairAccessible) return false;
+        if (filter.openNow) {
+            const { state } = OpeningHours.forLocation(location, now);
+            if (state !== 'open' && state !== 'closing-soon') return false;
+        }
+        return true;
+    },
+
+    apply: (filter, locations, now = new Date()) => locations.filter(location => MapFilters.matches(filter, location, now)),
+
+    // ?type=food-bank,request-point&food=cooked&open=1&access=wheelchair
+    toQueryString: (filter) => {
+        const params = new URLSearchParams();
+        if (filter.types.length > 0) params.set('type', filter.types.join(','));
+        if (filter.foodType) params.set('food', filter.foodType);
+        if (filter.openNow) params.set('open', '1');
+        if (filter.wheelchair) params.set('access', 'wheelchair');
+        // Commas are safe in query strings; keep ?type=a,b readable
+        const query = params.toString().replace(/%2C/g, ',');
+        return query ? `?${query}` : '';
+    },
+
+    fromQueryString: (search) => {
+        const params = new URLSearchParams(search);
+        const types = (params.get('type') || '')
+            .split(',')
+            .map(type => MapFilters.normalizeType(type.trim()))
+            .filter(type => Object.prototype.hasOwnProperty.call(LOCATION_LABELS.types, type));
+        const foodType = params.get('food') || '';
+
+        return MapFilters.create({
+            types: Array.from(new Set(types)),
+            foodType: Object.prototype.hasOwnProperty.call(LOCATION_LABELS.foodTypes, foodType) ? foodType : '',
+            openNow: params.get('open') === '1',
+            wheelchair: params.get('access') === 'wheelchair'
+        });
+    },
+
+    // Short human-readable summary, e.g. "food banks and request points, open now"
+    describe: (filter) => {
+        if (MapFilters.isEmpty(filter)) return 'all locations';
+
+        const parts = [];
+        parts.push(filter.types.length > 0
+            ? filter.types.map(type => `${LocationRepository.label('types', type).toLowerCase()}s`).join(' and ')
+            : 'all locations');
+        if (filter.foodType) parts.push(`accepting ${LocationRepository.label('foodTypes', filter.foodType).toLowerCase()}`);
+        if (filter.openNow) parts.push('open now');
+        if (filter.wheelchair) parts.push('wheelchair accessible');
+        return parts.join(', ');
+    }
+};
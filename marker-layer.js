@@ -0,0 +1,196 @@
+// Zero Hunger Website - Clustered Marker Layer
+// Renders only the locations inside the current map bounds, groups nearby ones into
+// clusters on a pixel grid and updates markers incrementally on pan, zoom and filter changes.
+// Markers are buttons for the keyboard: Tab reaches them, Enter or Space opens the popup or zooms
+// into the cluster, and focus moves into an open popup and back to its marker when it closes.
+
+class ClusteredMarkerLayer {
+    constructor(map, options) {
+        this.map = map;
+        this.getColor = options.getColor;
+        this.getColorClass = options.getColorClass;
+        this.createPopup = options.createPopup;
+        // Accessible names: "Eastside Pantry, Food Bank", "Cluster of 12 locations"
+        this.describe = options.describe || (location => location.name);
+        this.describeCluster = options.describeCluster || (group => String(group.length));
+        this.cellSize = options.cellSize || 60; // pixels
+        this.disableClusteringAtZoom = options.disableClusteringAtZoom || 17;
+
+        this.locations = [];
+        this.rendered = new Map(); // key -> marker currently on the map
+        this.markerCache = new Map(); // location id -> single-location marker
+        this.iconCache = new Map(); // location type -> L.divIcon
+        this.renderScheduled = false;
+
+        this.map.on('moveend zoomend', () => this.scheduleRender());
+    }
+
+    setLocations(locations) {
+        this.locations = locations;
+        this.render();
+    }
+
+    scheduleRender() {
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            this.render();
+        });
+    }
+
+    render() {
+        const zoom = this.map.getZoom();
+        const bounds = this.map.getBounds().pad(0.25);
+        const visible = this.locations.filter(location => bounds.contains([location.lat, location.lng]));
+        const groups = zoom >= this.disableClusteringAtZoom
+            ? visible.map(location => [location])
+            : this.groupByCell(visible, zoom);
+
+        const next = new Map();
+        groups.forEach(group => {
+            if (group.length === 1) {
+                const location = group[0];
+                const key = `location:${location.id}`;
+                next.set(key, this.rendered.get(key) || this.getMarker(location));
+            } else {
+                const key = `cluster:${zoom}:${group.map(location => location.id).sort().join(',')}`;
+                next.set(key, this.rendered.get(key) || this.createClusterMarker(group));
+            }
+        });
+
+        // Only touch markers that actually changed
+        this.rendered.forEach((marker, key) => {
+            if (!next.has(key)) this.map.removeLayer(marker);
+        });
+        next.forEach((marker, key) => {
+            if (!this.rendered.has(key)) marker.addTo(this.map);
+        });
+        this.rendered = next;
+    }
+
+    groupByCell(locations, zoom) {
+        const cells = new Map();
+        locations.forEach(location => {
+            const point = this.map.project([location.lat, location.lng], zoom);
+            const cell = `${Math.floor(point.x / this.cellSize)}:${Math.floor(point.y / this.cellSize)}`;
+            if (!cells.has(cell)) cells.set(cell, []);
+            cells.get(cell).push(location);
+        });
+        return Array.from(cells.values());
+    }
+
+    // Single-location markers are cached so open popups survive re-renders
+    getMarker(location) {
+        if (!this.markerCache.has(location.id)) {
+            const marker = L.marker([location.lat, location.lng], { icon: this.getIcon(location.type) })
+                // Built when opened so the content reflects the current time
+                .bindPopup(() => this.createPopup(location));
+            this.makeAccessible(marker, this.describe(location));
+
+            marker.on('popupopen', (e) => {
+                const content = e.popup.getElement().querySelector('.leaflet-popup-content');
+                content.tabIndex = -1;
+                // Scrolling would shift the map pane inside its overflow:hidden container
+                content.focus({ preventScroll: true });
+            });
+            marker.on('popupclose', () => {
+                // Closing removed the focused popup (close button, Escape): return to the marker
+                const element = marker.getElement();
+                if (element && (!document.activeElement || document.activeElement === document.body)) {
+                    element.focus({ preventScroll: true });
+                }
+            });
+            this.markerCache.set(location.id, marker);
+        }
+        return this.markerCache.get(location.id);
+    }
+
+    // One icon per location type, shared by every marker of that type
+    getIcon(type) {
+        if (!this.iconCache.has(type)) {
+            this.iconCache.set(type, L.divIcon({
+                className: 'custom-marker',
+                // Leaflet takes a string here; an element would be moved between the markers sharing the icon
+                html: String(SafeHTML.html`<div class="location-marker-dot ${this.getColorClass(type)}"></div>`),
+                iconSize: [30, 30],
+                iconAnchor: [15, 15]
+            }));
+        }
+        return this.iconCache.get(type);
+    }
+
+    createClusterMarker(group) {
+        const latSum = group.reduce((sum, location) => sum + location.lat, 0);
+        const lngSum = group.reduce((sum, location) => sum + location.lng, 0);
+        const [size, sizeClass] = group.length < 10 ? [36, 'small'] : group.length < 100 ? [44, 'medium'] : [52, 'large'];
+
+        // Each cluster has its own icon, so it can take an element. The gradient depends on the mix of
+        // types and is set through the CSSOM, which the CSP allows unlike a style attribute.
+        const element = SafeHTML.toElement(SafeHTML.html`<div class="marker-cluster marker-cluster-${sizeClass}"><span>${group.length.toLocaleString()}</span></div>`);
+        element.style.background = this.clusterBackground(group);
+
+        const icon = L.divIcon({
+            className: 'custom-marker',
+            html: element,
+            iconSize: [size, size],
+            iconAnchor: [size / 2, size / 2]
+        });
+
+        const marker = L.marker([latSum / group.length, lngSum / group.length], { icon });
+        this.makeAccessible(marker, this.describeCluster(group));
+        marker.on('click', () => {
+            // The cluster is replaced after zooming, so keyboard focus stays on the map instead
+            if (marker.getElement() === document.activeElement) {
+                this.map.getContainer().focus({ preventScroll: true });
+            }
+            this.map.fitBounds(L.latLngBounds(group.map(location => [location.lat, location.lng])), { padding: [40, 40] });
+        });
+        return marker;
+    }
+
+    // Leaflet gives marker icons tabindex 0, role="button" and Enter; this adds the name and Space.
+    // The icon element is recreated every time the marker is added to the map.
+    makeAccessible(marker, label) {
+        marker.on('add', () => {
+            const element = marker.getElement();
+            element.setAttribute('aria-label', label);
+            element.addEventListener('keydown', (e) => {
+                if (e.key === ' ') {
+                    e.preventDefault();
+                    marker.fire('click');
+                }
+            });
+        });
+    }
+
+    // Ring colored by the share of each location type in the cluster
+    clusterBackground(group) {
+        const counts = {};
+        group.forEach(location => {
+            counts[location.type] = (counts[location.type] || 0) + 1;
+        });
+
+        const types = Object.keys(counts);
+        if (types.length === 1) return this.getColor(types[0]);
+
+        let start = 0;
+        const stops = types.map(type => {
+            const end = start + (counts[type] / group.length) * 360;
+            const stop = `${this.getColor(type)} ${start}deg ${end}deg`;
+            start = end;
+            return stop;
+        });
+        return `conic-gradient(${stops.join(', ')})`;
+    }
+
+    // Zoom far enough that the location has its own marker, then open its popup
+    focus(location, zoom = this.disableClusteringAtZoom) {
+        if (!this.locations.includes(location)) return false;
+
+        this.map.setView([location.lat, location.lng], Math.max(zoom, this.map.getZoom()));
+        this.render();
+        this.getMarker(location).openPopup();
+        return true;
+    }
+}
@@ -0,0 +1,173 @@
+// Zero Hunger Website - Donation Matching
+// Ranks open food requests for a donation (and donations for a request) by urgency, food-type
+// compatibility, quantity versus family size, perishability and distance. Works on the records
+// stored by POST /api/submit ({ id, createdAt, timezoneOffset, fields }).
+
+const MatchingDeps = typeof module !== 'undefined' && module.exports
+    ? { FormSchemas: require('./form-schemas'), FoodSafety: require('./food-safety'), LocationRepository: require('./location-repository') }
+    : { FormSchemas, FoodSafety, LocationRepository };
+
+// Share of the final score (0-100) contributed by each factor
+const MATCH_WEIGHTS = {
+    urgency: 0.3,
+    foodType: 0.25,
+    quantity: 0.15,
+    timing: 0.15,
+    distance: 0.15
+};
+
+// request.html urgency -> priority and how many hours after the request food is needed
+const URGENCY_LEVELS = {
+    'immediate': { priority: 1, neededWithinHours: 12 },
+    'today': { priority: 0.75, neededWithinHours: 24 },
+    'tomorrow': { priority: 0.5, neededWithinHours: 48 },
+    'this-week': { priority: 0.25, neededWithinHours: 7 * 24 }
+};
+
+// How well a donated food type (donate.html) serves a requested one (request.html), 0 = incompatible
+const FOOD_COMPATIBILITY = {
+    'fresh': { 'perishable': 1 },
+    'dairy': { 'perishable': 0.6 },
+    'canned': { 'non-perishable': 1 },
+    'bakery': { 'bakery': 1 },
+    'cooked': { 'cooked': 1 }
+};
+
+const SERVINGS_PER_PERSON = 3; // One day of meals
+const MAX_MATCH_DISTANCE_MILES = 25;
+const UNKNOWN_DISTANCE_SCORE = 0.5;
+
+const Matching = {
+    // 'any' and an unanswered food-type accept every donation
+    foodCompatibility: (donatedType, requestedType) => {
+        if (!requestedType || requestedType === 'any') return 1;
+        return (FOOD_COMPATIBILITY[requestedType] || {})[donatedType] || 0;
+    },
+
+    pickupAt: (donation) => MatchingDeps.FormSchemas.toTimestamp(
+        donation.fields['pickup-date'],
+        donation.fields['pickup-time'],
+        donation.timezoneOffset
+    ),
+
+    // When the donated food stops being safe to eat (food-safety.js), Infinity or null
+    expiresAt: (donation) => MatchingDeps.FoodSafety.safeUntil(donation.fields, {
+        preparedAt: MatchingDeps.FormSchemas.toTimestamp(
+            donation.fields['prepared-date'],
+            donation.fields['prepared-time'],
+            donation.timezoneOffset
+        ),
+        submittedAt: Date.parse(donation.createdAt)
+    }),
+
+    // One day of meals for the household
+    servingsNeeded: (request) => (parseInt(request.fields['family-size'], 10) || 1) * SERVINGS_PER_PERSON,
+
+    neededBy: (request) => {
+        const level = URGENCY_LEVELS[request.fields.urgency];
+        const requestedAt = Date.parse(request.createdAt);
+        if (!level || Number.isNaN(requestedAt)) return null;
+        return requestedAt + level.neededWithinHours * 3600000;
+    },
+
+    // Score one donation/request pair. Returns { score, reasons, distance } or null when they cannot match.
+    // options: { now, locate(record) -> { lat, lng } | null }
+    score: (donation, request, options = {}) => {
+        const now = (options.now || new Date()).getTime();
+        const locate = options.locate || (() => null);
+        const reasons = [];
+
+        const donatedType = donation.fields['food-type'];
+        const requestedType = request.fields['food-type'];
+        const foodType = Matching.foodCompatibility(donatedType, requestedType);
+        if (foodType === 0) return null;
+        reasons.push(requestedType && requestedType !== 'any'
+            ? `${donatedType} food for a ${requestedType} request`
+            : `${donatedType} food; any food type accepted`);
+
+        const expiresAt = Matching.expiresAt(donation);
+        if (expiresAt !== null && expiresAt <= now) return null;
+
+        const level = URGENCY_LEVELS[request.fields.urgency] || URGENCY_LEVELS['this-week'];
+        reasons.push(`urgency: ${request.fields.urgency || 'not given'}`);
+
+        const needed = Matching.servingsNeeded(request);
+        const quantity = parseInt(donation.fields.quantity, 10) || 0;
+        const coverage = Math.min(1, quantity / needed);
+        reasons.push(`covers ${Math.min(quantity, needed)} of ${needed} servings`);
+
+        // Food picked up after the household needs it, or spoiling before then, is a weak match
+        const pickupAt = Matching.pickupAt(donation);
+        const neededBy = Matching.neededBy(request);
+        let timing = 1;
+        if (pickupAt !== null && neededBy !== null && pickupAt > neededBy) {
+            timing = 0.25;
+            reasons.push('pickup is after the requested time');
+        } else if (expiresAt !== null && expiresAt !== Infinity && neededBy !== null && expiresAt < neededBy) {
+            timing = 0.75;
+            reasons.push(pickupAt === null
+                ? 'must be delivered soon'
+                : `must be delivered within ${MatchingDeps.FoodSafety.hoursAfterPickup(expiresAt, pickupAt)} hours of pickup`);
+        }
+
+        const from = locate(donation);
+        const to = locate(request);
+        let distance = null;
+        let proximity = UNKNOWN_DISTANCE_SCORE;
+        if (from && to) {
+            distance = MatchingDeps.LocationRepository.calculateDistance(from.lat, from.lng, to.lat, to.lng);
+            if (distance > MAX_MATCH_DISTANCE_MILES) return null;
+            proximity = 1 - distance / MAX_MATCH_DISTANCE_MILES;
+            reasons.push(`${distance.toFixed(1)} miles apart`);
+        } else {
+            reasons.push('distance unknown');
+        }
+
+        const total = MATCH_WEIGHTS.urgency * level.priority +
+            MATCH_WEIGHTS.foodType * foodType +
+            MATCH_WEIGHTS.quantity * coverage +
+            MATCH_WEIGHTS.timing * timing +
+            MATCH_WEIGHTS.distance * proximity;
+
+        return {
+            score: Math.round(total * 100),
+            reasons,
+            distance: distance === null ? null : Math.round(distance * 10) / 10
+        };
+    },
+
+    proposal: (donation, request, result) => ({
+        donationId: donation.id,
+        requestId: request.id,
+        score: result.score,
+        distance: result.distance,
+        reasons: result.reasons
+    }),
+
+    // Best requests for a donation, highest score first
+    rankRequests: (donation, requests, options = {}) => requests
+        .map(request => {
+            const result = Matching.score(donation, request, options);
+            return result && Matching.proposal(donation, request, result);
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score),
+
+    // Best donations for a request; ties go to the donation that spoils first
+    rankDonations: (request, donations, options = {}) => donations
+        .map(donation => {
+            const result = Matching.score(donation, request, options);
+            const expiresAt = Matching.expiresAt(donation);
+            return result && {
+                ...Matching.proposal(donation, request, result),
+                expiresAt: Number.isFinite(expiresAt) ? expiresAt : Number.MAX_VALUE
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || a.expiresAt - b.expiresAt)
+        .map(({ expiresAt, ...proposal }) => proposal)
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Matching;
+}
@@ -0,0 +1,258 @@
+// Zero Hunger Website - Opening Hours
+// Parses free-text hours such as 'Mon-Fri: 9AM-6PM', 'Daily: 11AM-7PM' or '24/7 Emergency'
+// into weekly schedules and computes "Open now" / "Closes in 30 min" / "Opens Tue 10AM".
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_ALIASES = {
+    sun: 0, sunday: 0,
+    mon: 1, monday: 1,
+    tue: 2, tues: 2, tuesday: 2,
+    wed: 3, wednesday: 3,
+    thu: 4, thur: 4, thurs: 4, thursday: 4,
+    fri: 5, friday: 5,
+    sat: 6, saturday: 6
+};
+
+const DAY_GROUPS = {
+    'daily': [0, 1, 2, 3, 4, 5, 6],
+    'every day': [0, 1, 2, 3, 4, 5, 6],
+    'weekdays': [1, 2, 3, 4, 5],
+    'weekends': [0, 6]
+};
+
+const MINUTES_PER_DAY = 24 * 60;
+const CLOSING_SOON_MINUTES = 60;
+
+const OpeningHours = {
+    // Returns { valid, alwaysOpen, weekly, exceptions, note, text }.
+    // weekly[day] lists { open, close } in minutes after midnight (close may pass 1440 for overnight hours).
+    // exceptions maps 'YYYY-MM-DD' to { ranges, label } and replaces the weekly hours for that date.
+    parse: (text, exceptions = []) => {
+        const schedule = {
+            valid: true,
+            alwaysOpen: false,
+            weekly: [[], [], [], [], [], [], []],
+            exceptions: {},
+            note: '',
+            text: String(text || '').trim()
+        };
+
+        exceptions.forEach(exception => {
+            const ranges = OpeningHours.parseRanges(exception.hours || 'Closed');
+            if (ranges && /^\d{4}-\d{2}-\d{2}$/.test(exception.date)) {
+                schedule.exceptions[exception.date] = { ranges, label: exception.label || '' };
+            }
+        });
+
+        const alwaysOpen = /^24\s*\/\s*7\b\s*(.*)$/i.exec(schedule.text);
+        if (alwaysOpen) {
+            schedule.alwaysOpen = true;
+            schedule.note = alwaysOpen[1].trim();
+            schedule.weekly = schedule.weekly.map(() => [{ open: 0, close: MINUTES_PER_DAY }]);
+            return schedule;
+        }
+
+        const segments = schedule.text.split(/[;\n]+/).map(segment => segment.trim()).filter(Boolean);
+        if (segments.length === 0) {
+            schedule.valid = false;
+            return schedule;
+        }
+
+        for (const segment of segments) {
+            // The day list ends at the first colon; times such as 9:30 only appear after it
+            const match = /^([A-Za-z][A-Za-z\s,\-–]*?)\s*:\s*(.+)$/.exec(segment);
+            const days = match ? OpeningHours.parseDays(match[1]) : null;
+            const ranges = match ? OpeningHours.parseRanges(match[2]) : null;
+
+            if (!days || !ranges) {
+                schedule.valid = false;
+                return schedule;
+            }
+
+            days.forEach(day => {
+                schedule.weekly[day] = ranges;
+            });
+        }
+
+        return schedule;
+    },
+
+    // 'Mon-Fri', 'Tue-Sun', 'Mon, Wed, Fri', 'Daily', 'Weekends' -> [day indexes]
+    parseDays: (text) => {
+        const normalized = text.trim().toLowerCase();
+        if (DAY_GROUPS[normalized]) return DAY_GROUPS[normalized].slice();
+
+        const days = [];
+        for (const part of normalized.split(',').map(item => item.trim()).filter(Boolean)) {
+            const range = part.split(/\s*[-–]\s*/);
+            const start = DAY_ALIASES[range[0]];
+            const end = range.length === 2 ? DAY_ALIASES[range[1]] : start;
+            if (start === undefined || end === undefined || range.length > 2) return null;
+
+            // Ranges may wrap around the week, e.g. Sat-Mon
+            for (let day = start; ; day = (day + 1) % 7) {
+                if (!days.includes(day)) days.push(day);
+                if (day === end) break;
+            }
+        }
+
+        return days.length > 0 ? days : null;
+    },
+
+    // '9AM-6PM', '9:30AM-12PM, 1PM-5PM', 'Closed', '24 hours' -> [{ open, close }]
+    parseRanges: (text) => {
+        const normalized = text.trim().toLowerCase();
+        if (normalized === 'closed') return [];
+        if (normalized === '24 hours' || normalized === 'open 24 hours') {
+            return [{ open: 0, close: MINUTES_PER_DAY }];
+        }
+
+        const ranges = [];
+        for (const part of normalized.split(',').map(item => item.trim()).filter(Boolean)) {
+            const bounds = part.split(/\s*(?:-|–|to)\s*/);
+            if (bounds.length !== 2) return null;
+
+            const open = OpeningHours.parseTime(bounds[0]);
+            let close = OpeningHours.parseTime(bounds[1]);
+            if (open === null || close === null) return null;
+
+            // Closing at or before opening means the range runs past midnight
+            if (close <= open) close += MINUTES_PER_DAY;
+            ranges.push({ open, close });
+        }
+
+        return ranges.length > 0 ? ranges.sort((a, b) => a.open - b.open) : null;
+    },
+
+    // '9AM', '9:30 pm', '12PM', 'noon', 'midnight', '17:00' -> minutes after midnight
+    parseTime: (text) => {
+        const value = text.trim().toLowerCase();
+        if (value === 'noon') return 12 * 60;
+        if (value === 'midnight') return 0;
+
+        const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(value);
+        if (!match) return null;
+
+        let hours = parseInt(match[1], 10);
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        const meridiem = match[3];
+        if (minutes > 59) return null;
+
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            if (hours === 12) hours = 0;
+            if (meridiem === 'pm') hours += 12;
+        } else if (hours > 23 || !match[2]) {
+            // Bare numbers like '9' are ambiguous; 24-hour times need minutes
+            return null;
+        }
+
+        return hours * 60 + minutes;
+    },
+
+    // '10AM', '9:30AM', '12PM'
+    formatTime: (minutes) => {
+        const normalized = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+        const hours = Math.floor(normalized / 60);
+        const mins = normalized % 60;
+        const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+        const meridiem = hours < 12 ? 'AM' : 'PM';
+        return mins === 0 ? `${displayHours}${meridiem}` : `${displayHours}:${String(mins).padStart(2, '0')}${meridiem}`;
+    },
+
+    dateKey: (date) => [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-'),
+
+    // Ranges for a calendar date, taking date-specific exceptions into account
+    rangesOn: (schedule, date) => {
+        const exception = schedule.exceptions[OpeningHours.dateKey(date)];
+        return exception ? exception.ranges : schedule.weekly[date.getDay()];
+    },
+
+    // Compute the live state for `now` (the user's local time):
+    // { state: 'open' | 'closing-soon' | 'closed' | 'unknown', label, alwaysOpen?, minutesLeft?, opensAt?, closedReason? }.
+    // label is English; the other fields let pages compose it in their own language.
+    status: (schedule, now = new Date()) => {
+        if (!schedule || !schedule.valid) {
+            return { state: 'unknown', label: 'Hours not available' };
+        }
+
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const minuteOfDay = now.getHours() * 60 + now.getMinutes();
+        const todayException = schedule.exceptions[OpeningHours.dateKey(today)];
+
+        if (schedule.alwaysOpen && !todayException) {
+            return { state: 'open', label: 'Open 24/7', alwaysOpen: true };
+        }
+
+        // Open ranges covering now: today's, or yesterday's running past midnight
+        const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+        const candidates = OpeningHours.rangesOn(schedule, today).map(range => ({ ...range, offset: 0 }))
+            .concat(OpeningHours.rangesOn(schedule, yesterday).map(range => ({ ...range, offset: MINUTES_PER_DAY })));
+
+        const current = candidates.find(range =>
+            minuteOfDay + range.offset >= range.open && minuteOfDay + range.offset < range.close
+        );
+
+        if (current) {
+            const minutesLeft = current.close - (minuteOfDay + current.offset);
+            if (minutesLeft <= CLOSING_SOON_MINUTES && !OpeningHours.continuesAfter(schedule, today, current)) {
+                return { state: 'closing-soon', label: `Closes in ${minutesLeft} min`, minutesLeft };
+            }
+            return { state: 'open', label: 'Open now' };
+        }
+
+        const next = OpeningHours.nextOpening(schedule, today, minuteOfDay);
+        const closedReason = todayException && todayException.ranges.length === 0 && todayException.label
+            ? todayException.label
+            : null;
+        const closedToday = closedReason ? `Closed today (${closedReason})` : 'Closed';
+
+        if (!next) {
+            return { state: 'closed', label: closedToday, closedReason };
+        }
+
+        const when = next.daysAhead === 0
+            ? OpeningHours.formatTime(next.open)
+            : `${next.daysAhead === 1 ? 'tomorrow' : DAY_NAMES[next.date.getDay()]} ${OpeningHours.formatTime(next.open)}`;
+        return {
+            state: 'closed',
+            label: closedToday === 'Closed' ? `Opens ${when}` : `${closedToday} · Opens ${when}`,
+            opensAt: new Date(next.date.getTime() + next.open * 60000),
+            closedReason
+        };
+    },
+
+    // A range ending at midnight that the next day picks up again (e.g. 24/7 via weekly hours)
+    continuesAfter: (schedule, today, range) => {
+        if (range.offset !== 0 || range.close !== MINUTES_PER_DAY) return false;
+        const tomorrow = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        return OpeningHours.rangesOn(schedule, tomorrow).some(next => next.open === 0);
+    },
+
+    // First opening after `minuteOfDay` today, looking up to a week ahead
+    nextOpening: (schedule, today, minuteOfDay) => {
+        for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+            const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() + daysAhead);
+            const range = OpeningHours.rangesOn(schedule, date)
+                .find(candidate => daysAhead > 0 || candidate.open > minuteOfDay);
+            if (range) {
+                return { date, open: range.open, daysAhead };
+            }
+        }
+        return null;
+    },
+
+    // Convenience wrapper for location objects from LocationRepository
+    forLocation: (location, now = new Date()) => {
+        return OpeningHours.status(OpeningHours.parse(location.hours, location.hoursExceptions || []), now);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpeningHours;
+}
@@ -0,0 +1,116 @@
+// Zero Hunger Website - Offline Outbox
+// IndexedDB store of form submissions that could not reach the server, and drafts of the forms being typed.
+// Loaded by the pages before script.js and by the service worker (sw.js), which sends queued entries on
+// background sync. Entries: { id, formId, formType, payload, status: queued|sent|failed, ... }
+
+const OUTBOX_DB_NAME = 'zero-hunger';
+const OUTBOX_DB_VERSION = 1;
+
+const Outbox = {
+    syncTag: 'zh-outbox',
+    connection: null,
+
+    open: () => {
+        if (!Outbox.connection) {
+            Outbox.connection = new Promise((resolve, reject) => {
+                const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    request.result.createObjectStore('drafts', { keyPath: 'formId' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return Outbox.connection;
+    },
+
+    // One request against an object store; resolves with its result once the transaction commits
+    run: async (storeName, mode, operation) => {
+        const db = await Outbox.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    },
+
+    add: (submission) => Outbox.run('outbox', 'readwrite', store => store.add({
+        ...submission,
+        status: 'queued',
+        attempts: 0,
+        queuedAt: new Date().toISOString()
+    })),
+
+    all: () => Outbox.run('outbox', 'readonly', store => store.getAll()),
+
+    put: (entry) => Outbox.run('outbox', 'readwrite', store => store.put(entry)),
+
+    remove: (id) => Outbox.run('outbox', 'readwrite', store => store.delete(id)),
+
+    saveDraft: (formId, fields) => Outbox.run('drafts', 'readwrite', store => store.put({
+        formId,
+        fields,
+        savedAt: new Date().toISOString()
+    })),
+
+    loadDraft: (formId) => Outbox.run('drafts', 'readonly', store => store.get(formId)),
+
+    clearDraft: (formId) => Outbox.run('drafts', 'readwrite', store => store.delete(formId)),
+
+    // POST one queued entry with a fresh CSRF token. Returns 'sent', 'failed' when the server rejected
+    // it (sending again will not help) or 'retry' when it should stay queued.
+    send: async (entry) => {
+        let response;
+        try {
+            // Forms opened offline have no form ticket yet; a new one is too recent until the next attempt
+            if (!entry.payload.formTicket) {
+                const ticketResponse = await fetch(`/api/form-ticket?form=${encodeURIComponent(entry.formId)}`, { credentials: 'same-origin' });
+                entry = { ...entry, payload: { ...entry.payload, formTicket: (await ticketResponse.json()).ticket } };
+                await Outbox.put(entry);
+            }
+            const tokenResponse = await fetch('/api/csrf-token', { credentials: 'same-origin' });
+            const { token } = await tokenResponse.json();
+            response = await fetch('/api/submit', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': token
+                },
+                body: JSON.stringify(entry.payload)
+            });
+        } catch (error) {
+            return 'retry';
+        }
+
+        const body = await response.json().catch(() => ({}));
+        if (response.ok) {
+            await Outbox.put({ ...entry, status: 'sent', result: body, sentAt: new Date().toISOString() });
+            return 'sent';
+        }
+        if (response.status >= 500 || response.status === 429 || response.status === 403) {
+            await Outbox.put({ ...entry, attempts: entry.attempts + 1 });
+            return 'retry';
+        }
+        await Outbox.put({ ...entry, status: 'failed', error: body.error || `Submission failed (${response.status})`, code: body.code || null, details: body.details || null });
+        return 'failed';
+    },
+
+    // Send every queued entry; resolves false if some must wait for the next attempt. Pages and the
+    // service worker share a Web Lock so no entry is sent twice.
+    flush: () => {
+        const sendAll = async () => {
+            const queued = (await Outbox.all()).filter(entry => entry.status === 'queued');
+            for (const entry of queued) {
+                // Still offline: the rest would fail the same way
+                if (await Outbox.send(entry) === 'retry') return false;
+            }
+            return true;
+        };
+        return typeof navigator !== 'undefined' && navigator.locks
+            ? navigator.locks.request('zh-outbox', sendAll)
+            : sendAll();
+    }
+};
@@ -0,0 +1,119 @@
+// Zero Hunger Website - Safe HTML Templates
+// html`...` tagged templates that encode every interpolated value for where it lands: text and quoted
+// attributes are HTML-escaped, URL attributes only keep http(s), mailto, tel and relative links, and
+// values in event handlers, unquoted attributes or <script>/<style> are refused. Only markup built this
+// way can be rendered, so user input is stored verbatim and encoded on output.
+
+// Attributes whose value is loaded or navigated to
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'poster', 'cite', 'xlink:href'];
+
+const SAFE_URL_PATTERN = /^(?:(?:https?|mailto|tel):|[^a-z]|[a-z+.-]+(?:[^a-z+.\-:]|$))/i;
+
+// Colors, lengths and keywords; anything else in a style attribute is dropped
+const SAFE_STYLE_VALUE_PATTERN = /^[#\w\s.,%()-]*$/;
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Markup that came out of SafeHTML.html; plain strings are never treated as markup
+class SafeMarkup {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const SafeHTML = {
+    escape: (value) => String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]),
+
+    // The URL itself when it is relative or uses a safe scheme, otherwise a harmless '#'
+    url: (value) => {
+        // Browsers ignore control characters and whitespace inside the scheme ("java\tscript:")
+        const url = String(value).trim();
+        const scheme = url.replace(/[\u0000-\u0020\u007f]/g, '');
+        return SAFE_URL_PATTERN.test(scheme) ? url : '#';
+    },
+
+    // Where an interpolation lands, judged from the markup written before it
+    context: (before) => {
+        if (/<(script|style)\b[^>]*>(?![\s\S]*<\/\1)[\s\S]*$/i.test(before)) {
+            return { type: 'raw-text' };
+        }
+        const tag = /<[a-zA-Z][^<>]*$/.exec(before);
+        if (!tag) {
+            return { type: 'text' };
+        }
+        // A quoted value that is still open
+        const attribute = /\s([^\s"'<>/=]+)\s*=\s*("[^"]*|'[^']*)$/.exec(tag[0]);
+        if (attribute) {
+            const name = attribute[1].toLowerCase();
+            return {
+                type: name.startsWith('on') ? 'event-handler' : 'attribute',
+                name,
+                // Only a value at the start of the attribute can choose the URL's scheme
+                atStart: /=\s*["']$/.test(tag[0])
+            };
+        }
+        return { type: 'tag' };
+    },
+
+    encode: (value, context) => {
+        if (value === null || value === undefined || value === false || value === '') return '';
+        if (Array.isArray(value)) {
+            return value.map(item => SafeHTML.encode(item, context)).join('');
+        }
+        // Markup is written by the page itself, so it may also add attributes: ${open ? html`open` : ''}
+        if (value instanceof SafeMarkup && (context.type === 'text' || context.type === 'tag')) return value.value;
+
+        if (context.type !== 'text' && context.type !== 'attribute') {
+            throw new Error(`SafeHTML: values cannot be interpolated into ${context.type === 'event-handler' ? 'event handler attributes' : context.type === 'raw-text' ? '<script> or <style>' : 'a tag outside a quoted attribute'}`);
+        }
+        let text = String(value);
+        if (context.type === 'attribute' && URL_ATTRIBUTES.includes(context.name) && context.atStart) {
+            text = SafeHTML.url(text);
+        }
+        if (context.type === 'attribute' && context.name === 'style' && !SAFE_STYLE_VALUE_PATTERN.test(text)) {
+            text = '';
+        }
+        return SafeHTML.escape(text);
+    },
+
+    // Tagged template: html`<p>${name}</p>`. Nested html`` values and arrays of them are kept as markup.
+    html: (strings, ...values) => {
+        let output = strings[0];
+        values.forEach((value, index) => {
+            output += SafeHTML.encode(value, SafeHTML.context(output)) + strings[index + 1];
+        });
+        return new SafeMarkup(output);
+    },
+
+    isMarkup: (value) => value instanceof SafeMarkup,
+
+    // Replace an element's content; throws for anything not built with SafeHTML.html
+    render: (element, markup) => {
+        if (!SafeHTML.isMarkup(markup)) {
+            throw new TypeError('SafeHTML.render expects markup from SafeHTML.html');
+        }
+        element.innerHTML = markup.value;
+    },
+
+    // A detached element for APIs that take DOM nodes (Leaflet popups)
+    toElement: (markup) => {
+        const template = document.createElement('template');
+        SafeHTML.render(template, markup);
+        return template.content.firstElementChild;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafeHTML;
+}
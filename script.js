@@ -3,89 +3,48 @@
 
 // Security configuration
 const SECURITY_CONFIG = {
-    maxFormSubmissions: 5,
-    submissionTimeout: 60000, // 1 minute
-    maxInputLength: 500,
-    allowedEmailDomains: ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com', 'aol.com'],
-    rateLimitWindow: 300000, // 5 minutes
-    csrfToken: generateCSRFToken()
+    csrfToken: null // Issued by the server, see SecurityUtils.getCSRFToken()
 };
 
-// Rate limiting storage
-const rateLimitStore = new Map();
-
-// Generate CSRF token
-function generateCSRFToken() {
-    const array = new Uint8Array(32);
-    crypto.getRandomValues(array);
-    return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-}
-
 // Security utility functions
 const SecurityUtils = {
-    // Sanitize input to prevent XSS
-    sanitizeInput: (input) => {
-        if (typeof input !== 'string') return '';
-        return input
-            .replace(/[<>]/g, '')
-            .replace(/javascript:/gi, '')
-            .replace(/on\w+=/gi, '')
-            .trim()
-            .substring(0, SECURITY_CONFIG.maxInputLength);
+    // Fetch the CSRF token once per page; the server also sets it as a cookie
+    getCSRFToken: async () => {
+        if (SECURITY_CONFIG.csrfToken) return SECURITY_CONFIG.csrfToken;
+
+        const response = await fetch('/api/csrf-token', { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error('Unable to obtain CSRF token');
+        }
+        const { token } = await response.json();
+        SECURITY_CONFIG.csrfToken = token;
+        return token;
     },
 
     // Validate email format
     validateEmail: (email) => {
-        const sanitized = SecurityUtils.sanitizeInput(email);
+        const value = String(email).trim();
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(sanitized);
+        return emailRegex.test(value);
     },
 
     // Validate phone number
     validatePhone: (phone) => {
-        const sanitized = SecurityUtils.sanitizeInput(phone);
+        const value = String(phone).trim();
         const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-        return phoneRegex.test(sanitized) && sanitized.replace(/\D/g, '').length >= 10;
+        return phoneRegex.test(value) && value.replace(/\D/g, '').length >= 10;
     },
 
-    // Validate name (letters only)
-    validateName: (name) => {
-        const sanitized = SecurityUtils.sanitizeInput(name);
-        const nameRegex = /^[a-zA-Z\s\-']+$/;
-        return nameRegex.test(sanitized) && sanitized.length >= 2 && sanitized.length <= 50;
-    },
+    // Validate name (letters of any script, see FormSchemas.isName)
+    validateName: (name) => FormSchemas.isName(name),
 
-    // Rate limiting check
-    checkRateLimit: (identifier) => {
-        const now = Date.now();
-        const submissions = rateLimitStore.get(identifier) || [];
-        
-        // Remove old submissions outside the window
-        const recentSubmissions = submissions.filter(time => 
-            now - time < SECURITY_CONFIG.rateLimitWindow
-        );
-        
-        if (recentSubmissions.length >= SECURITY_CONFIG.maxFormSubmissions) {
-            return false;
+    // Refusal from the server in the page's language; error.code names the message (see server/abuse.js)
+    serverErrorMessage: (error) => {
+        const params = { wait: I18n.duration(error.retryAfter || 60) };
+        if (error.code) {
+            return I18n.t(`errors.${error.code}`, params, error.serverMessage);
         }
-        
-        recentSubmissions.push(now);
-        rateLimitStore.set(identifier, recentSubmissions);
-        return true;
-    },
-
-    // Detect suspicious patterns
-    detectSuspiciousActivity: (formData) => {
-        const suspiciousPatterns = [
-            /script|javascript|onload|onerror/gi,
-            /<iframe|<object|<embed/gi,
-            /eval\(|exec\(|system\(/gi,
-            /\$\{.*\}/gi,
-            /union.*select|drop.*table|insert.*into/gi
-        ];
-
-        const dataString = JSON.stringify(formData).toLowerCase();
-        return suspiciousPatterns.some(pattern => pattern.test(dataString));
+        return error.status === 429 ? I18n.t('errors.tooManySubmissions', params) : error.serverMessage;
     }
 };
 
@@ -111,18 +70,88 @@ class SecureFormHandler {
             input.addEventListener('blur', () => this.validateField(input));
             input.addEventListener('input', () => this.clearFieldError(input));
         });
+
+        // Keep a draft while the user types, so a lost connection or closed tab loses nothing
+        if (typeof Outbox !== 'undefined' && window.indexedDB) {
+            let draftTimer = null;
+            this.form.addEventListener('input', () => {
+                clearTimeout(draftTimer);
+                draftTimer = setTimeout(() => this.saveDraft(), 500);
+            });
+            this.restoreDraft();
+        }
+
+        this.formTicket = null;
+        this.loadFormTicket();
+    }
+
+    // Checkboxes are confirmations and are not kept, so they are ticked again on every submission
+    draftFields() {
+        const fields = {};
+        this.form.querySelectorAll('input, textarea, select').forEach(input => {
+            const name = input.name || input.id;
+            if (name && input.type !== 'checkbox' && input.value) {
+                fields[name] = input.value;
+            }
+        });
+        return fields;
+    }
+
+    saveDraft() {
+        const fields = this.draftFields();
+        const saved = Object.keys(fields).length > 0
+            ? Outbox.saveDraft(this.form.id, fields)
+            : Outbox.clearDraft(this.form.id);
+        saved.catch(error => console.error('Draft saving error:', error));
+    }
+
+    async restoreDraft() {
+        try {
+            const draft = await Outbox.loadDraft(this.form.id);
+            if (!draft) return;
+
+            Object.keys(draft.fields).forEach(name => {
+                const input = this.form.elements[name];
+                if (input && input.type !== 'checkbox' && !input.value) {
+                    input.value = draft.fields[name];
+                }
+            });
+            // Lets fields that depend on others (the cooked-meal details) catch up
+            this.form.dispatchEvent(new Event('change'));
+            this.showMessage(I18n.t('forms.draftRestored'), 'success');
+        } catch (error) {
+            console.error('Draft loading error:', error);
+        }
+    }
+
+    clearDraft() {
+        if (typeof Outbox !== 'undefined' && window.indexedDB) {
+            Outbox.clearDraft(this.form.id).catch(error => console.error('Draft clearing error:', error));
+        }
     }
 
     validateField(field) {
-        const value = SecurityUtils.sanitizeInput(field.value);
         const fieldName = field.name || field.id;
+        const schema = FormSchemas.get(this.form.id);
+
+        // Fields covered by the shared schema (form-schemas.js) use the same rules as the server
+        if (schema && schema.fields[fieldName]) {
+            const errorMessage = FormSchemas.validateField(this.form.id, fieldName, this.collectFormData(), {
+                timezoneOffset: new Date().getTimezoneOffset(),
+                translate: (key, message) => I18n.t(key, {}, message)
+            });
+            this.showFieldError(field, !errorMessage, errorMessage);
+            return !errorMessage;
+        }
+
+        const value = field.value.trim();
         let isValid = true;
         let errorMessage = '';
 
         // Required field validation
         if (field.hasAttribute('required') && !value) {
             isValid = false;
-            errorMessage = 'This field is required';
+            errorMessage = I18n.t('validation.required');
         }
 
         // Specific field validations
@@ -130,19 +159,19 @@ class SecureFormHandler {
             case 'email':
                 if (value && !SecurityUtils.validateEmail(value)) {
                     isValid = false;
-                    errorMessage = 'Please enter a valid email address';
+                    errorMessage = I18n.t('validation.email');
                 }
                 break;
             case 'tel':
                 if (value && !SecurityUtils.validatePhone(value)) {
                     isValid = false;
-                    errorMessage = 'Please enter a valid phone number';
+                    errorMessage = I18n.t('validation.phone');
                 }
                 break;
             case 'text':
                 if (fieldName.includes('name') && value && !SecurityUtils.validateName(value)) {
                     isValid = false;
-                    errorMessage = 'Name should only contain letters';
+                    errorMessage = I18n.t('validation.name');
                 }
                 break;
         }
@@ -157,64 +186,156 @@ class SecureFormHandler {
         
         if (!isValid) {
             field.classList.add('border-red-500');
+            field.setAttribute('aria-invalid', 'true');
             errorElement.textContent = message;
             errorElement.style.display = 'block';
         } else {
             field.classList.remove('border-red-500');
+            field.removeAttribute('aria-invalid');
             errorElement.style.display = 'none';
         }
     }
 
     clearFieldError(field) {
         field.classList.remove('border-red-500');
+        field.removeAttribute('aria-invalid');
         const errorElement = field.parentNode.querySelector('.error-message');
         if (errorElement) {
             errorElement.style.display = 'none';
         }
     }
 
+    // Linked with aria-describedby, so screen readers read the error with the field
     createErrorElement(field) {
         const errorElement = document.createElement('div');
         errorElement.className = 'error-message text-red-500 text-sm mt-1';
         errorElement.style.display = 'none';
+        if (field.id) {
+            errorElement.id = `${field.id}-error`;
+            const describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+            field.setAttribute('aria-describedby', describedBy.concat(errorElement.id).join(' '));
+        }
         field.parentNode.appendChild(errorElement);
         return errorElement;
     }
 
+    // The field's label without the required marker and any error shown inside it (checkbox labels)
+    fieldLabel(field) {
+        const label = (field.id && this.form.querySelector(`label[for="${CSS.escape(field.id)}"]`)) || field.closest('label');
+        if (!label) return field.name || field.id;
+        return Array.from(label.childNodes)
+            .filter(node => !(node.classList && node.classList.contains('error-message')))
+            .map(node => node.textContent)
+            .join('')
+            .trim()
+            .replace(/\s*\*$/, '');
+    }
+
+    // Listed at the top of the form after a failed submission; focus moves there so the problems are
+    // read out, and each entry links to its field. False when no field is marked invalid.
+    showErrorSummary() {
+        const fields = Array.from(this.form.querySelectorAll('[aria-invalid="true"]'));
+        if (fields.length === 0) {
+            this.clearErrorSummary();
+            return false;
+        }
+
+        let summary = this.form.querySelector('.error-summary');
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'error-summary';
+            summary.tabIndex = -1;
+            summary.setAttribute('aria-labelledby', `${this.form.id}-error-summary`);
+            summary.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-error-field]');
+                if (link) {
+                    e.preventDefault();
+                    document.getElementById(link.getAttribute('data-error-field')).focus();
+                }
+            });
+            this.form.prepend(summary);
+        }
+
+        SafeHTML.render(summary, SafeHTML.html`
+            <h3 id="${this.form.id}-error-summary" class="font-semibold mb-2">${I18n.t('a11y.errorSummary', { count: fields.length })}</h3>
+            <ul class="list-disc pl-5 space-y-1">
+                ${fields.map(field => SafeHTML.html`
+                    <li><a href="#${field.id}" data-error-field="${field.id}">${this.fieldLabel(field)}: ${field.parentNode.querySelector('.error-message').textContent}</a></li>
+                `)}
+            </ul>
+        `);
+        summary.focus();
+        return true;
+    }
+
+    clearErrorSummary() {
+        const summary = this.form.querySelector('.error-summary');
+        if (summary) summary.remove();
+    }
+
     async handleSecureSubmission() {
-        // Validate all fields
-        const inputs = this.form.querySelectorAll('input[required], textarea[required], select[required]');
+        // Validate all schema fields (optional ones can still be malformed) plus any other required input
+        const schema = FormSchemas.get(this.form.id);
+        const inputs = Array.from(this.form.querySelectorAll('input, textarea, select')).filter(input => {
+            return input.hasAttribute('required') || (schema && schema.fields[input.name || input.id]);
+        });
         let isFormValid = true;
 
+        const invalidFields = [];
         inputs.forEach(input => {
             if (!this.validateField(input)) {
                 isFormValid = false;
+                invalidFields.push(input.name || input.id);
             }
         });
 
         if (!isFormValid) {
-            this.showMessage('Please correct the errors in the form', 'error');
+            logSecurityEvent('validation-failed', { form: this.form.id, fields: invalidFields });
+            this.showErrorSummary();
             return;
         }
+        this.clearErrorSummary();
 
-        // Collect and sanitize form data
+        // Values are sent as typed; everything that displays them encodes on output (safe-html.js)
         const formData = this.collectFormData();
-        
-        // Security checks
-        if (!this.performSecurityChecks(formData)) {
-            return;
+        const suspicious = SecurityEvents.suspiciousFields(formData);
+        if (suspicious.length > 0) {
+            logSecurityEvent('suspicious-input', { form: this.form.id, fields: suspicious });
         }
-
+        
         // Show loading state
         this.setLoadingState(true);
 
+        if (!this.formTicket) {
+            await this.loadFormTicket();
+        }
+        const payload = this.buildPayload(formData);
         try {
-            // Simulate secure API call
-            await this.submitSecurely(formData);
-            this.showMessage(`${this.formType} submitted successfully! We'll contact you soon.`, 'success');
+            const result = await this.submitSecurely(payload);
+            this.showMessage(I18n.t(`forms.${this.form.id}.submitted`, { reference: result.reference }), 'success');
+            if (result.trackingToken) {
+                this.showTrackingDetails(result.reference, result.trackingToken);
+            }
             this.form.reset();
+            this.clearDraft();
+            this.loadFormTicket();
         } catch (error) {
-            this.showMessage('An error occurred. Please try again later.', 'error');
+            if (error.details) {
+                this.showServerErrors(error.details);
+                if (!this.showErrorSummary()) {
+                    this.showMessage(I18n.t('forms.correctErrors'), 'error');
+                }
+            } else if (error.status === 429 || (error.status === 400 && error.serverMessage)) {
+                this.showMessage(SecurityUtils.serverErrorMessage(error), 'error');
+            } else if ((!error.status || error.status >= 500) && await queueSubmission(this.form.id, this.formType, payload)) {
+                // No connection (or the server is down): the outbox sends it later
+                this.showMessage(I18n.t(`forms.${this.form.id}.queued`), 'success');
+                this.form.reset();
+                this.clearDraft();
+                this.loadFormTicket();
+            } else {
+                this.showMessage(I18n.t('forms.failed'), 'error');
+            }
             console.error('Submission error:', error);
         } finally {
             this.setLoadingState(false);
@@ -227,97 +348,157 @@ class SecureFormHandler {
         
         inputs.forEach(input => {
             const name = input.name || input.id;
-            if (name) {
-                formData[name] = SecurityUtils.sanitizeInput(input.value);
-            }
+            if (!name) return;
+
+            formData[name] = input.type === 'checkbox' ? input.checked : input.value;
         });
 
         return formData;
     }
 
-    performSecurityChecks(formData) {
-        // Check rate limiting
-        const identifier = formData.email || formData.phone || 'anonymous';
-        if (!SecurityUtils.checkRateLimit(identifier)) {
-            this.showMessage('Too many submissions. Please try again later.', 'error');
-            return false;
-        }
+    // Show field errors returned by the server's schema validation; the same schema check run here
+    // gives the message in the page's language
+    showServerErrors(errors) {
+        const data = this.collectFormData();
+        Object.keys(errors).forEach(name => {
+            const field = this.form.querySelector(`[name="${CSS.escape(name)}"]`);
+            if (field) {
+                const message = FormSchemas.validateField(this.form.id, name, data, {
+                    timezoneOffset: new Date().getTimezoneOffset(),
+                    translate: (key, fallback) => I18n.t(key, {}, fallback)
+                });
+                this.showFieldError(field, false, message || errors[name]);
+            }
+        });
+    }
 
-        // Detect suspicious activity
-        if (SecurityUtils.detectSuspiciousActivity(formData)) {
-            this.showMessage('Invalid submission detected.', 'error');
-            console.warn('Suspicious activity detected:', formData);
-            return false;
-        }
+    // Body for POST /api/submit; also what the outbox stores when the request cannot be sent
+    buildPayload(formData) {
+        return {
+            ...formData,
+            formType: this.formType,
+            formTicket: this.formTicket,
+            timestamp: new Date().toISOString(),
+            timezoneOffset: new Date().getTimezoneOffset(),
+            userAgent: navigator.userAgent.substring(0, 200)
+        };
+    }
 
-        return true;
+    // Signed time the form was shown; the server refuses forms sent back within a few seconds
+    async loadFormTicket() {
+        try {
+            const response = await fetch(`/api/form-ticket?form=${encodeURIComponent(this.form.id)}`, { credentials: 'same-origin' });
+            if (response.ok) {
+                this.formTicket = (await response.json()).ticket;
+            }
+        } catch (error) {
+            // Offline: the outbox asks for a ticket before sending
+            this.formTicket = null;
+        }
     }
 
-    async submitSecurely(formData) {
-        // Simulate API delay
-        await new Promise(resolve => setTimeout(resolve, 2000));
+    async submitSecurely(payload) {
+        const csrfToken = await SecurityUtils.getCSRFToken();
 
-        // In a real application, this would be a secure API call
         const response = await fetch('/api/submit', {
             method: 'POST',
+            credentials: 'same-origin',
             headers: {
                 'Content-Type': 'application/json',
-                'X-CSRF-Token': SECURITY_CONFIG.csrfToken
+                'X-CSRF-Token': csrfToken
             },
-            body: JSON.stringify({
-                ...formData,
-                formType: this.formType,
-                timestamp: new Date().toISOString(),
-                userAgent: navigator.userAgent.substring(0, 200)
-            })
+            body: JSON.stringify(payload)
         });
 
         if (!response.ok) {
-            throw new Error('Submission failed');
+            // Token may have expired; fetch a fresh one on the next attempt
+            if (response.status === 403) {
+                SECURITY_CONFIG.csrfToken = null;
+                logSecurityEvent('csrf-rejected', { form: this.form.id });
+            }
+            const body = await response.json().catch(() => ({}));
+            const error = new Error('Submission failed');
+            error.status = response.status;
+            error.serverMessage = body.error;
+            error.code = body.code;
+            if (response.status === 422) {
+                error.details = body.details;
+            }
+            if (response.status === 429) {
+                error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+                logSecurityEvent('rate-limited', { form: this.form.id, detail: body.error });
+            }
+            throw error;
         }
 
         return response.json();
     }
 
+    // Reference code and private tracking link; stays on the page, unlike the toast message
+    showTrackingDetails(reference, trackingToken) {
+        let panel = document.getElementById('tracking-details');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.id = 'tracking-details';
+            panel.className = 'mt-6 p-4 bg-green-50 border border-green-200 rounded-lg text-gray-700';
+            panel.setAttribute('role', 'status');
+            this.form.parentNode.insertBefore(panel, this.form.nextSibling);
+        }
+
+        // The token travels in the fragment, which browsers never send to the server
+        const link = `track.html#ref=${encodeURIComponent(reference)}&token=${encodeURIComponent(trackingToken)}`;
+        SafeHTML.render(panel, SafeHTML.html`
+            <p class="font-semibold mb-2">${I18n.t('forms.trackingReference')} <span class="font-mono">${reference}</span></p>
+            <p class="mb-2">${I18n.t('forms.trackingBookmark')}</p>
+            <a href="${link}" class="text-green-700 font-semibold hover:underline break-all">${new URL(link, window.location.href).href}</a>
+            <p class="text-sm text-gray-500 mt-2">${I18n.t('forms.trackingPrivate')}</p>
+        `);
+    }
+
     setLoadingState(loading) {
         const submitButton = this.form.querySelector('button[type="submit"]');
         if (loading) {
             submitButton.disabled = true;
-            submitButton.innerHTML = '<span class="spinner"></span> Processing...';
+            this.submitLabel = Array.from(submitButton.childNodes);
+            SafeHTML.render(submitButton, SafeHTML.html`<span class="spinner"></span> ${I18n.t('forms.processing')}`);
         } else {
             submitButton.disabled = false;
-            submitButton.innerHTML = submitButton.getAttribute('data-original-text') || 'Submit';
+            submitButton.replaceChildren(...(this.submitLabel || [I18n.t('forms.submit')]));
         }
     }
 
     showMessage(message, type) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
-            type === 'success' ? 'bg-green-500 text-white' : 'bg-red-500 text-white'
-        }`;
-        messageDiv.textContent = message;
-        document.body.appendChild(messageDiv);
-
-        setTimeout(() => {
-            messageDiv.remove();
-        }, 5000);
+        showMessage(message, type);
     }
 }
 
-// Initialize secure form handlers
-document.addEventListener('DOMContentLoaded', () => {
+// Form handlers by form id, so queued submissions can report back to their form
+const secureForms = {};
+
+// Initialize secure form handlers once the page is translated (i18n.js), so nothing rendered here is overwritten
+document.addEventListener('DOMContentLoaded', () => I18n.init().then(() => {
+    initializeToasts();
+
     // Initialize all forms with security
-    new SecureFormHandler('donation-form', 'Donation');
-    new SecureFormHandler('request-form', 'Food Request');
-    new SecureFormHandler('volunteer-form', 'Volunteer Registration');
+    secureForms['donation-form'] = new SecureFormHandler('donation-form', 'Donation');
+    secureForms['request-form'] = new SecureFormHandler('request-form', 'Food Request');
+    secureForms['volunteer-form'] = new SecureFormHandler('volunteer-form', 'Volunteer Registration');
+    initializeFoodSafety();
 
     // Initialize other features
     initializeMobileMenu();
+    initializePageActions();
     initializeStats();
     initializeFoodBankSearch();
     initializeSmoothScrolling();
     initializeInteractiveMap();
-});
+    initializeShiftBoard();
+    initializeTracking();
+    initializeUnsubscribe();
+    initializeImpactReports();
+    initializeOffline();
+    initializeSecurityTelemetry();
+}));
 
 // Mobile menu functionality
 function initializeMobileMenu() {
@@ -326,7 +507,8 @@ function initializeMobileMenu() {
 
     if (mobileMenuButton && mobileMenu) {
         mobileMenuButton.addEventListener('click', () => {
-            mobileMenu.classList.toggle('show');
+            const open = mobileMenu.classList.toggle('show');
+            mobileMenuButton.setAttribute('aria-expanded', String(open));
         });
 
         // Close menu when clicking on links
@@ -334,15 +516,39 @@ function initializeMobileMenu() {
         menuLinks.forEach(link => {
             link.addEventListener('click', () => {
                 mobileMenu.classList.remove('show');
+                mobileMenuButton.setAttribute('aria-expanded', 'false');
             });
         });
     }
 }
 
 // Animated statistics counter
-function initializeStats() {
-    const statElements = document.querySelectorAll('.stat-item [data-target]');
-    
+// Counters name a value of the GET /api/impact response in data-impact, e.g. "thisYear.mealsDistributed";
+// data-impact-text fills in a number in running copy without the animation
+async function initializeStats() {
+    const statElements = document.querySelectorAll('.stat-item [data-impact]');
+    const textElements = document.querySelectorAll('[data-impact-text]');
+    const growth = document.getElementById('impact-growth');
+    if (statElements.length === 0 && textElements.length === 0 && !growth) return;
+
+    let impact;
+    try {
+        const response = await fetch('/api/impact', { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`Unable to load impact statistics (${response.status})`);
+        }
+        impact = await response.json();
+    } catch (error) {
+        statElements.forEach(element => {
+            element.textContent = '–';
+        });
+        if (growth) {
+            SafeHTML.render(growth, SafeHTML.html`<p class="text-center text-gray-600 md:col-span-4">${I18n.t('impact.unavailable')}</p>`);
+        }
+        console.error('Impact loading error:', error);
+        return;
+    }
+
     const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
@@ -354,9 +560,46 @@ function initializeStats() {
         });
     });
 
+    const valueAt = (path) => {
+        const value = path.split('.').reduce((object, key) => object && object[key], impact);
+        return Number.isFinite(value) ? value : 0;
+    };
+
     statElements.forEach(element => {
+        element.setAttribute('data-target', valueAt(element.getAttribute('data-impact')));
         observer.observe(element);
     });
+    textElements.forEach(element => {
+        element.textContent = I18n.number(valueAt(element.getAttribute('data-impact-text')));
+    });
+
+    if (growth) {
+        renderImpactGrowth(growth, impact.byYear);
+    }
+}
+
+// Year-over-Year Growth on impact.html
+function renderImpactGrowth(container, years) {
+    SafeHTML.render(container, SafeHTML.html`${years.map(year => {
+        let change = I18n.t('impact.firstYear');
+        if (year.growth !== null) {
+            change = I18n.t('impact.growth', {
+                change: I18n.number(year.growth / 100, { style: 'percent', signDisplay: 'exceptZero', maximumFractionDigits: 1 }),
+                year: String(year.year - 1)
+            });
+        } else if (year.mealsDistributed === 0) {
+            change = I18n.t('impact.noDeliveries');
+        }
+
+        return SafeHTML.html`
+            <div class="text-center">
+                <div class="text-3xl font-bold text-green-600 mb-2">${year.year}</div>
+                <p class="text-gray-600">${I18n.t('impact.mealsServed', { count: year.mealsDistributed })}</p>
+                <p class="text-gray-600">${I18n.t('impact.familiesHelped', { count: year.familiesServed })}</p>
+                <p class="text-sm text-gray-500">${change}</p>
+            </div>
+        `;
+    })}`);
 }
 
 function animateCounter(element, target) {
@@ -368,10 +611,144 @@ function animateCounter(element, target) {
             current = target;
             clearInterval(timer);
         }
-        element.textContent = Math.floor(current).toLocaleString();
+        element.textContent = I18n.number(Math.floor(current));
     }, 20);
 }
 
+// Impact charts and exports (impact.html); Chart.js is loaded from the CDN on that page only
+const impactCharts = {};
+
+const FOOD_TYPE_COLORS = ['#16a34a', '#4f46e5', '#d97706', '#db2777'];
+
+function initializeImpactReports() {
+    const form = document.getElementById('impact-report-filters');
+    if (!form) return;
+
+    // Last 12 months by default, as on the server
+    const now = new Date();
+    const monthValue = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    form.elements.to.value = monthValue(now);
+    form.elements.from.value = monthValue(new Date(now.getFullYear(), now.getMonth() - 11, 1));
+
+    LocationRepository.load()
+        .then(locations => {
+            locations.forEach(location => {
+                const option = document.createElement('option');
+                option.value = location.id;
+                option.textContent = location.name;
+                form.elements.location.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Location loading error:', error));
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadImpactReports();
+    });
+
+    loadImpactReports();
+}
+
+function impactReportQuery() {
+    const form = document.getElementById('impact-report-filters');
+    const params = new URLSearchParams();
+    ['from', 'to', 'location'].forEach(name => {
+        if (form.elements[name].value) params.set(name, form.elements[name].value);
+    });
+    return params;
+}
+
+async function loadImpactReports() {
+    const summary = document.getElementById('impact-report-summary');
+    const params = impactReportQuery();
+
+    document.querySelectorAll('[data-impact-export]').forEach(link => {
+        const exportParams = new URLSearchParams(params);
+        exportParams.set('dataset', link.getAttribute('data-impact-export'));
+        exportParams.set('format', link.getAttribute('data-format'));
+        link.href = `/api/impact/export?${exportParams}`;
+    });
+
+    try {
+        const response = await fetch(`/api/impact/series?${params}`, { credentials: 'same-origin' });
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            summary.textContent = body.error || I18n.t('impact.reportsUnavailable');
+            return;
+        }
+
+        const meals = body.monthly.reduce((sum, row) => sum + row.meals, 0);
+        const kg = body.monthly.reduce((sum, row) => sum + row.kgDiverted, 0);
+        summary.textContent = I18n.t('impact.reportSummary', { meals, kg, from: formatMonth(body.from), to: formatMonth(body.to) });
+        renderImpactCharts(body);
+    } catch (error) {
+        summary.textContent = I18n.t('impact.reportsError');
+        console.error('Impact report error:', error);
+    }
+}
+
+// 'YYYY-MM' as "March 2025", "marzo de 2025", "मार्च 2025"
+function formatMonth(value, month = 'long') {
+    const [year, monthNumber] = value.split('-').map(Number);
+    return I18n.date(new Date(year, monthNumber - 1, 1), { year: 'numeric', month });
+}
+
+function renderImpactCharts(series) {
+    if (typeof Chart === 'undefined') return;
+
+    const months = series.monthly.map(row => formatMonth(row.month, 'short'));
+    const charts = {
+        'chart-meals': {
+            type: 'bar',
+            data: {
+                labels: months,
+                datasets: [{ label: I18n.t('impact.chartMeals'), data: series.monthly.map(row => row.meals), backgroundColor: '#4f46e5' }]
+            }
+        },
+        'chart-food-types': {
+            type: 'doughnut',
+            data: {
+                labels: series.foodTypes.map(row => I18n.t(`labels.foodTypes.${row.foodType}`, {}, row.label)),
+                datasets: [{ label: I18n.t('impact.chartMeals'), data: series.foodTypes.map(row => row.meals), backgroundColor: FOOD_TYPE_COLORS }]
+            }
+        },
+        'chart-environment': {
+            type: 'line',
+            data: {
+                labels: months,
+                datasets: [
+                    { label: I18n.t('impact.chartKgDiverted'), data: series.monthly.map(row => row.kgDiverted), borderColor: '#16a34a', backgroundColor: '#16a34a' },
+                    { label: I18n.t('impact.chartCo2e'), data: series.monthly.map(row => row.co2eKg), borderColor: '#0891b2', backgroundColor: '#0891b2' }
+                ]
+            }
+        }
+    };
+
+    Object.keys(charts).forEach(id => {
+        if (impactCharts[id]) {
+            impactCharts[id].destroy();
+        }
+        impactCharts[id] = new Chart(document.getElementById(id), charts[id]);
+    });
+}
+
+// Buttons name their handler in data-page-action; the CSP allows no inline onclick attributes
+const PAGE_ACTIONS = {
+    'search-food-banks': () => searchFoodBanks(),
+    'search-map': () => searchMapLocation(),
+    'use-my-location': (button) => getCurrentLocation(button)
+};
+
+function initializePageActions() {
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-page-action]');
+        const action = button && PAGE_ACTIONS[button.getAttribute('data-page-action')];
+        if (action) {
+            action(button);
+        }
+    });
+}
+
 // Food bank search functionality
 function initializeFoodBankSearch() {
     const searchInput = document.getElementById('location-search');
@@ -382,80 +759,160 @@ function initializeFoodBankSearch() {
             }
         });
     }
+
+    // Show the directory's distribution points until the user searches
+    if (document.getElementById('food-banks-results')) {
+        loadLocations()
+            .then(locations => displayFoodBanks('', locations))
+            .catch(error => console.error('Location loading error:', error));
+    }
+}
+
+// Directory locations with live stock levels (inventory.js); without the server each keeps the
+// stockStatus from data/locations.json
+async function loadLocations() {
+    const [locations, levels] = await Promise.all([LocationRepository.load(), Inventory.loadLevels()]);
+    return Inventory.apply(locations, levels);
 }
 
-function searchFoodBanks() {
+async function searchFoodBanks() {
     const searchInput = document.getElementById('location-search');
     const resultsContainer = document.getElementById('food-banks-results');
     
     if (!searchInput || !resultsContainer) return;
 
-    const location = SecurityUtils.sanitizeInput(searchInput.value);
+    const location = searchInput.value.trim();
     if (!location) {
-        showMessage('Please enter a location', 'error');
+        showMessage(I18n.t('search.enterLocation'), 'error');
         return;
     }
 
     // Show loading state
-    resultsContainer.innerHTML = '<div class="col-span-full text-center"><div class="spinner mx-auto"></div><p class="mt-4">Searching food banks...</p></div>';
-
-    // Simulate API call
-    setTimeout(() => {
-        displayFoodBanks(location);
-    }, 1500);
+    SafeHTML.render(resultsContainer, SafeHTML.html`<div class="col-span-full text-center"><div class="spinner mx-auto"></div><p class="mt-4">${I18n.t('search.searching')}</p></div>`);
+
+    try {
+        const locations = await loadLocations();
+        displayFoodBanks(location, locations);
+    } catch (error) {
+        SafeHTML.render(resultsContainer, SafeHTML.html`<p class="col-span-full text-center text-gray-600">${I18n.t('search.unavailable')}</p>`);
+        console.error('Location loading error:', error);
+    }
 }
 
-function displayFoodBanks(location) {
+function displayFoodBanks(location, locations) {
     const resultsContainer = document.getElementById('food-banks-results');
-    
-    // Mock food bank data
-    const foodBanks = [
-        {
-            name: 'Community Food Center',
-            address: '123 Main St, ' + location,
-            phone: '(555) 123-4567',
-            hours: 'Mon-Fri: 9AM-6PM',
-            distance: '0.5 miles',
-            status: 'open'
-        },
-        {
-            name: 'Hope Kitchen',
-            address: '456 Oak Ave, ' + location,
-            phone: '(555) 987-6543',
-            hours: 'Daily: 11AM-7PM',
-            distance: '1.2 miles',
-            status: 'open'
-        },
-        {
-            name: 'Neighborhood Pantry',
-            address: '789 Elm St, ' + location,
-            phone: '(555) 456-7890',
-            hours: 'Tue-Sat: 10AM-4PM',
-            distance: '2.0 miles',
-            status: 'limited'
-        }
-    ];
-
-    let html = '';
-    foodBanks.forEach(bank => {
-        html += `
+    const foodBanks = LocationRepository.search(locations, location)
+        .filter(LocationRepository.isDistributionPoint);
+
+    const cards = foodBanks.map(bank => {
+        const services = listLabels('services', bank.services);
+        const foodTypes = listLabels('foodTypes', bank.acceptedFoodTypes);
+        const openStatus = OpeningHours.forLocation(bank);
+        return SafeHTML.html`
             <div class="food-bank-card">
                 <h3 class="text-lg font-semibold mb-2">${bank.name}</h3>
-                <p class="text-gray-600 mb-2"><i class="fas fa-map-marker-alt mr-2"></i>${bank.address}</p>
-                <p class="text-gray-600 mb-2"><i class="fas fa-phone mr-2"></i>${bank.phone}</p>
-                <p class="text-gray-600 mb-2"><i class="fas fa-clock mr-2"></i>${bank.hours}</p>
+                <p class="text-gray-600 mb-2"><i class="fas fa-map-marker-alt mr-2" aria-hidden="true"></i>${bank.address}</p>
+                <p class="text-gray-600 mb-2"><i class="fas fa-phone mr-2" aria-hidden="true"></i>${bank.phone}</p>
+                <p class="text-gray-600 mb-2"><i class="fas fa-clock mr-2" aria-hidden="true"></i>${bank.hours}</p>
+                ${services ? SafeHTML.html`<p class="text-gray-600 mb-2"><i class="fas fa-hands-helping mr-2" aria-hidden="true"></i>${services}</p>` : ''}
+                ${foodTypes ? SafeHTML.html`<p class="text-gray-600 text-sm mb-2"><i class="fas fa-apple-alt mr-2" aria-hidden="true"></i>${I18n.t('locations.accepts', { foodTypes })}</p>` : ''}
                 <div class="flex justify-between items-center mt-4">
-                    <span class="distance">${bank.distance}</span>
-                    <span class="status ${bank.status}">${bank.status === 'open' ? 'Open' : 'Limited Supply'}</span>
+                    <span class="distance">${locationLabel('types', bank.type)}</span>
+                    <span class="status ${getOpenStatusClass(openStatus.state)}">${openStatusLabel(openStatus)}</span>
                 </div>
-                <button class="w-full mt-4 bg-green-600 text-white py-2 rounded hover:bg-green-700 transition">
-                    Get Directions
+                <div class="flex justify-end mt-2">
+                    <span class="status ${getStockStatusClass(bank.stockStatus)}">${locationLabel('stock', bank.stockStatus)}</span>
+                </div>
+                ${lowStockText(bank) ? SafeHTML.html`<p class="text-sm text-gray-600 mt-2 text-right">${lowStockText(bank)}</p>` : ''}
+                <button type="button" class="w-full mt-4 bg-green-600 text-white py-2 rounded hover:bg-green-700 transition" data-directions-id="${bank.id}">
+                    ${I18n.t('locations.getDirections')}
                 </button>
             </div>
         `;
     });
 
-    resultsContainer.innerHTML = html || '<p class="col-span-full text-center text-gray-600">No food banks found near ' + location + '</p>';
+    SafeHTML.render(resultsContainer, cards.length > 0
+        ? SafeHTML.html`${cards}`
+        : SafeHTML.html`<p class="col-span-full text-center text-gray-600">${I18n.t('search.noResults', { location })}</p>`);
+
+    // Directions are drawn on the map page, starting from the user's position
+    resultsContainer.querySelectorAll('[data-directions-id]').forEach(button => {
+        button.addEventListener('click', () => {
+            window.location.href = `map.html?directions=${encodeURIComponent(button.getAttribute('data-directions-id'))}`;
+        });
+    });
+}
+
+// LocationRepository labels in the page language
+function locationLabel(group, value) {
+    return I18n.t(`labels.${group}.${value}`, {}, LocationRepository.label(group, value));
+}
+
+function listLabels(group, values) {
+    return new Intl.ListFormat(I18n.locale(), { type: 'unit' }).format(values.map(value => locationLabel(group, value)));
+}
+
+function roleLabel(role) {
+    return I18n.t(`labels.roles.${role}`, {}, Shifts.roleLabel(role));
+}
+
+// OpeningHours.status() composed in the page language; falls back to its English label
+function openStatusLabel(status) {
+    if (status.state === 'unknown') return I18n.t('hours.unknown', {}, status.label);
+    if (status.alwaysOpen) return I18n.t('hours.alwaysOpen', {}, status.label);
+    if (status.state === 'closing-soon') return I18n.t('hours.closesIn', { minutes: status.minutesLeft }, status.label);
+    if (status.state === 'open') return I18n.t('hours.openNow', {}, status.label);
+
+    if (!status.opensAt) {
+        return status.closedReason
+            ? I18n.t('hours.closedToday', { reason: status.closedReason }, status.label)
+            : I18n.t('hours.closed', {}, status.label);
+    }
+
+    const now = new Date();
+    const daysAhead = Math.round((new Date(status.opensAt.getFullYear(), status.opensAt.getMonth(), status.opensAt.getDate())
+        - new Date(now.getFullYear(), now.getMonth(), now.getDate())) / 86400000);
+    const time = I18n.date(status.opensAt, { hour: 'numeric', minute: '2-digit' });
+    let when = time;
+    if (daysAhead === 1) {
+        when = I18n.t('hours.tomorrowAt', { time });
+    } else if (daysAhead > 1) {
+        when = I18n.date(status.opensAt, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+    }
+
+    return status.closedReason
+        ? I18n.t('hours.closedTodayOpens', { reason: status.closedReason, when }, status.label)
+        : I18n.t('hours.opens', { when }, status.label);
+}
+
+// Badge classes for OpeningHours.status() states
+function getOpenStatusClass(state) {
+    const classes = {
+        'open': 'open',
+        'closing-soon': 'limited',
+        'closed': 'closed'
+    };
+    return classes[state] || 'limited';
+}
+
+// Text color for an opening-hours state, see .open-status-* in styles.css
+function getOpenStatusTextClass(state) {
+    return ['open', 'closing-soon', 'closed'].includes(state) ? `open-status-${state}` : 'open-status-unknown';
+}
+
+// 'Running low on Perishable and Bakery Items' from live stock levels, '' when nothing is low
+function lowStockText(location) {
+    const low = (location.stock || []).filter(row => row.low).map(row => row.category);
+    return low.length > 0 ? I18n.t('locations.runningLow', { foodTypes: listLabels('foodTypes', low) }) : '';
+}
+
+function getStockStatusClass(stockStatus) {
+    const classes = {
+        'available': 'open',
+        'limited': 'limited',
+        'out-of-stock': 'closed'
+    };
+    return classes[stockStatus] || 'limited';
 }
 
 // Smooth scrolling
@@ -481,110 +938,162 @@ function scrollToSection(sectionId) {
     }
 }
 
-// Global message function
+// Toasts: messages go into live regions that exist from page load, so screen readers announce them.
+// Success and info messages leave after TOAST_DURATION (not while hovered or focused); errors stay until dismissed.
+const TOAST_DURATION = 8000; // 8 seconds
+const MAX_TOASTS = 3;
+
+function initializeToasts() {
+    if (document.getElementById('toast-region')) return;
+
+    const region = SafeHTML.toElement(SafeHTML.html`
+        <section id="toast-region" aria-label="${I18n.t('a11y.notifications')}">
+            <div id="toast-errors" role="alert" aria-live="assertive"></div>
+            <div id="toast-status" role="status" aria-live="polite"></div>
+        </section>
+    `);
+    document.body.appendChild(region);
+
+    region.addEventListener('click', (e) => {
+        const button = e.target.closest('.toast-dismiss');
+        if (button) {
+            dismissToast(button.closest('.toast'));
+        }
+    });
+}
+
+// Global message function; type is 'success', 'info' or 'error'
 function showMessage(message, type) {
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg z-50 ${
-        type === 'success' ? 'bg-green-500 text-white' : 'bg-red-500 text-white'
-    }`;
-    messageDiv.textContent = message;
-    document.body.appendChild(messageDiv);
-
-    setTimeout(() => {
-        messageDiv.remove();
-    }, 5000);
-}
-
-// Security headers and CSP (would be implemented server-side)
-const SECURITY_HEADERS = {
-    'Content-Security-Policy': "default-src 'self'; script-src 'self' 'unsafe-inline'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; font-src 'self' https:; connect-src 'self'",
-    'X-Frame-Options': 'DENY',
-    'X-Content-Type-Options': 'nosniff',
-    'X-XSS-Protection': '1; mode=block',
-    'Referrer-Policy': 'strict-origin-when-cross-origin',
-    'Permissions-Policy': 'geolocation=(), microphone=(), camera=()'
-};
+    initializeToasts();
+    const isError = type === 'error';
+    const toast = SafeHTML.toElement(SafeHTML.html`
+        <div class="toast ${isError ? 'toast-error' : type === 'info' ? 'toast-info' : 'toast-success'}">
+            <p>${message}</p>
+            <button type="button" class="toast-dismiss" aria-label="${I18n.t('a11y.dismiss')}"><span aria-hidden="true">&times;</span></button>
+        </div>
+    `);
+    document.getElementById(isError ? 'toast-errors' : 'toast-status').appendChild(toast);
+
+    const toasts = document.querySelectorAll('#toast-region .toast');
+    Array.from(toasts).slice(0, Math.max(0, toasts.length - MAX_TOASTS)).forEach(dismissToast);
+
+    if (isError) return;
 
-// Log security events (in production, this would go to a security monitoring service)
-function logSecurityEvent(event, data) {
-    const securityLog = {
-        timestamp: new Date().toISOString(),
-        event,
-        data,
-        userAgent: navigator.userAgent,
-        ip: 'client-ip' // Would be filled server-side
+    let timer = setTimeout(() => dismissToast(toast), TOAST_DURATION);
+    const pause = () => clearTimeout(timer);
+    const resume = () => {
+        if (toast.matches(':hover') || toast.contains(document.activeElement)) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => dismissToast(toast), TOAST_DURATION);
     };
-    
-    console.warn('Security Event:', securityLog);
-    // In production, send to security monitoring service
+    toast.addEventListener('mouseenter', pause);
+    toast.addEventListener('focusin', pause);
+    toast.addEventListener('mouseleave', resume);
+    toast.addEventListener('focusout', () => setTimeout(resume));
+}
+
+function dismissToast(toast) {
+    // Keep the keyboard user's place when the focused toast goes away
+    const main = document.getElementById('main-content');
+    if (main && toast.contains(document.activeElement)) {
+        main.focus();
+    }
+    toast.remove();
+}
+
+// Security telemetry: events are batched and sent with navigator.sendBeacon to /api/security-events.
+// Types and schema are in security-events.js; events carry field names, never what was typed.
+const SECURITY_EVENT_BATCH_SIZE = 10;
+const SECURITY_EVENT_DELAY = 5000; // 5 seconds
+
+const securityEvents = {
+    queue: [],
+    timer: null
+};
+
+// data: { form, fields, detail }
+function logSecurityEvent(type, data = {}) {
+    securityEvents.queue.push({
+        type,
+        at: new Date().toISOString(),
+        page: window.location.pathname,
+        form: data.form || null,
+        fields: data.fields || [],
+        detail: data.detail || null
+    });
+
+    if (securityEvents.queue.length >= SECURITY_EVENT_BATCH_SIZE) {
+        flushSecurityEvents();
+    } else if (!securityEvents.timer) {
+        securityEvents.timer = setTimeout(flushSecurityEvents, SECURITY_EVENT_DELAY);
+    }
+}
+
+function flushSecurityEvents() {
+    clearTimeout(securityEvents.timer);
+    securityEvents.timer = null;
+    if (securityEvents.queue.length === 0) return;
+
+    const body = JSON.stringify({ events: securityEvents.queue.splice(0) });
+    if (!sendSecurityBeacon(body)) {
+        fetch('/api/security-events', {
+            method: 'POST',
+            credentials: 'same-origin',
+            keepalive: true,
+            headers: { 'Content-Type': 'application/json' },
+            body
+        }).catch(() => {});
+    }
+}
+
+// sendBeacon survives the page closing. It returns false when the browser will not queue the data,
+// and some browsers throw for a Blob that is not a CORS-safelisted type such as application/json.
+function sendSecurityBeacon(body) {
+    if (!navigator.sendBeacon) return false;
+    try {
+        return navigator.sendBeacon('/api/security-events', new Blob([body], { type: 'application/json' }));
+    } catch (error) {
+        return false;
+    }
+}
+
+function initializeSecurityTelemetry() {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushSecurityEvents();
+        }
+    });
 }
 
 // Interactive Map Implementation
 let map;
-let markers = [];
+let markerLayer;
 let userLocationMarker;
 let circle;
 
-// Sample location data (in production, this would come from a database)
-const locationData = [
-    {
-        id: 1,
-        name: 'Central Food Bank',
-        type: 'food-bank',
-        lat: 40.7128,
-        lng: -74.0060,
-        address: '123 Main St, New York, NY',
-        phone: '(555) 123-4567',
-        hours: 'Mon-Fri: 9AM-6PM',
-        description: 'Main food distribution center'
-    },
-    {
-        id: 2,
-        name: 'Community Donation Center',
-        type: 'donation-center',
-        lat: 40.7580,
-        lng: -73.9855,
-        address: '456 Oak Ave, New York, NY',
-        phone: '(555) 987-6543',
-        hours: 'Daily: 8AM-8PM',
-        description: 'Food donation drop-off point'
-    },
-    {
-        id: 3,
-        name: 'Emergency Request Point',
-        type: 'request-point',
-        lat: 40.7489,
-        lng: -73.9680,
-        address: '789 Elm St, New York, NY',
-        phone: '(555) 456-7890',
-        hours: '24/7 Emergency',
-        description: 'Emergency food assistance'
-    },
-    {
-        id: 4,
-        name: 'Volunteer Hub',
-        type: 'volunteer-hub',
-        lat: 40.7282,
-        lng: -73.9942,
-        address: '321 Pine St, New York, NY',
-        phone: '(555) 234-5678',
-        hours: 'Mon-Sat: 10AM-6PM',
-        description: 'Volunteer coordination center'
-    },
-    {
-        id: 5,
-        name: 'West Side Food Pantry',
-        type: 'food-bank',
-        lat: 40.7831,
-        lng: -73.9712,
-        address: '567 Maple Dr, New York, NY',
-        phone: '(555) 345-6789',
-        hours: 'Tue-Sun: 11AM-5PM',
-        description: 'Local food pantry'
-    }
-];
-
-function initializeInteractiveMap() {
+// Loaded from data/locations.json through LocationRepository
+let locationData = [];
+let activeFilter = null; // MapFilters model, read from the URL when the map initializes
+
+// Nearby results panel: origin is the user's position or the last search match
+const nearbyState = {
+    origin: null,
+    radius: 5,
+    unit: 'mi'
+};
+let locationWatchId = null;
+
+// Route currently drawn on the map: { destination, routes (keyed by travel mode), mode }
+let activeRoute = null;
+let routeLine = null;
+
+const KM_PER_MILE = 1.609344;
+const NEARBY_LIST_LIMIT = 50; // Large directories would otherwise render thousands of rows
+
+async function initializeInteractiveMap() {
+    const mapElement = document.getElementById('interactive-map');
+    if (!mapElement || typeof L === 'undefined') return;
+
     // Initialize the map centered on New York
     map = L.map('interactive-map').setView([40.7128, -74.0060], 12);
 
@@ -594,8 +1103,43 @@ function initializeInteractiveMap() {
         maxZoom: 18
     }).addTo(map);
 
+    markerLayer = new ClusteredMarkerLayer(map, {
+        getColor: getLocationColor,
+        getColorClass: getLocationColorClass,
+        createPopup: createPopupContent,
+        describe: location => I18n.t('a11y.markerLabel', { name: location.name, type: locationLabel('types', location.type) }),
+        describeCluster: group => I18n.t('a11y.clusterLabel', { count: group.length })
+    });
+
     // Add all location markers
-    addLocationMarkers();
+    try {
+        locationData = await loadLocations();
+    } catch (error) {
+        showMessage(I18n.t('locations.loadError'), 'error');
+        console.error('Location loading error:', error);
+    }
+    // Filters from a shared link (?type=food-bank&open=1) apply on load
+    activeFilter = MapFilters.fromQueryString(window.location.search);
+    setFilterControls(activeFilter);
+    initializeMapFilters();
+    initializeMapListView();
+    addLocationMarkers(activeFilter);
+    initializeNearbyPanel();
+    initializeDirectionsPanel();
+
+    // Popups are rebuilt whenever they open, so their buttons are handled here
+    mapElement.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-directions-id]');
+        if (button) {
+            getDirections(button.getAttribute('data-directions-id'));
+        }
+    });
+
+    // find.html links here with ?directions=<location id>
+    const directionsTo = new URLSearchParams(window.location.search).get('directions');
+    if (directionsTo) {
+        getDirections(directionsTo);
+    }
 
     // Add search functionality
     const searchInput = document.getElementById('map-search');
@@ -608,205 +1152,1077 @@ function initializeInteractiveMap() {
     }
 }
 
-function addLocationMarkers(filter = 'all') {
-    // Clear existing markers
-    markers.forEach(marker => map.removeLayer(marker));
-    markers = [];
-
-    // Filter locations based on selected type
-    const filteredLocations = filter === 'all' 
-        ? locationData 
-        : locationData.filter(loc => loc.type === filter);
+function getFilteredLocations(filter) {
+    return MapFilters.apply(filter, locationData);
+}
 
-    // Add markers for filtered locations
-    filteredLocations.forEach(location => {
-        const color = getLocationColor(location.type);
-        const icon = L.divIcon({
-            className: 'custom-marker',
-            html: `<div style="background-color: ${color}; width: 30px; height: 30px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.3);"></div>`,
-            iconSize: [30, 30],
-            iconAnchor: [15, 15]
-        });
+function addLocationMarkers(filter = MapFilters.create()) {
+    activeFilter = filter;
 
-        const marker = L.marker([location.lat, location.lng], { icon })
-            .addTo(map)
-            .bindPopup(createPopupContent(location));
+    // The layer only draws what is in view and reuses unchanged markers
+    markerLayer.setLocations(getFilteredLocations(filter));
 
-        markers.push(marker);
-    });
+    renderNearbyPanel();
+    mapListState.shown = MAP_LIST_PAGE_SIZE;
+    renderMapListView();
 }
 
+// Same colors as the .location-color-* classes in styles.css; clusters mix them in a gradient
+const LOCATION_COLORS = {
+    'food-bank': '#16a34a',
+    'donation-center': '#2563eb',
+    'request-point': '#ea580c',
+    'volunteer-hub': '#9333ea'
+};
+
 function getLocationColor(type) {
-    const colors = {
-        'food-bank': '#16a34a',
-        'donation-center': '#2563eb',
-        'request-point': '#ea580c',
-        'volunteer-hub': '#9333ea'
-    };
-    return colors[type] || '#6b7280';
+    return LOCATION_COLORS[type] || '#6b7280';
+}
+
+function getLocationColorClass(type) {
+    return Object.prototype.hasOwnProperty.call(LOCATION_COLORS, type) ? `location-color-${type}` : 'location-color-other';
 }
 
 function createPopupContent(location) {
-    return `
-        <div style="min-width: 200px;">
-            <h3 style="margin: 0 0 10px 0; color: #1f2937; font-weight: bold;">${location.name}</h3>
-            <p style="margin: 5px 0; color: #6b7280; font-size: 14px;"><i class="fas fa-map-marker-alt"></i> ${location.address}</p>
-            <p style="margin: 5px 0; color: #6b7280; font-size: 14px;"><i class="fas fa-phone"></i> ${location.phone}</p>
-            <p style="margin: 5px 0; color: #6b7280; font-size: 14px;"><i class="fas fa-clock"></i> ${location.hours}</p>
-            <p style="margin: 5px 0; color: #6b7280; font-size: 12px;">${location.description}</p>
-            <button onclick="getDirections(${location.lat}, ${location.lng})" style="margin-top: 10px; background: #16a34a; color: white; border: none; padding: 8px 12px; border-radius: 4px; cursor: pointer; font-size: 14px;">
-                <i class="fas fa-directions"></i> Get Directions
+    const openStatus = OpeningHours.forLocation(location);
+    return SafeHTML.toElement(SafeHTML.html`
+        <div class="map-popup">
+            <h3>${location.name}</h3>
+            <p><i class="fas fa-map-marker-alt" aria-hidden="true"></i> ${location.address}</p>
+            <p><i class="fas fa-phone" aria-hidden="true"></i> ${location.phone}</p>
+            <p><i class="fas fa-clock" aria-hidden="true"></i> ${location.hours}</p>
+            <p class="popup-status ${getOpenStatusTextClass(openStatus.state)}">${openStatusLabel(openStatus)}</p>
+            <p class="popup-detail">${location.description}</p>
+            ${location.services.length ? SafeHTML.html`<p class="popup-detail"><i class="fas fa-hands-helping" aria-hidden="true"></i> ${listLabels('services', location.services)}</p>` : ''}
+            ${location.acceptedFoodTypes.length ? SafeHTML.html`<p class="popup-detail"><i class="fas fa-apple-alt" aria-hidden="true"></i> ${I18n.t('locations.accepts', { foodTypes: listLabels('foodTypes', location.acceptedFoodTypes) })}</p>` : ''}
+            <p class="popup-stock">${locationLabel('stock', location.stockStatus)}</p>
+            ${location.stock ? SafeHTML.html`<ul class="popup-stock-levels">${location.stock.map(row => SafeHTML.html`
+                <li class="${row.low ? 'stock-low' : ''}">${I18n.t(row.low ? 'locations.stockLow' : 'locations.stockLevel', { category: locationLabel('foodTypes', row.category), count: row.quantity })}</li>
+            `)}</ul>` : ''}
+            <button type="button" class="popup-directions" data-directions-id="${location.id}">
+                <i class="fas fa-directions" aria-hidden="true"></i> ${I18n.t('locations.getDirections')}
             </button>
         </div>
-    `;
+    `);
 }
 
-function getCurrentLocation() {
+function getCurrentLocation(button) {
     if (navigator.geolocation) {
-        const button = event.target;
         button.disabled = true;
-        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Getting location...';
+        SafeHTML.render(button, SafeHTML.html`<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> ${I18n.t('geolocation.locating')}`);
 
         navigator.geolocation.getCurrentPosition(
             (position) => {
-                const lat = position.coords.latitude;
-                const lng = position.coords.longitude;
-
-                // Remove previous user location marker
-                if (userLocationMarker) {
-                    map.removeLayer(userLocationMarker);
+                updateUserLocation(position, true);
+
+                // Keep the marker and nearby list current while the user moves
+                if (locationWatchId === null) {
+                    locationWatchId = navigator.geolocation.watchPosition(
+                        (update) => updateUserLocation(update, false),
+                        () => {},
+                        { maximumAge: 30000 }
+                    );
                 }
-                if (circle) {
-                    map.removeLayer(circle);
-                }
-
-                // Add user location marker
-                userLocationMarker = L.marker([lat, lng], {
-                    icon: L.divIcon({
-                        className: 'user-location-marker',
-                        html: '<div style="background-color: #3b82f6; width: 20px; height: 20px; border-radius: 50%; border: 3px solid white; box-shadow: 0 2px 6px rgba(0,0,0,0.3);"></div>',
-                        iconSize: [20, 20],
-                        iconAnchor: [10, 10]
-                    })
-                }).addTo(map);
-
-                // Add accuracy circle
-                circle = L.circle([lat, lng], {
-                    color: '#3b82f6',
-                    fillColor: '#3b82f6',
-                    fillOpacity: 0.1,
-                    radius: position.coords.accuracy
-                }).addTo(map);
-
-                // Center map on user location
-                map.setView([lat, lng], 13);
-
-                // Show nearby locations
-                showNearbyLocations(lat, lng);
 
                 button.disabled = false;
-                button.innerHTML = '<i class="fas fa-location-crosshairs mr-2"></i>Use My Location';
+                SafeHTML.render(button, SafeHTML.html`<i class="fas fa-location-crosshairs mr-2" aria-hidden="true"></i>${I18n.t('common.useMyLocation')}`);
                 
-                showMessage('Location found! Showing nearby food assistance locations.', 'success');
+                showMessage(I18n.t('geolocation.found'), 'success');
             },
             (error) => {
                 button.disabled = false;
-                button.innerHTML = '<i class="fas fa-location-crosshairs mr-2"></i>Use My Location';
+                SafeHTML.render(button, SafeHTML.html`<i class="fas fa-location-crosshairs mr-2" aria-hidden="true"></i>${I18n.t('common.useMyLocation')}`);
                 
-                let errorMessage = 'Unable to get your location.';
+                let errorMessage = I18n.t('geolocation.failed');
                 switch(error.code) {
                     case error.PERMISSION_DENIED:
-                        errorMessage = 'Location access denied. Please enable location services.';
+                        errorMessage = I18n.t('geolocation.denied');
                         break;
                     case error.POSITION_UNAVAILABLE:
-                        errorMessage = 'Location information unavailable.';
+                        errorMessage = I18n.t('geolocation.unavailable');
                         break;
                     case error.TIMEOUT:
-                        errorMessage = 'Location request timed out.';
+                        errorMessage = I18n.t('geolocation.timeout');
                         break;
                 }
                 showMessage(errorMessage, 'error');
             }
         );
     } else {
-        showMessage('Geolocation is not supported by your browser.', 'error');
+        showMessage(I18n.t('geolocation.unsupported'), 'error');
     }
 }
 
-function showNearbyLocations(userLat, userLng) {
-    const nearbyLocations = locationData.filter(location => {
-        const distance = calculateDistance(userLat, userLng, location.lat, location.lng);
-        return distance <= 5; // Within 5 miles
-    });
+function updateUserLocation(position, recenter) {
+    const lat = position.coords.latitude;
+    const lng = position.coords.longitude;
 
-    if (nearbyLocations.length > 0) {
-        let nearbyInfo = 'Nearby locations:\n';
-        nearbyLocations.forEach(location => {
-            const distance = calculateDistance(userLat, userLng, location.lat, location.lng);
-            nearbyInfo += `${location.name} (${distance.toFixed(1)} miles)\n`;
+    // Remove previous user location marker
+    if (userLocationMarker) {
+        map.removeLayer(userLocationMarker);
+    }
+    if (circle) {
+        map.removeLayer(circle);
+    }
+
+    // Add user location marker
+    userLocationMarker = L.marker([lat, lng], {
+        icon: L.divIcon({
+            className: 'user-location-marker',
+            html: '<div class="user-location-dot"></div>',
+            iconSize: [20, 20],
+            iconAnchor: [10, 10]
+        })
+    }).addTo(map);
+
+    // Add accuracy circle
+    circle = L.circle([lat, lng], {
+        color: '#3b82f6',
+        fillColor: '#3b82f6',
+        fillOpacity: 0.1,
+        radius: position.coords.accuracy
+    }).addTo(map);
+
+    // Center map on user location
+    if (recenter) {
+        map.setView([lat, lng], 13);
+    }
+
+    // Show nearby locations
+    showNearbyLocations(lat, lng);
+}
+
+function showNearbyLocations(userLat, userLng) {
+    nearbyState.origin = { lat: userLat, lng: userLng, label: I18n.t('nearby.yourLocation') };
+    renderNearbyPanel();
+}
+
+function initializeNearbyPanel() {
+    const radiusSelect = document.getElementById('nearby-radius');
+    const unitSelect = document.getElementById('nearby-unit');
+    if (!radiusSelect || !unitSelect) return;
+
+    radiusSelect.addEventListener('change', () => {
+        nearbyState.radius = parseFloat(radiusSelect.value);
+        renderNearbyPanel();
+    });
+
+    unitSelect.addEventListener('change', () => {
+        nearbyState.unit = unitSelect.value;
+        renderNearbyPanel();
+        renderDirectionsPanel();
+    });
+}
+
+// Convert a LocationRepository.calculateDistance() result (miles) into the panel's unit
+function toDisplayDistance(miles) {
+    return nearbyState.unit === 'km' ? miles * KM_PER_MILE : miles;
+}
+
+// "2.4 miles", "3,9 km"
+function formatDistance(miles) {
+    return I18n.number(toDisplayDistance(miles), {
+        style: 'unit',
+        unit: nearbyState.unit === 'km' ? 'kilometer' : 'mile',
+        unitDisplay: 'long',
+        minimumFractionDigits: 1,
+        maximumFractionDigits: 1
+    });
+}
+
+function renderNearbyPanel() {
+    const list = document.getElementById('nearby-list');
+    const summary = document.getElementById('nearby-summary');
+    if (!list || !summary) return;
+
+    const { origin, radius, unit } = nearbyState;
+    const distance = I18n.number(radius, { style: 'unit', unit: unit === 'km' ? 'kilometer' : 'mile', unitDisplay: 'long' });
+
+    if (!origin) {
+        list.replaceChildren();
+        summary.textContent = I18n.t('common.useYourLocationOrSearch');
+        return;
+    }
+
+    const nearby = getFilteredLocations(activeFilter)
+        .map(location => ({
+            location,
+            distance: LocationRepository.calculateDistance(origin.lat, origin.lng, location.lat, location.lng)
+        }))
+        .filter(item => toDisplayDistance(item.distance) <= radius)
+        .sort((a, b) => a.distance - b.distance);
+
+    summary.textContent = nearby.length > 0
+        ? I18n.t('nearby.found', { count: nearby.length, distance, origin: origin.label })
+        : I18n.t('nearby.none', { distance, origin: origin.label });
+    if (nearby.length > NEARBY_LIST_LIMIT) {
+        summary.textContent += I18n.t('nearby.limited', { count: NEARBY_LIST_LIMIT });
+    }
+
+    SafeHTML.render(list, SafeHTML.html`${nearby.slice(0, NEARBY_LIST_LIMIT).map(({ location, distance }) => {
+        const openStatus = OpeningHours.forLocation(location);
+        return SafeHTML.html`
+            <li class="bg-white rounded-lg shadow p-3">
+                <div class="flex justify-between items-start">
+                    <h3 class="font-semibold text-gray-800">${location.name}</h3>
+                    <span class="text-sm text-green-600 font-semibold whitespace-nowrap ml-2">${formatDistance(distance)}</span>
+                </div>
+                <p class="text-sm text-gray-600">
+                    <span class="inline-block w-3 h-3 rounded-full mr-1 ${getLocationColorClass(location.type)}"></span>
+                    ${locationLabel('types', location.type)}
+                </p>
+                <p class="text-sm font-semibold ${getOpenStatusTextClass(openStatus.state)}">${openStatusLabel(openStatus)}</p>
+                <button type="button" class="mt-2 text-sm text-blue-600 hover:underline" data-location-id="${location.id}">
+                    <i class="fas fa-map-marker-alt mr-1" aria-hidden="true"></i>${I18n.t('locations.showOnMap')}
+                </button>
+                <button type="button" class="mt-2 ml-3 text-sm text-green-600 hover:underline" data-directions-id="${location.id}">
+                    <i class="fas fa-directions mr-1" aria-hidden="true"></i>${I18n.t('common.directions')}
+                </button>
+            </li>
+        `;
+    })}`);
+
+    list.querySelectorAll('[data-location-id]').forEach(button => {
+        button.addEventListener('click', () => {
+            focusLocation(LocationRepository.findById(locationData, button.getAttribute('data-location-id')));
         });
-        showMessage(nearbyInfo, 'success');
-    } else {
-        showMessage('No food assistance locations found within 5 miles of your location.', 'error');
+    });
+    list.querySelectorAll('[data-directions-id]').forEach(button => {
+        button.addEventListener('click', () => getDirections(button.getAttribute('data-directions-id')));
+    });
+}
+
+function focusLocation(location) {
+    if (location) {
+        markerLayer.focus(location);
     }
 }
 
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 3959; // Earth's radius in miles
-    const dLat = (lat2 - lat1) * Math.PI / 180;
-    const dLon = (lon2 - lon1) * Math.PI / 180;
-    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-              Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-              Math.sin(dLon/2) * Math.sin(dLon/2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-    return R * c;
+// List view: the same filtered locations as the map, by name, MAP_LIST_PAGE_SIZE at a time
+const MAP_LIST_PAGE_SIZE = 50;
+const mapListState = {
+    shown: MAP_LIST_PAGE_SIZE
+};
+
+function initializeMapListView() {
+    const listView = document.getElementById('map-list-view');
+    const moreButton = document.getElementById('map-list-more');
+    if (!listView || !moreButton) return;
+
+    document.querySelectorAll('[data-map-view]').forEach(button => {
+        button.addEventListener('click', () => setMapView(button.getAttribute('data-map-view')));
+    });
+
+    moreButton.addEventListener('click', () => {
+        const firstNew = mapListState.shown;
+        mapListState.shown += MAP_LIST_PAGE_SIZE;
+        renderMapListView();
+        // Carry on from the first entry that was added
+        const entry = document.getElementById('map-list').children[firstNew];
+        if (entry) entry.focus();
+    });
+
+    // Both actions need the map, so they switch back to it first
+    listView.addEventListener('click', (e) => {
+        const showButton = e.target.closest('[data-location-id]');
+        const directionsButton = e.target.closest('[data-directions-id]');
+        if (showButton) {
+            setMapView('map');
+            focusLocation(LocationRepository.findById(locationData, showButton.getAttribute('data-location-id')));
+        } else if (directionsButton) {
+            setMapView('map');
+            getDirections(directionsButton.getAttribute('data-directions-id'));
+        }
+    });
 }
 
-function searchMapLocation() {
+function setMapView(view) {
+    document.getElementById('map-view').classList.toggle('hidden', view !== 'map');
+    document.getElementById('map-list-view').classList.toggle('hidden', view !== 'list');
+    document.querySelectorAll('[data-map-view]').forEach(button => {
+        const selected = button.getAttribute('data-map-view') === view;
+        button.setAttribute('aria-pressed', String(selected));
+        button.classList.toggle('border-green-500', selected);
+        button.classList.toggle('bg-green-50', selected);
+        button.classList.toggle('border-gray-200', !selected);
+        button.classList.toggle('bg-white', !selected);
+    });
+
+    // Leaflet measured the container while it was hidden
+    if (view === 'map') {
+        map.invalidateSize();
+    }
+}
+
+function renderMapListView() {
+    const list = document.getElementById('map-list');
+    const summary = document.getElementById('map-list-summary');
+    const moreButton = document.getElementById('map-list-more');
+    if (!list || !summary || !moreButton) return;
+
+    const collator = new Intl.Collator(I18n.locale());
+    const locations = getFilteredLocations(activeFilter).slice().sort((a, b) => collator.compare(a.name, b.name));
+    const shown = locations.slice(0, mapListState.shown);
+
+    summary.textContent = locations.length > 0
+        ? I18n.t('a11y.listSummary', { count: locations.length, shown: shown.length })
+        : I18n.t('a11y.listEmpty');
+    moreButton.classList.toggle('hidden', shown.length === locations.length);
+
+    SafeHTML.render(list, SafeHTML.html`${shown.map(location => {
+        const openStatus = OpeningHours.forLocation(location);
+        return SafeHTML.html`
+            <li class="border-b border-gray-200 pb-3" tabindex="-1">
+                <h3 class="font-semibold text-gray-800">${location.name}</h3>
+                <p class="text-sm text-gray-600">
+                    <span class="inline-block w-3 h-3 rounded-full mr-1 ${getLocationColorClass(location.type)}"></span>
+                    ${locationLabel('types', location.type)}
+                </p>
+                <p class="text-sm text-gray-600">${location.address}</p>
+                <p class="text-sm font-semibold ${getOpenStatusTextClass(openStatus.state)}">${openStatusLabel(openStatus)}</p>
+                <button type="button" class="mt-2 text-sm text-blue-600 hover:underline" data-location-id="${location.id}">
+                    <i class="fas fa-map-marker-alt mr-1" aria-hidden="true"></i>${I18n.t('locations.showOnMap')}
+                </button>
+                <button type="button" class="mt-2 ml-3 text-sm text-green-600 hover:underline" data-directions-id="${location.id}">
+                    <i class="fas fa-directions mr-1" aria-hidden="true"></i>${I18n.t('common.directions')}
+                </button>
+            </li>
+        `;
+    })}`);
+}
+
+async function searchMapLocation() {
     const searchInput = document.getElementById('map-search');
-    const query = SecurityUtils.sanitizeInput(searchInput.value);
+    const query = searchInput.value.trim();
     
     if (!query) {
-        showMessage('Please enter a location to search', 'error');
+        showMessage(I18n.t('search.enterLocationToSearch'), 'error');
         return;
     }
 
-    // In a real application, this would use a geocoding API
-    // For demo purposes, we'll simulate a search
-    showMessage(`Searching for locations near "${query}"...`, 'info');
+    let match;
+    try {
+        const gazetteer = await Geocoder.load();
+        match = Geocoder.resolve(query, locationData, gazetteer);
+    } catch (error) {
+        showMessage(I18n.t('search.geocoderUnavailable'), 'error');
+        console.error('Geocoder error:', error);
+        return;
+    }
 
-    // Simulate API call
-    setTimeout(() => {
-        // For demo, center on a random location
-        const randomLocation = locationData[Math.floor(Math.random() * locationData.length)];
-        map.setView([randomLocation.lat, randomLocation.lng], 14);
-        
-        // Open the popup for the found location
-        const marker = markers.find(m => 
-            m.getLatLng().lat === randomLocation.lat && 
-            m.getLatLng().lng === randomLocation.lng
-        );
-        if (marker) {
-            marker.openPopup();
-        }
-        
-        showMessage(`Found locations near "${query}"`, 'success');
-    }, 1500);
+    if (!match) {
+        showMessage(I18n.t('search.noMatch', { query }), 'error');
+        return;
+    }
+
+    map.setView([match.lat, match.lng], match.kind === 'city' ? 12 : 14);
+
+    // Open the popup when the search named a specific location
+    if (match.location) {
+        markerLayer.focus(match.location);
+    }
+
+    // List the locations nearest to the match in the results panel
+    nearbyState.origin = { lat: match.lat, lng: match.lng, label: match.label };
+    renderNearbyPanel();
+    showMessage(I18n.t('search.showingNearest', { place: match.label }), 'success');
+}
+
+function initializeMapFilters() {
+    const controls = document.querySelectorAll('#location-filter input, #food-type-filter, #open-now-filter, #wheelchair-filter');
+    controls.forEach(control => {
+        control.addEventListener('change', filterMapLocations);
+    });
+}
+
+function readFilterControls() {
+    const foodType = document.getElementById('food-type-filter');
+    const openNow = document.getElementById('open-now-filter');
+    const wheelchair = document.getElementById('wheelchair-filter');
+
+    return MapFilters.create({
+        types: Array.from(document.querySelectorAll('#location-filter input[name="location-type"]:checked'))
+            .map(input => input.value),
+        foodType: foodType ? foodType.value : '',
+        openNow: openNow ? openNow.checked : false,
+        wheelchair: wheelchair ? wheelchair.checked : false
+    });
+}
+
+function setFilterControls(filter) {
+    document.querySelectorAll('#location-filter input[name="location-type"]').forEach(input => {
+        input.checked = filter.types.includes(input.value);
+    });
+
+    const foodType = document.getElementById('food-type-filter');
+    const openNow = document.getElementById('open-now-filter');
+    const wheelchair = document.getElementById('wheelchair-filter');
+    if (foodType) foodType.value = filter.foodType;
+    if (openNow) openNow.checked = filter.openNow;
+    if (wheelchair) wheelchair.checked = filter.wheelchair;
 }
 
 function filterMapLocations() {
-    const filter = document.getElementById('location-filter').value;
+    const filter = readFilterControls();
     addLocationMarkers(filter);
+
+    // Keep the filters in the URL so the filtered map can be shared
+    const url = window.location.pathname + MapFilters.toQueryString(filter) + window.location.hash;
+    window.history.replaceState(null, '', url);
     
-    const filterText = filter === 'all' ? 'all locations' : filter.replace('-', ' ');
-    showMessage(`Showing ${filterText}`, 'info');
+    showMessage(I18n.t('filters.showing', { description: describeFilter(filter) }), 'info');
 }
 
-function getDirections(lat, lng) {
-    // Open Google Maps with directions
-    const url = `https://www.google.com/maps/dir/?api=1&destination=${lat},${lng}`;
-    window.open(url, '_blank');
-    
-    // Log the directions request (for analytics)
-    logSecurityEvent('directions_requested', { lat, lng });
+// MapFilters.describe() in the page language: "food banks and request points, open now"
+function describeFilter(filter) {
+    const list = (type) => new Intl.ListFormat(I18n.locale(), { type });
+    const parts = [filter.types.length > 0
+        ? list('conjunction').format(filter.types.map(type => I18n.t(`labels.typesPlural.${type}`, {}, type)))
+        : I18n.t('filters.allLocations')];
+    if (filter.foodType) parts.push(I18n.t('filters.accepting', { foodType: locationLabel('foodTypes', filter.foodType).toLowerCase() }));
+    if (filter.openNow) parts.push(I18n.t('filters.openNow'));
+    if (filter.wheelchair) parts.push(I18n.t('filters.wheelchair'));
+    return list('unit').format(parts);
+}
+
+// Route from the user's position to a location with the configured Directions provider
+async function getDirections(locationId) {
+    const destination = LocationRepository.findById(locationData, locationId);
+    if (!destination) {
+        showMessage(I18n.t('directions.notFound'), 'error');
+        return;
+    }
+
+    let origin;
+    try {
+        origin = await getUserPosition();
+    } catch (error) {
+        showMessage(I18n.t('directions.needLocation'), 'error');
+        return;
+    }
+
+    const routes = await Directions.plan(origin, destination);
+    const mode = Object.keys(routes).find(key => routes[key]);
+    if (!mode) {
+        showMessage(I18n.t('directions.unavailable'), 'error');
+        return;
+    }
+
+    activeRoute = { destination, routes, mode };
+    drawRoute(true);
+    renderDirectionsPanel();
+}
+
+// Last known position from "Use My Location", otherwise ask the browser once
+function getUserPosition() {
+    if (userLocationMarker) {
+        const { lat, lng } = userLocationMarker.getLatLng();
+        return Promise.resolve({ lat, lng });
+    }
+
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation is not supported'));
+            return;
+        }
+        navigator.geolocation.getCurrentPosition(position => {
+            updateUserLocation(position, false);
+            resolve({ lat: position.coords.latitude, lng: position.coords.longitude });
+        }, reject);
+    });
+}
+
+// Route line color; the travel mode buttons use the matching .route-color-* classes in styles.css
+function getRouteColor(mode) {
+    const colors = {
+        'walking': '#16a34a',
+        'transit': '#9333ea',
+        'driving': '#2563eb'
+    };
+    return colors[mode] || '#6b7280';
+}
+
+function drawRoute(fit) {
+    if (routeLine) {
+        map.removeLayer(routeLine);
+        routeLine = null;
+    }
+    if (!activeRoute) return;
+
+    const route = activeRoute.routes[activeRoute.mode];
+    routeLine = L.polyline(route.geometry, {
+        color: getRouteColor(activeRoute.mode),
+        weight: 5,
+        opacity: 0.8,
+        dashArray: activeRoute.mode === 'walking' ? '6 8' : null
+    }).addTo(map);
+
+    if (fit) {
+        map.fitBounds(routeLine.getBounds(), { padding: [40, 40] });
+    }
+}
+
+function initializeDirectionsPanel() {
+    const clearButton = document.getElementById('clear-directions');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearDirections);
+    }
+}
+
+function renderDirectionsPanel() {
+    const panel = document.getElementById('directions-panel');
+    const title = document.getElementById('directions-title');
+    const modes = document.getElementById('directions-modes');
+    if (!panel || !title || !modes) return;
+
+    if (!activeRoute) {
+        panel.classList.add('hidden');
+        modes.replaceChildren();
+        return;
+    }
+
+    panel.classList.remove('hidden');
+    title.textContent = I18n.t('directions.title', { name: activeRoute.destination.name });
+
+    SafeHTML.render(modes, SafeHTML.html`${Object.keys(Directions.MODES).map(mode => {
+        const settings = Directions.MODES[mode];
+        const route = activeRoute.routes[mode];
+        const selected = mode === activeRoute.mode;
+        return SafeHTML.html`
+            <li>
+                <button type="button" class="w-full flex items-center justify-between px-3 py-2 rounded-lg border ${selected ? 'border-green-500 bg-green-50' : 'border-gray-200 bg-white'}"
+                        data-route-mode="${mode}" aria-pressed="${selected}" ${route ? '' : SafeHTML.html`disabled`}>
+                    <span><i class="fas ${settings.icon} mr-2 route-color-${mode}" aria-hidden="true"></i>${I18n.t(`directions.modes.${mode}`, {}, settings.label)}</span>
+                    <span class="text-sm text-gray-700">${route
+                        ? `${formatRouteDuration(route.duration)} · ${formatDistance(Directions.toMiles(route.distance))}`
+                        : I18n.t('directions.modeUnavailable')}</span>
+                </button>
+            </li>
+        `;
+    })}`);
+
+    modes.querySelectorAll('[data-route-mode]').forEach(button => {
+        button.addEventListener('click', () => {
+            activeRoute.mode = button.getAttribute('data-route-mode');
+            drawRoute(false);
+            renderDirectionsPanel();
+        });
+    });
+}
+
+// Directions.formatDuration() in the page language: "4 min", "1 hr, 5 min"
+function formatRouteDuration(seconds) {
+    const minutes = Math.max(1, Math.round(seconds / 60));
+    const unit = (value, name) => I18n.number(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+    if (minutes < 60) return unit(minutes, 'minute');
+
+    const parts = [unit(Math.floor(minutes / 60), 'hour')];
+    if (minutes % 60 !== 0) parts.push(unit(minutes % 60, 'minute'));
+    return new Intl.ListFormat(I18n.locale(), { type: 'unit', style: 'narrow' }).format(parts);
+}
+
+function clearDirections() {
+    activeRoute = null;
+    drawRoute(false);
+    renderDirectionsPanel();
+}
+
+// Volunteer shift board (shifts.html)
+const shiftBoard = {
+    shifts: [],
+    mine: null // { volunteer, shifts, deliveries } once the volunteer cookie is recognized
+};
+
+function initializeShiftBoard() {
+    const list = document.getElementById('shift-list');
+    if (!list) return;
+
+    const locationFilter = document.getElementById('shift-location-filter');
+    const roleFilter = document.getElementById('shift-role-filter');
+
+    LocationRepository.load()
+        .then(locations => {
+            locations.forEach(location => {
+                const option = document.createElement('option');
+                option.value = location.id;
+                option.textContent = location.name;
+                locationFilter.appendChild(option);
+            });
+        })
+        .catch(error => console.error('Location loading error:', error));
+
+    [locationFilter, roleFilter].forEach(select => select.addEventListener('change', renderShiftList));
+
+    // Delegated so re-rendered buttons keep working
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-shift-action]');
+        if (button) {
+            updateShiftSignup(button.getAttribute('data-shift-id'), button.getAttribute('data-shift-action'), button);
+        }
+    });
+
+    loadShiftBoard();
+}
+
+async function loadShiftBoard() {
+    try {
+        const [shiftsResponse, mineResponse] = await Promise.all([
+            fetch('/api/shifts', { credentials: 'same-origin' }),
+            fetch('/api/volunteers/me/shifts', { credentials: 'same-origin' })
+        ]);
+        if (!shiftsResponse.ok) {
+            throw new Error(`Unable to load shifts (${shiftsResponse.status})`);
+        }
+
+        shiftBoard.shifts = (await shiftsResponse.json()).shifts;
+        shiftBoard.mine = mineResponse.ok ? await mineResponse.json() : null;
+    } catch (error) {
+        document.getElementById('shift-summary').textContent = I18n.t('shifts.loadError');
+        console.error('Shift loading error:', error);
+        return;
+    }
+
+    renderMyShifts();
+    renderShiftList();
+}
+
+function isSignedUpFor(shiftId) {
+    return Boolean(shiftBoard.mine && shiftBoard.mine.shifts.some(shift => shift.id === shiftId));
+}
+
+function renderMyShifts() {
+    const list = document.getElementById('my-shifts');
+    const summary = document.getElementById('my-shifts-summary');
+
+    if (!shiftBoard.mine) {
+        list.replaceChildren();
+        SafeHTML.render(summary, SafeHTML.html`<a href="volunteer.html" class="text-purple-600 font-semibold hover:underline">${I18n.t('shifts.volunteerPage')}</a>`);
+        I18n.translateElement(summary, I18n.t('shifts.registerPrompt'));
+        return;
+    }
+
+    const { volunteer, shifts, deliveries } = shiftBoard.mine;
+    const items = shifts.map(shift => ({ ...shift, kind: 'shift' }))
+        .concat(deliveries.map(delivery => ({ ...delivery, kind: 'delivery' })))
+        .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+
+    summary.textContent = items.length > 0
+        ? I18n.t('shifts.greeting', { name: volunteer.name })
+        : I18n.t('shifts.greetingEmpty', { name: volunteer.name });
+
+    SafeHTML.render(list, SafeHTML.html`${items.map(item => item.kind === 'shift' ? SafeHTML.html`
+        <li class="bg-purple-50 rounded-lg p-4 flex justify-between items-start">
+            <div>
+                <p class="font-semibold text-gray-800">${roleLabel(item.role)} · ${item.locationName}</p>
+                <p class="text-sm text-gray-600"><i class="fas fa-clock mr-2" aria-hidden="true"></i>${Shifts.formatSlot(item, I18n.locale())}</p>
+                <p class="text-sm text-gray-600"><i class="fas fa-map-marker-alt mr-2" aria-hidden="true"></i>${item.address}</p>
+            </div>
+            <button type="button" class="text-sm text-red-600 hover:underline" data-shift-action="withdraw" data-shift-id="${item.id}">${I18n.t('shifts.withdraw')}</button>
+        </li>
+    ` : SafeHTML.html`
+        <li class="bg-green-50 rounded-lg p-4">
+            <p class="font-semibold text-gray-800"><i class="fas fa-truck mr-2" aria-hidden="true"></i>${I18n.t('shifts.deliveryRun')}</p>
+            <p class="text-sm text-gray-600"><i class="fas fa-clock mr-2" aria-hidden="true"></i>${Shifts.formatSlot(item, I18n.locale())}</p>
+            <p class="text-sm text-gray-600">${I18n.t('shifts.pickUp', { address: item.pickupAddress || I18n.t('shifts.seeCoordinator') })}</p>
+            <p class="text-sm text-gray-600">${I18n.t('shifts.deliverTo', { address: item.deliveryAddress || I18n.t('shifts.seeCoordinator') })}</p>
+            ${item.notes ? SafeHTML.html`<p class="text-sm text-gray-600">${I18n.t('shifts.notes', { notes: item.notes })}</p>` : ''}
+        </li>
+    `)}`);
+}
+
+function renderShiftList() {
+    const list = document.getElementById('shift-list');
+    const summary = document.getElementById('shift-summary');
+    const locationId = document.getElementById('shift-location-filter').value;
+    const role = document.getElementById('shift-role-filter').value;
+
+    const shifts = shiftBoard.shifts
+        .filter(shift => !locationId || String(shift.locationId) === locationId)
+        .filter(shift => !role || shift.role === role);
+
+    summary.textContent = shifts.length > 0
+        ? I18n.t('shifts.upcoming', { count: shifts.length })
+        : I18n.t('shifts.noMatch');
+
+    SafeHTML.render(list, SafeHTML.html`${shifts.map(shift => {
+        const signedUp = isSignedUpFor(shift.id);
+        let action = SafeHTML.html`<span class="text-sm text-gray-500">${I18n.t('shifts.full')}</span>`;
+        if (signedUp) {
+            action = SafeHTML.html`<span class="status open">${I18n.t('shifts.signedUp')}</span>`;
+        } else if (!shiftBoard.mine) {
+            action = SafeHTML.html`<a href="volunteer.html" class="text-sm text-purple-600 hover:underline">${I18n.t('shifts.registerToSignUp')}</a>`;
+        } else if (shift.spotsLeft > 0) {
+            action = SafeHTML.html`<button type="button" class="bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 transition" data-shift-action="signup" data-shift-id="${shift.id}">${I18n.t('shifts.signUp')}</button>`;
+        }
+
+        return SafeHTML.html`
+            <li class="bg-white rounded-lg shadow p-4 flex flex-col md:flex-row md:justify-between md:items-center">
+                <div>
+                    <p class="font-semibold text-gray-800">${roleLabel(shift.role)} · ${shift.locationName}</p>
+                    <p class="text-sm text-gray-600"><i class="fas fa-clock mr-2" aria-hidden="true"></i>${Shifts.formatSlot(shift, I18n.locale())}</p>
+                    <p class="text-sm text-gray-600"><i class="fas fa-users mr-2" aria-hidden="true"></i>${I18n.t('shifts.spotsLeft', { left: shift.spotsLeft, capacity: shift.capacity })}</p>
+                </div>
+                <div class="mt-3 md:mt-0">${action}</div>
+            </li>
+        `;
+    })}`);
+}
+
+async function updateShiftSignup(shiftId, action, button) {
+    button.disabled = true;
+
+    try {
+        const csrfToken = await SecurityUtils.getCSRFToken();
+        const response = await fetch(`/api/shifts/${encodeURIComponent(shiftId)}/${action === 'withdraw' ? 'withdraw' : 'signup'}`, {
+            method: 'POST',
+            credentials: 'same-origin',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            body: '{}'
+        });
+
+        if (!response.ok) {
+            if (response.status === 403) {
+                SECURITY_CONFIG.csrfToken = null;
+            }
+            // Conflicts and full shifts come back with a readable message
+            const body = await response.json().catch(() => ({}));
+            showMessage(body.error || I18n.t('shifts.updateError'), 'error');
+            return;
+        }
+
+        showMessage(I18n.t(action === 'withdraw' ? 'shifts.withdrawn' : 'shifts.signedUpMessage'), 'success');
+        await loadShiftBoard();
+    } catch (error) {
+        showMessage(I18n.t('shifts.updateError'), 'error');
+        console.error('Shift signup error:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Donation forms: the cooked-meal fields appear for cooked food, and a notice says when the food must be
+// delivered within FoodSafety.EXPIRING_WITHIN_HOURS of pickup. Unsafe food is refused by the schema rules.
+function initializeFoodSafety() {
+    const form = document.getElementById('donation-form');
+    const notice = document.getElementById('donation-food-safety');
+    if (!form || !notice) return;
+
+    const update = () => {
+        const data = secureForms['donation-form'].collectFormData();
+        document.getElementById('donation-cooked-details').classList.toggle('hidden', !FoodSafety.isPrepared(data['food-type']));
+
+        const timezoneOffset = new Date().getTimezoneOffset();
+        const safeUntil = FoodSafety.safeUntil(data, {
+            preparedAt: FormSchemas.toTimestamp(data['prepared-date'], data['prepared-time'], timezoneOffset),
+            submittedAt: Date.now()
+        });
+        const hours = FoodSafety.hoursAfterPickup(safeUntil, FormSchemas.toTimestamp(data['pickup-date'], data['pickup-time'], timezoneOffset));
+        notice.textContent = hours !== null && hours >= FoodSafety.DELIVERY_HOURS && hours <= FoodSafety.EXPIRING_WITHIN_HOURS
+            ? I18n.t('forms.deliverWithin', { count: hours })
+            : '';
+    };
+
+    form.addEventListener('input', update);
+    form.addEventListener('change', update);
+    // Fires before the fields are cleared
+    form.addEventListener('reset', () => setTimeout(update));
+    update();
+}
+
+// Submission tracking (track.html)
+const tracking = {
+    reference: null,
+    token: null,
+    submission: null
+};
+
+const TRACKING_PROGRESS = ['received', 'matched', 'out-for-delivery', 'completed'];
+
+function initializeTracking() {
+    const form = document.getElementById('track-form');
+    if (!form) return;
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        tracking.reference = form.elements.reference.value.trim().toUpperCase();
+        tracking.token = form.elements.token.value.trim();
+        lookupSubmission();
+    });
+
+    document.getElementById('reschedule-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const reschedule = e.target;
+        updateSubmission('reschedule', {
+            date: reschedule.elements.date.value,
+            time: reschedule.elements.time.value,
+            timezoneOffset: new Date().getTimezoneOffset()
+        });
+    });
+
+    document.getElementById('cancel-submission').addEventListener('click', () => {
+        if (confirm(I18n.t('track.confirmCancel'))) {
+            updateSubmission('cancel', { reason: document.getElementById('cancel-reason').value });
+        }
+    });
+
+    // Private links from the confirmation message: track.html#ref=<code>&token=<token>
+    const params = new URLSearchParams(window.location.hash.substring(1));
+    if (params.get('ref') && params.get('token')) {
+        form.elements.reference.value = params.get('ref');
+        form.elements.token.value = params.get('token');
+        tracking.reference = params.get('ref').toUpperCase();
+        tracking.token = params.get('token');
+        lookupSubmission();
+    }
+}
+
+// POST to /api/track[/action] with the reference code and token; returns { ok, body }
+async function trackingRequest(action, data = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (action) {
+        headers['X-CSRF-Token'] = await SecurityUtils.getCSRFToken();
+    }
+
+    const response = await fetch(action ? `/api/track/${action}` : '/api/track', {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers,
+        body: JSON.stringify({ ...data, reference: tracking.reference, token: tracking.token })
+    });
+    if (response.status === 403) {
+        SECURITY_CONFIG.csrfToken = null;
+    }
+    return { ok: response.ok, body: await response.json().catch(() => ({})) };
+}
+
+async function lookupSubmission() {
+    try {
+        const { ok, body } = await trackingRequest(null);
+        if (!ok) {
+            tracking.submission = null;
+            renderSubmission();
+            showMessage(body.error || I18n.t('track.notFound'), 'error');
+            return;
+        }
+        tracking.submission = body.submission;
+        renderSubmission();
+    } catch (error) {
+        showMessage(I18n.t('track.lookupError'), 'error');
+        console.error('Tracking error:', error);
+    }
+}
+
+async function updateSubmission(action, data) {
+    try {
+        const { ok, body } = await trackingRequest(action, data);
+        if (!ok) {
+            const details = body.details ? Object.values(body.details).join(' ') : '';
+            showMessage(details || body.error || I18n.t('track.updateFailed'), 'error');
+            return;
+        }
+        tracking.submission = body.submission;
+        renderSubmission();
+        showMessage(I18n.t(action === 'cancel' ? 'track.cancelled' : 'track.rescheduled'), 'success');
+    } catch (error) {
+        showMessage(I18n.t('track.updateError'), 'error');
+        console.error('Tracking update error:', error);
+    }
+}
+
+// Opt-out page: unsubscribe.html#token=<token>, linked from every email and text message
+function initializeUnsubscribe() {
+    const button = document.getElementById('unsubscribe-button');
+    const status = document.getElementById('unsubscribe-status');
+    if (!button || !status) return;
+
+    const token = new URLSearchParams(window.location.hash.substring(1)).get('token');
+    if (!token) {
+        status.textContent = I18n.t('unsubscribe.missingLink');
+        button.classList.add('hidden');
+        return;
+    }
+
+    button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/notifications/opt-out', {
+                method: 'POST',
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': await SecurityUtils.getCSRFToken()
+                },
+                body: JSON.stringify({ token })
+            });
+            if (response.status === 403) {
+                SECURITY_CONFIG.csrfToken = null;
+            }
+            // A broken or altered link stays broken, so the button stays disabled
+            if (response.status === 400) {
+                status.textContent = I18n.t('unsubscribe.invalid');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`Opt-out failed (${response.status})`);
+            }
+            status.textContent = I18n.t('unsubscribe.done');
+            button.classList.add('hidden');
+        } catch (error) {
+            status.textContent = I18n.t('unsubscribe.failed');
+            button.disabled = false;
+            console.error('Opt-out error:', error);
+        }
+    });
+}
+
+function stageLabel(stage) {
+    return I18n.t(`labels.stages.${stage}`, {}, Lifecycle.stageLabel(stage));
+}
+
+function renderSubmission() {
+    const panel = document.getElementById('track-result');
+    const submission = tracking.submission;
+    panel.classList.toggle('hidden', !submission);
+    if (!submission) return;
+
+    document.getElementById('track-title').textContent = `${I18n.t(`labels.formTypes.${submission.formType}`, {}, submission.formType)} ${submission.reference}`;
+    document.getElementById('track-submitted').textContent = I18n.t('track.submitted', { date: I18n.dateTime(submission.submittedAt) });
+
+    // Completed steps are green; a cancelled submission shows only that
+    const reached = TRACKING_PROGRESS.indexOf(submission.stage);
+    SafeHTML.render(document.getElementById('track-progress'), submission.stage === 'cancelled'
+        ? SafeHTML.html`<li class="flex-1 text-center py-2 rounded bg-red-100 text-red-700" aria-current="step">${stageLabel('cancelled')}</li>`
+        : SafeHTML.html`${TRACKING_PROGRESS.map((stage, index) => SafeHTML.html`
+            <li class="flex-1 text-center py-2 rounded ${index <= reached ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-600'}"
+                ${index === reached ? SafeHTML.html`aria-current="step"` : ''}>${stageLabel(stage)}</li>
+        `)}`);
+
+    const { schedule } = submission;
+    document.getElementById('track-schedule').textContent = schedule.date && schedule.time
+        ? I18n.t(`track.schedule.${schedule.label}`, { when: I18n.dateTime(`${schedule.date}T${schedule.time}`) }, `${schedule.label}: ${I18n.dateTime(`${schedule.date}T${schedule.time}`)}`)
+        : I18n.t(`track.notScheduled.${schedule.label}`, {}, `${schedule.label}: no time set yet`);
+
+    SafeHTML.render(document.getElementById('track-summary'), SafeHTML.html`${Object.keys(submission.summary).map(name => SafeHTML.html`
+        <li><span class="text-gray-500">${I18n.t(`labels.fields.${name}`, {}, name)}:</span> ${name === 'food-type' ? locationLabel('foodTypes', submission.summary[name]) : submission.summary[name]}</li>
+    `)}`);
+
+    SafeHTML.render(document.getElementById('track-history'), SafeHTML.html`${submission.history.slice().reverse().map(entry => SafeHTML.html`
+        <li><span class="font-semibold">${stageLabel(entry.stage)}</span>
+            <span class="text-gray-500">· ${I18n.dateTime(entry.at)}</span></li>
+    `)}`);
+
+    const reschedule = document.getElementById('reschedule-form');
+    reschedule.elements.date.value = schedule.date || '';
+    reschedule.elements.time.value = schedule.time || '';
+    document.getElementById('reschedule-label').textContent = I18n.t(`track.changeTimeFor.${schedule.label}`, {}, `Change ${schedule.label.toLowerCase()} time`);
+    document.getElementById('track-actions').classList.toggle('hidden', !submission.canCancel && !submission.canReschedule);
+    reschedule.classList.toggle('hidden', !submission.canReschedule);
+    document.getElementById('cancel-section').classList.toggle('hidden', !submission.canCancel);
+}
+
+// Offline support: service worker (sw.js) and the submission outbox (outbox.js)
+function initializeOffline() {
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => console.error('Service worker registration error:', error));
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'outbox-updated') {
+                renderOutboxStatus();
+            }
+        });
+    }
+    if (typeof Outbox === 'undefined' || !window.indexedDB) return;
+
+    // Browsers without Background Sync send the outbox from the page once the connection is back
+    window.addEventListener('online', () => requestOutboxSync());
+    renderOutboxStatus();
+    if (navigator.onLine) {
+        requestOutboxSync();
+    }
+}
+
+// Returns false when there is no outbox to queue into
+async function queueSubmission(formId, formType, payload) {
+    if (typeof Outbox === 'undefined' || !window.indexedDB) return false;
+    try {
+        await Outbox.add({ formId, formType, payload });
+    } catch (error) {
+        console.error('Outbox error:', error);
+        return false;
+    }
+    requestOutboxSync();
+    renderOutboxStatus();
+    return true;
+}
+
+async function requestOutboxSync() {
+    try {
+        const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+        if (registration && registration.active && 'sync' in registration) {
+            await registration.sync.register(Outbox.syncTag);
+            return;
+        }
+        if (navigator.onLine) {
+            await Outbox.flush();
+            renderOutboxStatus();
+        }
+    } catch (error) {
+        console.error('Outbox sync error:', error);
+    }
+}
+
+// Banner for queued entries; sent and rejected entries are reported once and then removed
+async function renderOutboxStatus() {
+    let entries;
+    try {
+        entries = await Outbox.all();
+    } catch (error) {
+        console.error('Outbox error:', error);
+        return;
+    }
+
+    const queued = entries.filter(entry => entry.status === 'queued');
+    let banner = document.getElementById('outbox-status');
+    if (queued.length > 0 && !banner) {
+        banner = document.createElement('div');
+        banner.id = 'outbox-status';
+        banner.className = 'fixed bottom-4 left-4 right-4 md:left-auto md:w-96 p-4 rounded-lg shadow-lg z-50 bg-yellow-100 text-yellow-900';
+        banner.setAttribute('role', 'status');
+        document.body.appendChild(banner);
+    }
+    if (banner) {
+        banner.classList.toggle('hidden', queued.length === 0);
+        SafeHTML.render(banner, SafeHTML.html`<i class="fas fa-cloud-upload-alt mr-2" aria-hidden="true"></i>${I18n.t('outbox.queued', { count: queued.length })}`);
+    }
+
+    for (const entry of entries.filter(item => item.status === 'sent')) {
+        const reference = entry.result && entry.result.reference;
+        showMessage(reference
+            ? I18n.t(`forms.${entry.formId}.queuedSentReference`, { reference })
+            : I18n.t(`forms.${entry.formId}.queuedSent`), 'success');
+        const handler = secureForms[entry.formId];
+        if (handler && handler.form && entry.result.trackingToken) {
+            handler.showTrackingDetails(reference, entry.result.trackingToken);
+        }
+        await Outbox.remove(entry.id);
+    }
+
+    // The server refused it: give the details back to the form as a draft so they can be corrected
+    for (const entry of entries.filter(item => item.status === 'failed')) {
+        const fields = {};
+        Object.keys(entry.payload).forEach(name => {
+            if (typeof entry.payload[name] === 'string') fields[name] = entry.payload[name];
+        });
+        await Outbox.saveDraft(entry.formId, fields);
+        await Outbox.remove(entry.id);
+        const handler = secureForms[entry.formId];
+        if (handler && handler.form) {
+            await handler.restoreDraft();
+        }
+        // Rate limits are retried, so only ticket codes (form-invalid, form-expired) reach this point
+        const error = entry.code ? I18n.t(`errors.${entry.code}`, {}, entry.error) : entry.error;
+        showMessage(I18n.t(`forms.${entry.formId}.queuedFailed`, { error }), 'error');
+    }
 }
@@ -0,0 +1,70 @@
+// Zero Hunger Website - Security Events
+// Schema for the security telemetry the pages send to /api/security-events and the server records
+// itself. Events never carry form values: only field names, and details with contact data redacted.
+
+const SECURITY_EVENT_TYPES = {
+    'suspicious-input': 'Suspicious input',
+    'rate-limited': 'Rate limit tripped',
+    'csrf-rejected': 'CSRF token mismatch',
+    'validation-failed': 'Validation failed',
+    'honeypot': 'Honeypot filled in',
+    'form-too-fast': 'Form submitted too quickly',
+    'csp-violation': 'Content Security Policy violation'
+};
+
+const SECURITY_EVENT_SOURCES = ['client', 'server'];
+
+// Markup and injection attempts worth a look; they are stored as typed and encoded on output
+const SUSPICIOUS_PATTERNS = [
+    /<\s*script|javascript\s*:|\bon\w+\s*=/i,
+    /<\s*(iframe|object|embed|svg)\b/i,
+    /\b(eval|exec|system)\s*\(/i,
+    /\$\{[^}]*\}/,
+    /\bunion\b.+\bselect\b|\bdrop\s+table\b/i
+];
+
+const FIELD_NAME_PATTERN = /^[a-z0-9-]{1,40}$/;
+const MAX_FIELDS = 20;
+const MAX_DETAIL_LENGTH = 200;
+
+const SecurityEvents = {
+    types: () => Object.keys(SECURITY_EVENT_TYPES),
+
+    label: (type) => SECURITY_EVENT_TYPES[type] || type,
+
+    // Names of the fields whose value matches a suspicious pattern
+    suspiciousFields: (fields) => Object.keys(fields).filter(name => typeof fields[name] === 'string' &&
+        SUSPICIOUS_PATTERNS.some(pattern => pattern.test(fields[name]))),
+
+    // Emails, phone numbers and long tokens are replaced before anything is stored
+    redact: (text) => String(text)
+        .replace(/[^\s@]+@[^\s@]+/g, '[email]')
+        .replace(/[A-Za-z0-9_-]{24,}(\.[A-Za-z0-9_-]+)*/g, '[token]')
+        .replace(/\+?\d[\d\s().-]{6,}\d/g, '[phone]')
+        .substring(0, MAX_DETAIL_LENGTH),
+
+    // The schema every stored event has; returns null for anything that does not fit it.
+    // { type, source, at, page, form, fields, detail }
+    normalize: (event, source) => {
+        if (!event || typeof event !== 'object' || !Object.prototype.hasOwnProperty.call(SECURITY_EVENT_TYPES, event.type)) {
+            return null;
+        }
+        const at = Date.parse(event.at);
+        return {
+            type: event.type,
+            source: SECURITY_EVENT_SOURCES.includes(source) ? source : 'client',
+            at: Number.isNaN(at) ? new Date().toISOString() : new Date(at).toISOString(),
+            // Path only: query strings and fragments can hold tracking tokens
+            page: typeof event.page === 'string' ? event.page.split(/[?#]/)[0].substring(0, 100) : null,
+            form: typeof event.form === 'string' && FIELD_NAME_PATTERN.test(event.form) ? event.form : null,
+            fields: Array.isArray(event.fields)
+                ? event.fields.filter(name => typeof name === 'string' && FIELD_NAME_PATTERN.test(name)).slice(0, MAX_FIELDS)
+                : [],
+            detail: typeof event.detail === 'string' && event.detail ? SecurityEvents.redact(event.detail) : null
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SecurityEvents;
+}
@@ -0,0 +1,121 @@
+// Zero Hunger Server - Abuse protection for /api/submit
+// Sliding-window rate limits per client address and per contact, a honeypot field that people never
+// see, and signed form tickets that show how long a form was open before it was submitted.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-utils');
+const { safeEqual } = require('./auth');
+
+// Hidden input in every public form; browsers autofill it for nobody, bots fill it in
+const HONEYPOT_FIELD = 'website';
+
+// Queued offline submissions (outbox.js) can be sent days after the form was opened
+const TICKET_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+class SlidingWindowLimiter {
+    constructor({ limit, windowMs }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        // key -> timestamps (ms) of the hits still inside the window
+        this.hits = new Map();
+    }
+
+    recent(key, now) {
+        const hits = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+        if (hits.length > 0) {
+            this.hits.set(key, hits);
+        } else {
+            this.hits.delete(key);
+        }
+        return hits;
+    }
+
+    // Seconds until the key may be used again, 0 when it is under the limit
+    retryAfter(key, now = Date.now()) {
+        const hits = this.recent(key, now);
+        if (hits.length < this.limit) return 0;
+        return Math.max(1, Math.ceil((hits[hits.length - this.limit] + this.windowMs - now) / 1000));
+    }
+
+    hit(key, now = Date.now()) {
+        this.hits.set(key, this.recent(key, now).concat(now));
+        // Keys of one-off visitors would otherwise stay forever
+        if (this.hits.size > 10000) {
+            Array.from(this.hits.keys()).forEach(item => this.recent(item, now));
+        }
+    }
+}
+
+// 429 with the Retry-After header, in seconds; recorded as a security event of eventType. The code
+// goes into the response body so pages can show the refusal in their own language.
+class RateLimitError extends HttpError {
+    constructor(message, retryAfter, eventType = 'rate-limited', code = eventType) {
+        super(429, message);
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+        this.code = code;
+        this.securityEvent = { type: eventType, detail: message };
+    }
+}
+
+// The socket address, or the first X-Forwarded-For entry behind a trusted reverse proxy
+function clientAddress(req, trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (trustProxy && typeof forwarded === 'string' && forwarded.trim()) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+// Normalized emails and phone numbers, so "A@x.org" and "a@x.org " count as the same person
+function contactKeys(fields, names) {
+    const keys = [];
+    names.forEach(name => {
+        const value = typeof fields[name] === 'string' ? fields[name].trim() : '';
+        if (!value) return;
+        keys.push(value.includes('@') ? `email:${value.toLowerCase()}` : `phone:${value.replace(/\D/g, '')}`);
+    });
+    return keys;
+}
+
+function sign(secret, value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+// Ticket value: formId.issuedAt.hmac
+function issueFormTicket(secret, formId) {
+    const value = `${formId}.${Date.now()}`;
+    return `${value}.${sign(secret, value)}`;
+}
+
+function ticketError(message, code) {
+    const error = new HttpError(400, message);
+    error.code = code;
+    return error;
+}
+
+// Throws unless the ticket was issued for this form, long enough ago for a person to fill it in
+function checkFormTicket(secret, ticket, formId, minFillSeconds) {
+    const parts = typeof ticket === 'string' ? ticket.split('.') : [];
+    if (parts.length !== 3 || parts[0] !== formId || !safeEqual(parts[2], sign(secret, `${parts[0]}.${parts[1]}`))) {
+        throw ticketError('Please reload the page and submit the form again', 'form-invalid');
+    }
+
+    const age = Date.now() - Number(parts[1]);
+    if (age >= TICKET_TTL) {
+        throw ticketError('This form has expired. Please reload the page and submit it again', 'form-expired');
+    }
+    if (age < minFillSeconds * 1000) {
+        throw new RateLimitError('The form was submitted too quickly', Math.ceil((minFillSeconds * 1000 - age) / 1000), 'form-too-fast');
+    }
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    SlidingWindowLimiter,
+    RateLimitError,
+    clientAddress,
+    contactKeys,
+    issueFormTicket,
+    checkFormTicket
+};
@@ -0,0 +1,94 @@
+// Zero Hunger Server - Application
+// Serves the static pages and the /api routes; createApp() does not listen so tests can pick a port.
+// Tests can pass their own store and notification channels ({ email, sms }, see notification-channels.js).
+
+const http = require('http');
+const { loadConfig } = require('./config');
+const { FileStore } = require('./store');
+const { Router } = require('./router');
+const { HttpError, sendJson } = require('./http-utils');
+const { serveStatic } = require('./static');
+const { clientAddress } = require('./abuse');
+const { recordSecurityEvent } = require('./telemetry');
+const { Notifier } = require('./notifications');
+const { createChannels } = require('./notification-channels');
+const { createNonce, securityHeaders } = require('./security-headers');
+
+const ROUTE_MODULES = [
+    require('./routes/submit'),
+    require('./routes/directions'),
+    require('./routes/matches'),
+    require('./routes/shifts'),
+    require('./routes/admin'),
+    require('./routes/track'),
+    require('./routes/impact'),
+    require('./routes/telemetry'),
+    require('./routes/notifications'),
+    require('./routes/inventory')
+];
+
+function createApp({ store: customStore, channels, ...overrides } = {}) {
+    const config = loadConfig(overrides);
+    const store = customStore || new FileStore(config.dataDir);
+    const notifier = new Notifier({ config, store, channels: channels || createChannels(config) });
+    const router = new Router();
+    const context = { config, store, notifier };
+
+    ROUTE_MODULES.forEach(routes => routes.register(router, context));
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        const nonce = createNonce();
+        Object.entries(securityHeaders(nonce)).forEach(([name, value]) => res.setHeader(name, value));
+
+        try {
+            const route = router.match(req.method, url.pathname);
+            if (route && route.handler) {
+                await route.handler(req, res, { params: route.params, query: url.searchParams });
+                return;
+            }
+            if (route && route.allowed) {
+                throw new HttpError(405, 'Method not allowed');
+            }
+            if (url.pathname.startsWith('/api/')) {
+                throw new HttpError(404, 'Not found');
+            }
+
+            if ((req.method === 'GET' || req.method === 'HEAD') &&
+                await serveStatic(config.rootDir, req, res, url.pathname, { nonce })) {
+                return;
+            }
+            throw new HttpError(404, 'Not found');
+        } catch (error) {
+            // Refusals from security checks (CSRF, rate limits, honeypot, validation) feed the telemetry
+            if (error.securityEvent) {
+                recordSecurityEvent(store, { page: url.pathname, ...error.securityEvent }, { address: clientAddress(req, config.trustProxy) })
+                    .catch(recordError => console.error('Security event error:', recordError));
+            }
+            handleError(res, error);
+        }
+    });
+
+    server.context = context;
+    return server;
+}
+
+function handleError(res, error) {
+    if (res.headersSent) {
+        res.destroy(error);
+        return;
+    }
+
+    if (error instanceof HttpError) {
+        const body = { error: error.message };
+        if (error.details) body.details = error.details;
+        if (error.code) body.code = error.code;
+        sendJson(res, error.status, body, error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : {});
+        return;
+    }
+
+    console.error('Unhandled server error:', error);
+    sendJson(res, 500, { error: 'Internal server error' });
+}
+
+module.exports = { createApp };
@@ -0,0 +1,34 @@
+// Zero Hunger Server - Audit log
+// Every status change, note and assignment on a stored submission is appended to audit-log.json
+
+const AUDIT_COLLECTION = 'audit-log';
+
+// entry: { collection, recordId, action, actor, from?, to?, note? }
+function recordAudit(store, entry) {
+    return store.insert(AUDIT_COLLECTION, {
+        collection: entry.collection,
+        recordId: entry.recordId,
+        action: entry.action,
+        actor: entry.actor,
+        from: entry.from === undefined ? null : entry.from,
+        to: entry.to === undefined ? null : entry.to,
+        note: entry.note || null
+    });
+}
+
+// Move a record to a new status and log it; the caller has checked the transition
+async function changeStatus(store, collection, record, status, actor, note) {
+    const updated = await store.update(collection, record.id, { status });
+    await recordAudit(store, {
+        collection,
+        recordId: record.id,
+        action: 'status',
+        actor,
+        from: record.status,
+        to: status,
+        note
+    });
+    return updated;
+}
+
+module.exports = { AUDIT_COLLECTION, recordAudit, changeStatus };
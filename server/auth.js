@@ -0,0 +1,118 @@
+// Zero Hunger Server - Coordinator and volunteer access
+// Coordinators authenticate with "Authorization: Bearer <ZH_COORDINATOR_TOKEN>" (scripts) or with the
+// signed zh_admin session cookie issued by POST /api/admin/login (admin.html).
+// Volunteers get an HttpOnly cookie when they register, and donors and requesters a tracking token;
+// only their SHA-256 hashes are stored.
+
+const crypto = require('crypto');
+const { HttpError, parseCookies } = require('./http-utils');
+const { CsrfError, verifyRequest } = require('./csrf');
+
+const VOLUNTEER_COOKIE = 'zh_volunteer';
+const VOLUNTEER_COOKIE_MAX_AGE = 365 * 24 * 60 * 60; // 1 year, in seconds
+
+const ADMIN_COOKIE = 'zh_admin';
+const ADMIN_SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+
+function sign(secret, value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function isCoordinatorToken(config, token) {
+    return Boolean(config.coordinatorToken) && typeof token === 'string' && safeEqual(token, config.coordinatorToken);
+}
+
+// Session value: base64url(name).issuedAt.hmac
+function issueAdminSession(secret, name) {
+    const value = `${Buffer.from(name).toString('base64url')}.${Date.now()}`;
+    return `${value}.${sign(secret, value)}`;
+}
+
+function adminCookie(session) {
+    return `${ADMIN_COOKIE}=${session}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${ADMIN_SESSION_TTL / 1000}`;
+}
+
+function clearAdminCookie() {
+    return `${ADMIN_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+}
+
+// Coordinator name from a valid session cookie, or null
+function readAdminSession(secret, req) {
+    const parts = (parseCookies(req)[ADMIN_COOKIE] || '').split('.');
+    if (parts.length !== 3) return null;
+
+    const [encodedName, issuedAt, signature] = parts;
+    if (!safeEqual(signature, sign(secret, `${encodedName}.${issuedAt}`))) return null;
+    if (Date.now() - Number(issuedAt) >= ADMIN_SESSION_TTL) return null;
+    return Buffer.from(encodedName, 'base64url').toString();
+}
+
+// Returns { name } for the acting coordinator. Cookie sessions must also pass the CSRF check on
+// anything but GET, since the browser attaches the cookie on its own.
+function requireCoordinator(config, req) {
+    if (!config.coordinatorToken) {
+        throw new HttpError(403, 'Coordinator access is not configured');
+    }
+
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (bearer) {
+        if (!isCoordinatorToken(config, bearer[1])) {
+            throw new HttpError(401, 'Coordinator authentication required');
+        }
+        return { name: 'API' };
+    }
+
+    const name = readAdminSession(config.secret, req);
+    if (!name) {
+        throw new HttpError(401, 'Coordinator authentication required');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD' && !verifyRequest(config.secret, req)) {
+        throw new CsrfError();
+    }
+    return { name };
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Returns { token, tokenHash }; keep the hash on the record and hand the token to its owner only
+function issueAccessToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, tokenHash: hashToken(token) };
+}
+
+function volunteerCookie(token) {
+    return `${VOLUNTEER_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${VOLUNTEER_COOKIE_MAX_AGE}`;
+}
+
+// The volunteer record behind the request's cookie
+async function requireVolunteer(store, req) {
+    const token = parseCookies(req)[VOLUNTEER_COOKIE];
+    if (token) {
+        const tokenHash = hashToken(token);
+        const volunteer = (await store.all('volunteers')).find(record => record.tokenHash === tokenHash);
+        if (volunteer) return volunteer;
+    }
+    throw new HttpError(401, 'Register as a volunteer to manage shifts');
+}
+
+module.exports = {
+    isCoordinatorToken,
+    issueAdminSession,
+    adminCookie,
+    clearAdminCookie,
+    readAdminSession,
+    requireCoordinator,
+    hashToken,
+    safeEqual,
+    issueAccessToken,
+    volunteerCookie,
+    requireVolunteer
+};
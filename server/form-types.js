@@ -0,0 +1,38 @@
+// Zero Hunger Server - Form types accepted by /api/submit
+// Keys match the formType passed to SecureFormHandler in script.js. contactFields identify the person
+// for rate limiting; quota caps the records one contact may create per window (cancelled ones do not count).
+// confirmation is the notification sent when the record is stored (server/notification-templates.js).
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const FORM_TYPES = {
+    'Donation': {
+        formId: 'donation-form',
+        collection: 'donations',
+        confirmation: 'donation-received',
+        contactFields: ['donor-email', 'donor-phone'],
+        quota: { limit: 10, windowMs: DAY, message: 'You can schedule up to 10 donations a day' }
+    },
+    'Food Request': {
+        formId: 'request-form',
+        collection: 'requests',
+        confirmation: 'request-received',
+        // A household is the same phone, email or delivery address
+        contactFields: ['requester-phone', 'requester-email'],
+        householdField: 'delivery-address',
+        quota: { limit: 1, windowMs: DAY, message: 'Each household can have one food request per day' }
+    },
+    'Volunteer Registration': {
+        formId: 'volunteer-form',
+        collection: 'volunteers',
+        confirmation: 'volunteer-registered',
+        contactFields: ['volunteer-email', 'volunteer-phone'],
+        quota: { limit: 1, windowMs: DAY, message: 'You have already registered today' }
+    }
+};
+
+function getFormType(formType) {
+    return Object.prototype.hasOwnProperty.call(FORM_TYPES, formType) ? FORM_TYPES[formType] : null;
+}
+
+module.exports = { FORM_TYPES, getFormType };
@@ -0,0 +1,47 @@
+// Zero Hunger Server - Address lookup
+// Places free-text addresses from submissions with the same offline Geocoder the map uses
+
+const fs = require('fs');
+const path = require('path');
+
+const Geocoder = require('../geocoder');
+const LocationRepository = require('../location-repository');
+
+class AddressLocator {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.data = null;
+    }
+
+    // Directory and gazetteer are read once; edits to data/ need a restart
+    async load() {
+        if (!this.data) {
+            const read = async (file) => JSON.parse(await fs.promises.readFile(path.join(this.rootDir, 'data', file), 'utf8'));
+            const [collection, gazetteer] = await Promise.all([read('locations.json'), read('gazetteer.json')]);
+            this.data = {
+                locations: LocationRepository.fromGeoJSON(collection),
+                entries: Array.isArray(gazetteer.entries) ? gazetteer.entries : []
+            };
+        }
+        return this.data;
+    }
+
+    // { lat, lng, label } or null; load() must have resolved first
+    locate(address) {
+        if (!this.data || !address) return null;
+        const match = Geocoder.resolve(address, this.data.locations, this.data.entries);
+        return match ? { lat: match.lat, lng: match.lng, label: match.label } : null;
+    }
+
+    // Closest directory location to an address (among those passing filter), or null when the address
+    // cannot be placed or no location qualifies
+    nearestLocation(address, filter = () => true) {
+        const place = this.locate(address);
+        const candidates = this.data ? this.data.locations.filter(filter) : [];
+        if (!place || candidates.length === 0) return null;
+        const distance = location => LocationRepository.calculateDistance(place.lat, place.lng, location.lat, location.lng);
+        return candidates.reduce((best, location) => (distance(location) < distance(best) ? location : best));
+    }
+}
+
+module.exports = { AddressLocator };
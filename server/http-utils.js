@@ -0,0 +1,87 @@
+// Zero Hunger Server - HTTP helpers
+
+// Error carrying an HTTP status code, turned into a JSON response by the app
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function sendJson(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(payload);
+}
+
+// options.types: accepted content types; options.allowArray: accept a top-level JSON array
+function readJsonBody(req, maxBodySize, { types = ['application/json'], allowArray = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const contentType = req.headers['content-type'] || '';
+        if (!types.some(type => contentType.startsWith(type))) {
+            reject(new HttpError(415, `Expected ${types.join(' or ')}`));
+            return;
+        }
+
+        let size = 0;
+        const chunks = [];
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                reject(new HttpError(413, 'Request body too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (!body || typeof body !== 'object' || (Array.isArray(body) && !allowArray)) {
+                    throw new Error('Body must be a JSON object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers.cookie;
+    if (!header) return cookies;
+
+    header.split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        const name = part.substring(0, index).trim();
+        const value = part.substring(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (error) {
+            cookies[name] = value;
+        }
+    });
+
+    return cookies;
+}
+
+module.exports = {
+    HttpError,
+    sendJson,
+    readJsonBody,
+    parseCookies
+};
@@ -0,0 +1,14 @@
+// Zero Hunger Server - Entry point
+// Usage: node server/index.js  (PORT, HOST, ZH_DATA_DIR and ZH_SECRET are optional; see config.js for the rest)
+
+const { createApp } = require('./app');
+
+const app = createApp();
+const { host, port, dataDir } = app.context.config;
+
+app.listen(port, host, () => {
+    console.log(`Zero Hunger server running at http://${host}:${port}/`);
+    console.log(`Storing submissions in ${dataDir}`);
+    // Pickup and shift reminders
+    app.context.notifier.start();
+});
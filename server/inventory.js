@@ -0,0 +1,82 @@
+// Zero Hunger Server - Inventory
+// Every stock change is a movement in inventory-movements.json ({ locationId, category, change, reason,
+// collection, recordId, reference, actor, note }) and stock levels are their sum (inventory.js).
+// A donation comes in when it is picked up, at the nearest location that takes its food type; a food
+// request goes out when it is delivered. Coordinators adjust stock by hand on admin.html.
+// The functions here read then write, so callers run them inside store.exclusive().
+
+const Inventory = require('../inventory');
+const Matching = require('../matching');
+
+const MOVEMENTS_COLLECTION = 'inventory-movements';
+
+async function stockLevels(store) {
+    return Inventory.levels(await store.all(MOVEMENTS_COLLECTION));
+}
+
+// Removals are capped at what is in stock, so levels never go below zero. Resolves with the stored
+// movement, or null when nothing moved.
+async function recordMovement(store, movement) {
+    const stock = (await stockLevels(store))[movement.locationId] || {};
+    const change = Math.max(movement.change, -(stock[movement.category] || 0));
+    if (change === 0) return null;
+
+    return store.insert(MOVEMENTS_COLLECTION, {
+        locationId: movement.locationId,
+        category: movement.category,
+        change,
+        reason: movement.reason,
+        collection: movement.collection || null,
+        recordId: movement.recordId || null,
+        reference: movement.reference || null,
+        actor: movement.actor,
+        note: movement.note || null
+    });
+}
+
+// { locationId, category, quantity } a delivered request is served from: where its matched donation
+// came in, otherwise the stocked location nearest the household. Null when neither is known.
+async function requestSource(store, locator, request) {
+    const match = request.matchId && await store.find('matches', request.matchId);
+    if (match) {
+        const received = (await store.all(MOVEMENTS_COLLECTION))
+            .find(movement => movement.reason === 'donation' && movement.recordId === match.donationId);
+        if (received) {
+            return { locationId: received.locationId, category: received.category, quantity: received.change };
+        }
+    }
+
+    await locator.load();
+    const wanted = Inventory.requestCategory(request.fields['food-type']);
+    const location = locator.nearestLocation(request.fields['delivery-address'], candidate => Inventory.stocks(candidate, wanted));
+    if (!location) return null;
+
+    const locationId = String(location.id);
+    const category = wanted || Inventory.requestCategory(request.fields['food-type'], (await stockLevels(store))[locationId]);
+    return category ? { locationId, category, quantity: Matching.servingsNeeded(request) } : null;
+}
+
+// Stock moved by a record's new status: a picked-up donation adds its servings, a delivered request
+// takes them out. Addresses that cannot be placed move nothing; coordinators adjust those by hand.
+async function moveStockForStatus(store, locator, collection, record, actor) {
+    const movement = { collection, recordId: record.id, reference: record.reference, actor };
+
+    if (collection === 'donations' && record.status === 'picked-up') {
+        const category = record.fields['food-type'];
+        const quantity = parseInt(record.fields.quantity, 10) || 0;
+        await locator.load();
+        const location = locator.nearestLocation(record.fields['pickup-address'], candidate => Inventory.stocks(candidate, category));
+        if (!location || quantity <= 0) return null;
+        return recordMovement(store, { ...movement, locationId: String(location.id), category, change: quantity, reason: 'donation' });
+    }
+
+    if (collection === 'requests' && record.status === 'delivered') {
+        const source = await requestSource(store, locator, record);
+        if (!source) return null;
+        return recordMovement(store, { ...movement, locationId: source.locationId, category: source.category, change: -source.quantity, reason: 'request' });
+    }
+
+    return null;
+}
+
+module.exports = { MOVEMENTS_COLLECTION, stockLevels, recordMovement, moveStockForStatus };
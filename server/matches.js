@@ -0,0 +1,26 @@
+// Zero Hunger Server - Match release
+// Undoes an accepted match, or just its delivery assignment, when one side of it changes
+
+const { recordAudit } = require('./audit');
+
+// Frees the volunteer assigned to the delivery behind a donation or request. With cancel (the default)
+// the match is cancelled as well and matchId cleared on both records, so the other side can be matched
+// again; otherwise the match stays and only needs a new volunteer. Both records get an audit entry
+// ('unmatch' or 'unassign'). Runs inside store.exclusive().
+async function releaseMatch(store, collection, record, actor, note, cancel = true) {
+    const match = record.matchId && await store.find('matches', record.matchId);
+    if (!match || (!cancel && !match.assignmentId)) return;
+
+    if (match.assignmentId) {
+        await store.update('assignments', match.assignmentId, { status: cancel ? 'cancelled' : 'rescheduled' });
+    }
+    await store.update('matches', match.id, { assignmentId: null, volunteerId: null, ...(cancel ? { status: 'cancelled' } : {}) });
+
+    const partner = collection === 'donations' ? ['requests', match.requestId] : ['donations', match.donationId];
+    for (const [name, id] of [[collection, record.id], partner]) {
+        if (cancel) await store.update(name, id, { matchId: null });
+        await recordAudit(store, { collection: name, recordId: id, action: cancel ? 'unmatch' : 'unassign', actor, note });
+    }
+}
+
+module.exports = { releaseMatch };
@@ -0,0 +1,233 @@
+// Zero Hunger Server - Notification channels
+// A channel is { kind: 'email' | 'sms', send({ to, subject, text }) } and resolves once the message is
+// accepted. Email goes over SMTP and text messages through an SMS provider ({ sendSms({ to, body }) });
+// the mailbox stand-in writes both to files instead, for development and tests.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+
+const SMTP_TIMEOUT = 15000; // 15 seconds
+const SMS_TIMEOUT = 15000; // 15 seconds
+
+// Complete SMTP replies from a socket, in order; "250-..." lines continue a reply, "250 ..." ends it
+function replyReader(socket) {
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+    const replies = [];
+    const waiting = [];
+
+    const onData = (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.substring(0, end);
+            buffer = buffer.substring(end + 2);
+            lines.push(line);
+            if (line.charAt(3) !== '-') {
+                const reply = { code: parseInt(line.substring(0, 3), 10), text: lines.map(item => item.substring(4)).join('\n') };
+                lines = [];
+                if (waiting.length > 0) waiting.shift().resolve(reply);
+                else replies.push(reply);
+            }
+        }
+    };
+    const onError = (error) => {
+        failure = failure || error;
+        waiting.splice(0).forEach(reader => reader.reject(failure));
+    };
+    const onClose = () => onError(new Error('SMTP connection closed'));
+
+    socket.setEncoding('utf8');
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        read: () => {
+            if (replies.length > 0) return Promise.resolve(replies.shift());
+            if (failure) return Promise.reject(failure);
+            return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+        },
+        // Before STARTTLS hands the socket over to TLS
+        detach: () => {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
+
+function connectSocket(url, secure) {
+    const port = parseInt(url.port, 10) || (secure ? 465 : 587);
+    return new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host: url.hostname, port, servername: url.hostname }, () => resolve(socket))
+            : net.connect({ host: url.hostname, port }, () => resolve(socket));
+        socket.setTimeout(SMTP_TIMEOUT, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.once('error', reject);
+    });
+}
+
+function upgradeSocket(socket, hostname) {
+    return new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket, servername: hostname }, () => resolve(secured));
+        secured.setTimeout(SMTP_TIMEOUT, () => secured.destroy(new Error('SMTP connection timed out')));
+        secured.once('error', reject);
+    });
+}
+
+// 'Zero Hunger <no-reply@zerohunger.org>' -> 'no-reply@zerohunger.org'
+function mailboxAddress(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+// Header values never carry line breaks; anything outside ASCII is sent as an RFC 2047 encoded word
+function headerValue(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+// The body is base64, so no line can start with the "." that ends DATA
+function formatMessage(from, message) {
+    const domain = mailboxAddress(from).split('@')[1] || 'localhost';
+    const body = Buffer.from(message.text.replace(/\r?\n/g, '\r\n')).toString('base64').replace(/.{76}/g, '$&\r\n');
+    return [
+        `From: ${headerValue(from)}`,
+        `To: ${message.to}`,
+        `Subject: ${headerValue(message.subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+// One message per connection: STARTTLS when the server offers it, AUTH PLAIN only over TLS
+async function sendSmtp(url, from, message) {
+    if (/[\r\n<>]/.test(message.to)) {
+        throw new Error('Invalid email recipient');
+    }
+
+    let secure = url.protocol === 'smtps:';
+    let socket = await connectSocket(url, secure);
+    let reader = replyReader(socket);
+    const expect = async (line, codes) => {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${reply.code}: ${reply.text}`);
+        }
+        return reply;
+    };
+
+    try {
+        await expect(null, [220]);
+        const greeting = await expect(`EHLO ${os.hostname()}`, [250]);
+        if (!secure && /^STARTTLS\b/im.test(greeting.text)) {
+            await expect('STARTTLS', [220]);
+            reader.detach();
+            socket = await upgradeSocket(socket, url.hostname);
+            reader = replyReader(socket);
+            secure = true;
+            await expect(`EHLO ${os.hostname()}`, [250]);
+        }
+
+        if (url.username) {
+            if (!secure) {
+                throw new Error('The SMTP server does not offer STARTTLS; refusing to send the password in the clear');
+            }
+            const credentials = Buffer.from(`\0${decodeURIComponent(url.username)}\0${decodeURIComponent(url.password)}`).toString('base64');
+            await expect(`AUTH PLAIN ${credentials}`, [235]);
+        }
+
+        await expect(`MAIL FROM:<${mailboxAddress(from)}>`, [250]);
+        await expect(`RCPT TO:<${message.to}>`, [250, 251]);
+        await expect('DATA', [354]);
+        await expect(`${formatMessage(from, message)}\r\n.`, [250]);
+        await expect('QUIT', [221]);
+    } finally {
+        socket.end();
+    }
+}
+
+function createSmtpChannel({ url, from }) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'smtp:' && parsed.protocol !== 'smtps:') {
+        throw new Error('The SMTP URL must start with smtp:// or smtps://');
+    }
+    return {
+        kind: 'email',
+        send: (message) => sendSmtp(parsed, from, message)
+    };
+}
+
+// Posts { to, body } as JSON with the token as a bearer credential; adapt a provider's own API behind
+// a small relay, or pass any object with sendSms() to createSmsChannel
+function createHttpSmsProvider({ url, token }) {
+    return {
+        sendSms: async ({ to, body }) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token ? { Authorization: `Bearer ${token}` } : {})
+                },
+                body: JSON.stringify({ to, body }),
+                signal: AbortSignal.timeout(SMS_TIMEOUT)
+            });
+            if (!response.ok) {
+                throw new Error(`SMS provider responded ${response.status}`);
+            }
+        }
+    };
+}
+
+function createSmsChannel(provider) {
+    if (!provider || typeof provider.sendSms !== 'function') {
+        throw new Error('An SMS provider must implement sendSms({ to, body })');
+    }
+    return {
+        kind: 'sms',
+        send: (message) => provider.sendSms({ to: message.to, body: message.text })
+    };
+}
+
+// One text file per message in dir, named so they sort by time
+function createMailboxChannel(dir, kind) {
+    return {
+        kind,
+        send: async (message) => {
+            const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${kind}-${crypto.randomBytes(4).toString('hex')}.txt`;
+            const headers = [`To: ${message.to}`].concat(kind === 'email' ? [`Subject: ${message.subject}`] : []);
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(path.join(dir, name), `${headers.join('\n')}\n\n${message.text}\n`);
+        }
+    };
+}
+
+// SMTP and the HTTP SMS provider when configured, the mailbox in <dataDir>/mailbox otherwise
+function createChannels(config) {
+    const { smtpUrl, from, smsUrl, smsToken } = config.notifications;
+    const mailbox = path.join(config.dataDir, 'mailbox');
+    return {
+        email: smtpUrl ? createSmtpChannel({ url: smtpUrl, from }) : createMailboxChannel(mailbox, 'email'),
+        sms: smsUrl ? createSmsChannel(createHttpSmsProvider({ url: smsUrl, token: smsToken })) : createMailboxChannel(mailbox, 'sms')
+    };
+}
+
+module.exports = {
+    createSmtpChannel,
+    createHttpSmsProvider,
+    createSmsChannel,
+    createMailboxChannel,
+    createChannels
+};
@@ -0,0 +1,110 @@
+// Zero Hunger Server - Notification templates
+// One template per event, building { subject, text, sms } from the values notifications.js collects.
+// subject and text are the email; sms is the shorter text message. Messages are plain text, so values
+// are used as they are. notifications.js adds the opt-out link to every message.
+
+const TEMPLATES = {
+    'donation-received': data => ({
+        subject: `We received your donation (${data.reference})`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `Thank you for offering food to the Zero Hunger network. Your reference code is ${data.reference}.`,
+            `Pickup: ${data.pickup}.`,
+            '',
+            'Check the status, change the pickup time or cancel with your private tracking link:',
+            data.trackingUrl,
+            'Keep this link private: anyone who has it can change your donation.'
+        ].join('\n'),
+        sms: `Zero Hunger: donation ${data.reference} received, pickup ${data.pickup}. Track or change it: ${data.trackingUrl}`
+    }),
+
+    'request-received': data => ({
+        subject: `We received your food request (${data.reference})`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `We received your food request. Your reference code is ${data.reference}.`,
+            data.delivery ? `Delivery: ${data.delivery}.` : 'We will match it with a donation as soon as possible.',
+            '',
+            'Check the status, change the delivery time or cancel with your private tracking link:',
+            data.trackingUrl,
+            'Keep this link private: anyone who has it can change your request.'
+        ].join('\n'),
+        sms: `Zero Hunger: food request ${data.reference} received. Track or change it: ${data.trackingUrl}`
+    }),
+
+    'volunteer-registered': data => ({
+        subject: 'Welcome to Zero Hunger',
+        text: [
+            `Hi ${data.name},`,
+            '',
+            'Thank you for registering as a volunteer. Pick the shifts that suit you on the shift board:',
+            data.shiftsUrl,
+            '',
+            'Open it in the browser you registered with; it keeps you signed in.'
+        ].join('\n'),
+        sms: `Zero Hunger: thanks for registering! Pick your shifts at ${data.shiftsUrl}`
+    }),
+
+    'pickup-reminder': data => ({
+        subject: `Pickup reminder for donation ${data.reference}`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `A reminder that your donation ${data.reference} will be picked up on ${data.pickup} at:`,
+            data.address,
+            '',
+            `Need to change the time? Open your tracking link, or enter your reference code at ${data.trackUrl}`
+        ].join('\n'),
+        sms: `Zero Hunger: pickup of donation ${data.reference} is ${data.pickup}. Need to change it? ${data.trackUrl}`
+    }),
+
+    'donation-matched': data => ({
+        subject: `Your donation ${data.reference} has been matched`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `Good news: your donation ${data.reference} has been matched with a household in need.`,
+            `Pickup is still set for ${data.pickup}. We will let you know if anything changes.`
+        ].join('\n'),
+        sms: `Zero Hunger: donation ${data.reference} has been matched with a household. Pickup is still set for ${data.pickup}.`
+    }),
+
+    'request-matched': data => ({
+        subject: `Food is on the way for request ${data.reference}`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `Your food request ${data.reference} has been matched with a donation.`,
+            'A volunteer will contact you to arrange the delivery.'
+        ].join('\n'),
+        sms: `Zero Hunger: request ${data.reference} has been matched with a donation. A volunteer will contact you about delivery.`
+    }),
+
+    'shift-reminder': data => ({
+        subject: `Shift reminder: ${data.role}, ${data.start}`,
+        text: [
+            `Hi ${data.name},`,
+            '',
+            `A reminder of your ${data.role} shift on ${data.start} at ${data.location}:`,
+            data.address,
+            '',
+            `Can't make it? Withdraw on the shift board so someone else can take your place: ${data.shiftsUrl}`
+        ].join('\n'),
+        sms: `Zero Hunger: ${data.role} shift on ${data.start} at ${data.location}. Can't make it? ${data.shiftsUrl}`
+    })
+};
+
+function isNotificationEvent(event) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATES, event);
+}
+
+function renderNotification(event, data) {
+    if (!isNotificationEvent(event)) {
+        throw new Error(`Unknown notification: ${event}`);
+    }
+    return TEMPLATES[event](data);
+}
+
+module.exports = { isNotificationEvent, renderNotification };
@@ -0,0 +1,238 @@
+// Zero Hunger Server - Notifications
+// Confirmations, match notices and pickup/shift reminders for people who ticked "contact-consent" on
+// their form. Email goes to the form's email when there is one, a text message to its phone otherwise.
+// Every message links to unsubscribe.html, which stops all further messages to that address. Sent and
+// failed messages are logged to notifications.json with the recipient masked.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-utils');
+const { contactKeys } = require('./abuse');
+const { safeEqual } = require('./auth');
+const { renderNotification } = require('./notification-templates');
+
+const FormSchemas = require('../form-schemas');
+const Shifts = require('../shifts');
+
+const NOTIFICATIONS_COLLECTION = 'notifications';
+const OPT_OUTS_COLLECTION = 'notification-opt-outs';
+const CONSENT_FIELD = 'contact-consent';
+const MAX_ATTEMPTS = 3;
+
+// Donations are reminded of pickups that are still ahead of them
+const REMINDED_STATUSES = ['new', 'scheduled'];
+
+const RECIPIENT_FIELDS = {
+    donations: { name: 'donor-name', email: 'donor-email', phone: 'donor-phone' },
+    requests: { name: 'requester-name', email: 'requester-email', phone: 'requester-phone' },
+    volunteers: { name: 'volunteer-name', email: 'volunteer-email', phone: 'volunteer-phone' }
+};
+
+function sign(secret, value) {
+    return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+// Opt-outs are kept as hashes, so the list itself holds no addresses
+function hashContact(contact) {
+    return crypto.createHash('sha256').update(contact).digest('hex');
+}
+
+// 'a***@example.org', '***4567'
+function maskRecipient(to) {
+    const [local, domain] = to.split('@');
+    return domain ? `${local.charAt(0)}***@${domain}` : `***${to.replace(/\D/g, '').slice(-4)}`;
+}
+
+// 'Wed, Oct 21, 2:30 PM' in the submitter's time zone (minutes behind UTC, as getTimezoneOffset()).
+// Records without one were read in the server's zone (FormSchemas.toTimestamp), so they are shown in it.
+function localTime(timestamp, timezoneOffset) {
+    const offset = Number.isInteger(timezoneOffset) ? timezoneOffset : new Date(timestamp).getTimezoneOffset();
+    return new Date(timestamp - offset * 60000).toLocaleString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// Pickup or delivery time from the record's local date and time fields, null when not given
+function scheduledAt(record, dateField, timeField) {
+    const offset = record.timezoneOffset === null ? undefined : record.timezoneOffset;
+    return FormSchemas.toTimestamp(record.fields[dateField], record.fields[timeField], offset);
+}
+
+function pickupTimestamp(record) {
+    return scheduledAt(record, 'pickup-date', 'pickup-time');
+}
+
+class Notifier {
+    constructor({ config, store, channels }) {
+        this.config = config;
+        this.store = store;
+        this.channels = channels;
+        this.publicUrl = (config.publicUrl || `http://${config.host}:${config.port}`).replace(/\/+$/, '');
+        this.timer = null;
+        this.checking = false;
+    }
+
+    // { channel, to, contact } for a record whose owner agreed to be contacted, otherwise null
+    recipient(collection, record) {
+        const fields = RECIPIENT_FIELDS[collection];
+        if (!fields || record.fields[CONSENT_FIELD] !== true) return null;
+
+        const email = record.fields[fields.email];
+        const phone = record.fields[fields.phone];
+        if (email) return { channel: 'email', to: email, contact: contactKeys(record.fields, [fields.email])[0] };
+        if (phone) return { channel: 'sms', to: phone, contact: contactKeys(record.fields, [fields.phone])[0] };
+        return null;
+    }
+
+    link(page) {
+        return `${this.publicUrl}/${page}`;
+    }
+
+    // The link carries the contact it stops and a signature, so it works without signing in
+    optOutToken(contact) {
+        return `${Buffer.from(contact).toString('base64url')}.${sign(this.config.secret, `opt-out.${contact}`)}`;
+    }
+
+    async optOut(token) {
+        const [encoded, signature] = typeof token === 'string' ? token.split('.') : [];
+        const contact = encoded ? Buffer.from(encoded, 'base64url').toString('utf8') : '';
+        const expected = contact ? sign(this.config.secret, `opt-out.${contact}`) : '';
+        if (!signature || !safeEqual(signature, expected)) {
+            throw new HttpError(400, 'This unsubscribe link is not valid');
+        }
+
+        const hash = hashContact(contact);
+        await this.store.exclusive(async () => {
+            if (!(await this.isOptedOut(contact))) {
+                await this.store.insert(OPT_OUTS_COLLECTION, { hash });
+            }
+        });
+    }
+
+    async isOptedOut(contact) {
+        const hash = hashContact(contact);
+        return (await this.store.all(OPT_OUTS_COLLECTION)).some(entry => entry.hash === hash);
+    }
+
+    // Sends one message unless it was sent already under the same key (or failed MAX_ATTEMPTS times).
+    // Resolves with the log entry, or null when nothing was sent; errors are logged, never thrown.
+    async notify(event, collection, record, data = {}, key = `${event}:${record.id}`) {
+        try {
+            const recipient = this.recipient(collection, record);
+            if (!recipient || await this.isOptedOut(recipient.contact)) return null;
+
+            const previous = (await this.store.all(NOTIFICATIONS_COLLECTION)).filter(entry => entry.key === key);
+            if (previous.some(entry => entry.status === 'sent') || previous.length >= MAX_ATTEMPTS) return null;
+
+            const optOutUrl = `${this.link('unsubscribe.html')}#token=${this.optOutToken(recipient.contact)}`;
+            const message = renderNotification(event, { name: record.fields[RECIPIENT_FIELDS[collection].name], ...data });
+            const entry = { event, key, collection, recordId: record.id, channel: recipient.channel, to: maskRecipient(recipient.to) };
+
+            try {
+                await this.channels[recipient.channel].send({
+                    to: recipient.to,
+                    subject: message.subject,
+                    text: recipient.channel === 'email'
+                        ? `${message.text}\n\n--\nZero Hunger Initiative\nTo stop receiving these messages: ${optOutUrl}`
+                        : `${message.sms} Stop: ${optOutUrl}`
+                });
+                return await this.store.insert(NOTIFICATIONS_COLLECTION, { ...entry, status: 'sent' });
+            } catch (error) {
+                console.error(`Notification error (${event}):`, error.message);
+                return await this.store.insert(NOTIFICATIONS_COLLECTION, { ...entry, status: 'failed', error: error.message });
+            }
+        } catch (error) {
+            console.error(`Notification error (${event}):`, error);
+            return null;
+        }
+    }
+
+    // Confirmation for a stored submission; the tracking token only exists at this point
+    confirmSubmission(event, collection, record, trackingToken) {
+        const data = { shiftsUrl: this.link('shifts.html') };
+        if (record.reference) {
+            data.reference = record.reference;
+            data.trackingUrl = `${this.link('track.html')}#ref=${encodeURIComponent(record.reference)}&token=${encodeURIComponent(trackingToken)}`;
+        }
+        if (collection === 'donations') {
+            data.pickup = localTime(pickupTimestamp(record), record.timezoneOffset);
+        }
+        const deliveryAt = collection === 'requests' ? scheduledAt(record, 'delivery-date', 'delivery-time') : null;
+        if (deliveryAt !== null) {
+            data.delivery = localTime(deliveryAt, record.timezoneOffset);
+        }
+        return this.notify(event, collection, record, data);
+    }
+
+    notifyMatch(donation, request) {
+        return Promise.all([
+            this.notify('donation-matched', 'donations', donation, {
+                reference: donation.reference,
+                pickup: localTime(pickupTimestamp(donation), donation.timezoneOffset)
+            }),
+            this.notify('request-matched', 'requests', request, { reference: request.reference })
+        ]);
+    }
+
+    // Pickups and shifts starting within reminderLeadMs. Records created after the reminder would have
+    // gone out are skipped, since their confirmation just told them. A new time gets a new reminder.
+    async sendReminders(now = Date.now()) {
+        if (this.checking) return;
+        this.checking = true;
+        const lead = this.config.notifications.reminderLeadMs;
+        const due = (startsAt, since) => startsAt > now && startsAt - now <= lead && Date.parse(since) < startsAt - lead;
+
+        try {
+            const donations = (await this.store.all('donations')).filter(record => REMINDED_STATUSES.includes(record.status));
+            for (const donation of donations) {
+                const pickupAt = pickupTimestamp(donation);
+                if (pickupAt === null || !due(pickupAt, donation.createdAt)) continue;
+                await this.notify('pickup-reminder', 'donations', donation, {
+                    reference: donation.reference,
+                    pickup: localTime(pickupAt, donation.timezoneOffset),
+                    address: donation.fields['pickup-address'],
+                    trackUrl: this.link('track.html')
+                }, `pickup-reminder:${donation.id}:${pickupAt}`);
+            }
+
+            const [shifts, volunteers] = await Promise.all([this.store.all('shifts'), this.store.all('volunteers')]);
+            for (const shift of shifts) {
+                const startsAt = Date.parse(shift.startsAt);
+                for (const signup of shift.signups) {
+                    const volunteer = volunteers.find(record => record.id === signup.volunteerId);
+                    if (!volunteer || volunteer.status === 'cancelled' || !due(startsAt, signup.signedUpAt)) continue;
+                    await this.notify('shift-reminder', 'volunteers', volunteer, {
+                        role: Shifts.roleLabel(shift.role),
+                        start: localTime(startsAt, volunteer.timezoneOffset),
+                        location: shift.locationName,
+                        address: shift.address,
+                        shiftsUrl: this.link('shifts.html')
+                    }, `shift-reminder:${shift.id}:${volunteer.id}:${shift.startsAt}`);
+                }
+            }
+        } catch (error) {
+            console.error('Reminder error:', error);
+        } finally {
+            this.checking = false;
+        }
+    }
+
+    // Called by server/index.js; createApp() leaves it off so tests call sendReminders(now) themselves
+    start() {
+        if (this.timer) return;
+        this.sendReminders();
+        this.timer = setInterval(() => this.sendReminders(), this.config.notifications.checkIntervalMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = { NOTIFICATIONS_COLLECTION, OPT_OUTS_COLLECTION, CONSENT_FIELD, Notifier };
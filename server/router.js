@@ -0,0 +1,61 @@
+// Zero Hunger Server - Minimal router
+// Routes are registered as "METHOD /path/:param" and matched segment by segment
+
+class Router {
+    constructor() {
+        this.routes = [];
+    }
+
+    add(method, pattern, handler) {
+        this.routes.push({
+            method,
+            segments: pattern.split('/').filter(Boolean),
+            handler
+        });
+    }
+
+    get(pattern, handler) {
+        this.add('GET', pattern, handler);
+    }
+
+    post(pattern, handler) {
+        this.add('POST', pattern, handler);
+    }
+
+    // Returns { handler, params } or null; `allowed` lists methods when only the path matched
+    match(method, pathname) {
+        const parts = pathname.split('/').filter(Boolean);
+        const allowed = [];
+
+        for (const route of this.routes) {
+            const params = matchSegments(route.segments, parts);
+            if (!params) continue;
+            if (route.method === method) {
+                return { handler: route.handler, params };
+            }
+            allowed.push(route.method);
+        }
+
+        return allowed.length > 0 ? { handler: null, params: {}, allowed } : null;
+    }
+}
+
+function matchSegments(segments, parts) {
+    if (segments.length !== parts.length) return null;
+
+    const params = {};
+    for (let i = 0; i < segments.length; i++) {
+        if (segments[i].startsWith(':')) {
+            try {
+                params[segments[i].substring(1)] = decodeURIComponent(parts[i]);
+            } catch (error) {
+                return null;
+            }
+        } else if (segments[i] !== parts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+module.exports = { Router };
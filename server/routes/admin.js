@@ -0,0 +1,233 @@
+// Zero Hunger Server - Coordinator dashboard API (admin.html)
+// Lists stored submissions, moves them through the lifecycle in lifecycle.js, keeps internal notes
+// and records every change in the audit log.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const {
+    isCoordinatorToken,
+    issueAdminSession,
+    adminCookie,
+    clearAdminCookie,
+    readAdminSession,
+    requireCoordinator
+} = require('../auth');
+const { AUDIT_COLLECTION, recordAudit, changeStatus } = require('../audit');
+const { releaseMatch } = require('../matches');
+const { AddressLocator } = require('../geo');
+const { moveStockForStatus } = require('../inventory');
+
+const Lifecycle = require('../../lifecycle');
+const Matching = require('../../matching');
+const FoodSafety = require('../../food-safety');
+const FormSchemas = require('../../form-schemas');
+
+const MAX_NOTE_LENGTH = 1000;
+const MAX_BULK_RECORDS = 200;
+const MAX_AUDIT_ENTRIES = 200;
+
+function requireCollection(collection) {
+    if (!Lifecycle.isCollection(collection)) {
+        throw new HttpError(404, 'Unknown collection');
+    }
+}
+
+function readNote(value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value !== 'string') {
+        throw new HttpError(400, 'Invalid note');
+    }
+    return value.trim().substring(0, MAX_NOTE_LENGTH);
+}
+
+// Optional ISO timestamp query parameter
+function readTime(query, name) {
+    const value = query.get(name);
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new HttpError(400, `Invalid ${name} date`);
+    }
+    return time;
+}
+
+// Dashboard view of a record; volunteer session and tracking token hashes never leave the server
+function adminRecord(record) {
+    const { tokenHash, trackingHash, ...rest } = record;
+    return { ...rest, notes: record.notes || [] };
+}
+
+// Donations get when their food stops being safe and, until delivered, an 'expiring' or 'expired' flag
+function withFoodSafety(record, now) {
+    const safeUntil = Matching.expiresAt(record);
+    const open = Lifecycle.nextStatuses('donations', record.status).length > 0;
+    return {
+        ...record,
+        safeUntil: safeUntil === null || safeUntil === Infinity ? null : new Date(safeUntil).toISOString(),
+        expiry: open ? FoodSafety.expiryStatus(safeUntil, now) : null
+    };
+}
+
+function register(router, { config, store }) {
+    const locator = new AddressLocator(config.rootDir);
+
+    // Checks the transition and applies it, moving stock for picked-up donations and delivered requests;
+    // throws 409 when the lifecycle does not allow it. Cancelling a matched donation or request also
+    // cancels the match and frees its delivery.
+    async function transition(collection, id, status, actor, note) {
+        const record = await store.find(collection, id);
+        if (!record) {
+            throw new HttpError(404, 'Record not found');
+        }
+        if (!Lifecycle.canTransition(collection, record.status, status)) {
+            throw new HttpError(409, `Cannot move from ${Lifecycle.label(record.status)} to ${Lifecycle.label(status)}`);
+        }
+
+        const updated = await changeStatus(store, collection, record, status, actor, note);
+        await moveStockForStatus(store, locator, collection, updated, actor);
+        if (status !== 'cancelled' || !record.matchId) {
+            return updated;
+        }
+        await releaseMatch(store, collection, record, actor, `Match cancelled: ${actor} cancelled ${collection === 'donations' ? 'the donation' : 'the food request'}`);
+        return store.find(collection, record.id);
+    }
+
+    router.post('/api/admin/login', async (req, res) => {
+        if (!config.coordinatorToken) {
+            throw new HttpError(403, 'Coordinator access is not configured');
+        }
+
+        const body = await readJsonBody(req, config.maxBodySize);
+        const name = typeof body.name === 'string' ? body.name.trim() : '';
+        if (!FormSchemas.isName(name)) {
+            throw new HttpError(400, 'Please enter your name', { name: 'Name should be 2-50 letters' });
+        }
+        if (!isCoordinatorToken(config, body.token)) {
+            throw new HttpError(401, 'Invalid access token');
+        }
+
+        sendJson(res, 200, { name }, { 'Set-Cookie': adminCookie(issueAdminSession(config.secret, name)) });
+    });
+
+    router.post('/api/admin/logout', (req, res) => {
+        sendJson(res, 200, { success: true }, { 'Set-Cookie': clearAdminCookie() });
+    });
+
+    router.get('/api/admin/session', (req, res) => {
+        const name = readAdminSession(config.secret, req);
+        if (!name) {
+            throw new HttpError(401, 'Not signed in');
+        }
+        sendJson(res, 200, { name });
+    });
+
+    // ?collection=requests&status=new&urgency=immediate&from=<ISO>&to=<ISO>; &expiring=1 keeps donations
+    // whose food expires within FoodSafety.EXPIRING_WITHIN_HOURS or has expired
+    router.get('/api/admin/records', async (req, res, { query }) => {
+        requireCoordinator(config, req);
+
+        const collection = query.get('collection') || 'donations';
+        requireCollection(collection);
+        const status = query.get('status');
+        const urgency = query.get('urgency');
+        const from = readTime(query, 'from');
+        const to = readTime(query, 'to');
+        const expiring = query.get('expiring') === '1';
+        const now = Date.now();
+
+        const records = (await store.all(collection))
+            .map(record => (collection === 'donations' ? withFoodSafety(record, now) : record))
+            .filter(record => !expiring || Boolean(record.expiry))
+            .filter(record => !status || record.status === status)
+            .filter(record => !urgency || record.fields.urgency === urgency)
+            .filter(record => from === null || Date.parse(record.createdAt) >= from)
+            .filter(record => to === null || Date.parse(record.createdAt) <= to)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+
+        sendJson(res, 200, {
+            collection,
+            statuses: Lifecycle.statuses(collection),
+            records: records.map(adminRecord)
+        });
+    });
+
+    router.post('/api/admin/records/:collection/:id/status', async (req, res, { params }) => {
+        const actor = requireCoordinator(config, req).name;
+        requireCollection(params.collection);
+        const body = await readJsonBody(req, config.maxBodySize);
+        const note = readNote(body.note);
+
+        const record = await store.exclusive(() => transition(params.collection, params.id, body.status, actor, note));
+        sendJson(res, 200, { success: true, record: adminRecord(record) });
+    });
+
+    router.post('/api/admin/records/:collection/:id/notes', async (req, res, { params }) => {
+        const actor = requireCoordinator(config, req).name;
+        requireCollection(params.collection);
+        const body = await readJsonBody(req, config.maxBodySize);
+        const text = readNote(body.text);
+        if (!text) {
+            throw new HttpError(400, 'Note cannot be empty');
+        }
+
+        const record = await store.exclusive(async () => {
+            const current = await store.find(params.collection, params.id);
+            if (!current) {
+                throw new HttpError(404, 'Record not found');
+            }
+            const notes = (current.notes || []).concat({ text, author: actor, at: new Date().toISOString() });
+            const updated = await store.update(params.collection, current.id, { notes });
+            await recordAudit(store, { collection: params.collection, recordId: current.id, action: 'note', actor, note: text });
+            return updated;
+        });
+
+        sendJson(res, 200, { success: true, record: adminRecord(record) });
+    });
+
+    // Moves each record independently; records the lifecycle does not allow are reported, not fatal
+    router.post('/api/admin/records/:collection/bulk', async (req, res, { params }) => {
+        const actor = requireCoordinator(config, req).name;
+        requireCollection(params.collection);
+        const body = await readJsonBody(req, config.maxBodySize);
+        const note = readNote(body.note);
+
+        const ids = Array.isArray(body.ids) ? Array.from(new Set(body.ids.filter(id => typeof id === 'string'))) : [];
+        if (ids.length === 0 || ids.length > MAX_BULK_RECORDS) {
+            throw new HttpError(400, `Select between 1 and ${MAX_BULK_RECORDS} records`);
+        }
+        if (!Lifecycle.statuses(params.collection).includes(body.status)) {
+            throw new HttpError(400, 'Unknown status');
+        }
+
+        const updated = [];
+        const failed = [];
+        await store.exclusive(async () => {
+            for (const id of ids) {
+                try {
+                    updated.push(adminRecord(await transition(params.collection, id, body.status, actor, note)));
+                } catch (error) {
+                    if (!(error instanceof HttpError)) throw error;
+                    failed.push({ id, error: error.message });
+                }
+            }
+        });
+
+        sendJson(res, 200, { success: failed.length === 0, updated, failed });
+    });
+
+    // Newest first; ?collection=&recordId= narrow it to one record
+    router.get('/api/admin/audit', async (req, res, { query }) => {
+        requireCoordinator(config, req);
+        const collection = query.get('collection');
+        const recordId = query.get('recordId');
+
+        const entries = (await store.all(AUDIT_COLLECTION))
+            .filter(entry => !collection || entry.collection === collection)
+            .filter(entry => !recordId || entry.recordId === recordId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .slice(0, MAX_AUDIT_ENTRIES);
+
+        sendJson(res, 200, { entries });
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,36 @@
+// Zero Hunger Server - Local routing stand-in
+// Answers the OSRM route API (GET /api/route/v1/:profile/:coordinates) from Directions.localRoute()
+// so in-app directions work without an external routing service. Errors use OSRM's { code, message }.
+
+const { sendJson } = require('../http-utils');
+
+const Directions = require('../../directions');
+
+// '-73.98,40.75;-73.95,40.78' -> [{ lat, lng }, { lat, lng }] or null
+function parseCoordinates(text) {
+    const points = text.split(';').map(pair => {
+        const [lng, lat] = pair.split(',').map(Number);
+        return { lat, lng };
+    });
+
+    const valid = points.length === 2 && points.every(point =>
+        Number.isFinite(point.lat) && Number.isFinite(point.lng) &&
+        Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180
+    );
+    return valid ? points : null;
+}
+
+function register(router) {
+    router.get('/api/route/v1/:profile/:coordinates', (req, res, { params }) => {
+        const points = parseCoordinates(params.coordinates);
+        if (!points) {
+            sendJson(res, 400, { code: 'InvalidQuery', message: 'Expected two coordinates as lng,lat;lng,lat' });
+            return;
+        }
+
+        const body = Directions.localRoute(points[0], points[1], params.profile);
+        sendJson(res, body.code === 'Ok' ? 200 : 400, body);
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,98 @@
+// Zero Hunger Server - Public impact statistics (index.html, impact.html)
+// Aggregates the stored submissions with impact.js: headline numbers, chart series and the CSV/JSON
+// exports for grant reports. No personal data leaves the store.
+
+const { HttpError, sendJson } = require('../http-utils');
+const { AUDIT_COLLECTION } = require('../audit');
+const { AddressLocator } = require('../geo');
+
+const Impact = require('../../impact');
+
+const DEFAULT_SERIES_MONTHS = 12;
+const MAX_SERIES_MONTHS = 120;
+
+function register(router, { config, store }) {
+    const locator = new AddressLocator(config.rootDir);
+
+    async function loadData() {
+        const [donations, requests, volunteers, auditEntries, { locations }] = await Promise.all([
+            store.all('donations'),
+            store.all('requests'),
+            store.all('volunteers'),
+            store.all(AUDIT_COLLECTION),
+            locator.load()
+        ]);
+        return { donations, requests, volunteers, auditEntries, locations };
+    }
+
+    // ?from=YYYY-MM&to=YYYY-MM&location=<id>; defaults to the last 12 months and every location
+    async function loadSeries(query) {
+        const now = new Date();
+        const to = query.get('to') || Impact.monthKey(now);
+        const from = query.get('from') || Impact.monthKey(new Date(now.getFullYear(), now.getMonth() - (DEFAULT_SERIES_MONTHS - 1), 1));
+        if (!Impact.isMonth(from) || !Impact.isMonth(to) || from > to) {
+            throw new HttpError(400, 'Use from and to months as YYYY-MM, from not after to');
+        }
+        if (Impact.monthRange(from, to).length > MAX_SERIES_MONTHS) {
+            throw new HttpError(400, `Choose at most ${MAX_SERIES_MONTHS} months`);
+        }
+
+        const data = await loadData();
+        const locationId = query.get('location');
+        if (locationId && !data.locations.some(location => String(location.id) === locationId)) {
+            throw new HttpError(400, 'Unknown location');
+        }
+
+        // Donations count towards the directory location nearest their pickup address
+        return Impact.series(data, {
+            from,
+            to,
+            locationId,
+            locationOf: donation => {
+                const location = locator.nearestLocation(donation.fields['pickup-address']);
+                return location ? location.id : null;
+            }
+        });
+    }
+
+    router.get('/api/impact', async (req, res) => {
+        sendJson(res, 200, Impact.aggregate(await loadData()));
+    });
+
+    router.get('/api/impact/series', async (req, res, { query }) => {
+        sendJson(res, 200, await loadSeries(query));
+    });
+
+    // ?dataset=monthly|foodTypes&format=csv|json plus the series filters, as a file download
+    router.get('/api/impact/export', async (req, res, { query }) => {
+        const dataset = query.get('dataset');
+        const format = query.get('format') || 'csv';
+        if (!Impact.datasets().includes(dataset)) {
+            throw new HttpError(400, `Choose a dataset: ${Impact.datasets().join(', ')}`);
+        }
+        if (format !== 'csv' && format !== 'json') {
+            throw new HttpError(400, 'Choose csv or json');
+        }
+
+        const series = await loadSeries(query);
+        const filename = `zero-hunger-${dataset}-${series.from}-to-${series.to}${series.locationId ? `-location-${series.locationId}` : ''}.${format}`;
+        const disposition = { 'Content-Disposition': `attachment; filename="${filename}"` };
+
+        if (format === 'json') {
+            const { monthly, foodTypes, ...filters } = series;
+            sendJson(res, 200, { ...filters, dataset, rows: series[dataset] }, disposition);
+            return;
+        }
+
+        const csv = Impact.toCsv(series[dataset], dataset);
+        res.writeHead(200, {
+            'Content-Type': 'text/csv; charset=utf-8',
+            'Content-Length': Buffer.byteLength(csv),
+            'Cache-Control': 'no-store',
+            ...disposition
+        });
+        res.end(csv);
+    });
+}
+
+module.exports = { register };
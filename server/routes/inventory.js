@@ -0,0 +1,80 @@
+// Zero Hunger Server - Inventory API
+// Public stock levels for find.html and map.html; for coordinators (admin.html) the movement history
+// and manual adjustments. Donations and requests move stock through their status (server/inventory.js).
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { requireCoordinator } = require('../auth');
+const { AddressLocator } = require('../geo');
+const { MOVEMENTS_COLLECTION, stockLevels, recordMovement } = require('../inventory');
+
+const Inventory = require('../../inventory');
+const LocationRepository = require('../../location-repository');
+
+const MAX_MOVEMENTS = 200;
+const MAX_NOTE_LENGTH = 500;
+const MAX_SERVINGS = 100000;
+
+function register(router, { config, store }) {
+    const locator = new AddressLocator(config.rootDir);
+
+    router.get('/api/inventory', async (req, res) => {
+        sendJson(res, 200, { levels: await stockLevels(store) });
+    });
+
+    // ?locationId=<id> narrows it to one location; newest first
+    router.get('/api/admin/inventory/movements', async (req, res, { query }) => {
+        requireCoordinator(config, req);
+        const locationId = query.get('locationId');
+
+        const movements = (await store.all(MOVEMENTS_COLLECTION))
+            .filter(movement => !locationId || movement.locationId === locationId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .slice(0, MAX_MOVEMENTS);
+
+        sendJson(res, 200, { movements });
+    });
+
+    // { locationId, category, change, note } adds (or with a negative change removes) servings;
+    // { locationId, category, count, note } sets the counted total instead. A reason is required.
+    router.post('/api/admin/inventory/adjust', async (req, res) => {
+        const actor = requireCoordinator(config, req).name;
+        const body = await readJsonBody(req, config.maxBodySize);
+
+        const { locations } = await locator.load();
+        const location = LocationRepository.findById(locations, body.locationId);
+        if (!location || !Inventory.stocks(location)) {
+            throw new HttpError(400, 'Unknown stock location');
+        }
+        if (!Inventory.stocks(location, body.category)) {
+            throw new HttpError(400, `${location.name} does not take that food type`);
+        }
+
+        const counted = body.count !== undefined;
+        const amount = counted ? body.count : body.change;
+        if (!Number.isInteger(amount) || Math.abs(amount) > MAX_SERVINGS || (counted ? amount < 0 : amount === 0)) {
+            throw new HttpError(400, 'Enter a whole number of servings');
+        }
+        const note = typeof body.note === 'string' ? body.note.trim().substring(0, MAX_NOTE_LENGTH) : '';
+        if (!note) {
+            throw new HttpError(400, 'Please give a reason for the adjustment');
+        }
+
+        const locationId = String(location.id);
+        const result = await store.exclusive(async () => {
+            const current = ((await stockLevels(store))[locationId] || {})[body.category] || 0;
+            const movement = await recordMovement(store, {
+                locationId,
+                category: body.category,
+                change: counted ? amount - current : amount,
+                reason: 'adjustment',
+                actor,
+                note
+            });
+            return { movement, quantity: current + (movement ? movement.change : 0) };
+        });
+
+        sendJson(res, 200, { success: true, ...result });
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,118 @@
+// Zero Hunger Server - Donation/request matching for coordinators
+// GET ranks open requests for a donation (?donation=<id>) or open donations for a request (?request=<id>);
+// POST accepts one proposal, links the two records and tells the donor and the requester.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { requireCoordinator } = require('../auth');
+const { recordAudit } = require('../audit');
+const { AddressLocator } = require('../geo');
+
+const Matching = require('../../matching');
+
+const MAX_PROPOSALS = 20;
+
+// Records that still need a match
+function isOpen(record) {
+    return record.status === 'new' && !record.matchId;
+}
+
+function addressOf(record) {
+    return record.fields['pickup-address'] || record.fields['delivery-address'] || '';
+}
+
+// What a coordinator needs to judge a proposal, without contact details
+function summarize(record, locator) {
+    const place = locator.locate(addressOf(record));
+    const keys = record.formType === 'Donation'
+        ? ['food-type', 'quantity', 'food-condition', 'pickup-date', 'pickup-time']
+        : ['urgency', 'family-size', 'food-type', 'delivery-date', 'delivery-time', 'special-requirements'];
+
+    const summary = { id: record.id, createdAt: record.createdAt, area: place ? place.label : null };
+    keys.forEach(key => {
+        summary[key] = record.fields[key] === undefined ? null : record.fields[key];
+    });
+    return summary;
+}
+
+function register(router, { config, store, notifier }) {
+    const locator = new AddressLocator(config.rootDir);
+    const options = () => ({
+        now: new Date(),
+        locate: record => locator.locate(addressOf(record))
+    });
+
+    router.get('/api/matches', async (req, res, { query }) => {
+        requireCoordinator(config, req);
+        await locator.load();
+
+        const donationId = query.get('donation');
+        const requestId = query.get('request');
+        let proposals;
+
+        if (donationId) {
+            const donation = await store.find('donations', donationId);
+            if (!donation) throw new HttpError(404, 'Donation not found');
+            const requests = (await store.all('requests')).filter(isOpen);
+            proposals = Matching.rankRequests(donation, requests, options())
+                .slice(0, MAX_PROPOSALS)
+                .map(proposal => ({
+                    ...proposal,
+                    request: summarize(requests.find(record => record.id === proposal.requestId), locator)
+                }));
+        } else if (requestId) {
+            const request = await store.find('requests', requestId);
+            if (!request) throw new HttpError(404, 'Request not found');
+            const donations = (await store.all('donations')).filter(isOpen);
+            proposals = Matching.rankDonations(request, donations, options())
+                .slice(0, MAX_PROPOSALS)
+                .map(proposal => ({
+                    ...proposal,
+                    donation: summarize(donations.find(record => record.id === proposal.donationId), locator)
+                }));
+        } else {
+            throw new HttpError(400, 'Pass ?donation=<id> or ?request=<id>');
+        }
+
+        sendJson(res, 200, { proposals });
+    });
+
+    router.post('/api/matches', async (req, res) => {
+        const actor = requireCoordinator(config, req).name;
+        await locator.load();
+
+        const body = await readJsonBody(req, config.maxBodySize);
+
+        await store.exclusive(async () => {
+            const donation = typeof body.donationId === 'string' ? await store.find('donations', body.donationId) : null;
+            const request = typeof body.requestId === 'string' ? await store.find('requests', body.requestId) : null;
+            if (!donation || !request) {
+                throw new HttpError(404, 'Donation or request not found');
+            }
+            if (!isOpen(donation) || !isOpen(request)) {
+                throw new HttpError(409, 'Donation or request is no longer open');
+            }
+
+            // Re-score so a stale proposal (expired food, changed records) is not accepted
+            const result = Matching.score(donation, request, options());
+            if (!result) {
+                throw new HttpError(409, 'This donation cannot serve this request');
+            }
+
+            const match = await store.insert('matches', {
+                ...Matching.proposal(donation, request, result),
+                status: 'accepted'
+            });
+            await store.update('donations', donation.id, { matchId: match.id });
+            await store.update('requests', request.id, { matchId: match.id });
+            for (const [collection, record] of [['donations', donation], ['requests', request]]) {
+                await recordAudit(store, { collection, recordId: record.id, action: 'match', actor, note: `Match ${match.id} (score ${match.score})` });
+            }
+            // Sent in the background, like submission confirmations
+            notifier.notifyMatch(donation, request);
+
+            sendJson(res, 201, { success: true, match });
+        });
+    });
+}
+
+module.exports = { register };
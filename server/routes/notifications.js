@@ -0,0 +1,24 @@
+// Zero Hunger Server - Notification preferences
+// unsubscribe.html posts the token from the link in a message to stop all further messages to that
+// email address or phone number.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { CsrfError, verifyRequest } = require('../csrf');
+
+function register(router, { config, notifier }) {
+    router.post('/api/notifications/opt-out', async (req, res) => {
+        if (!verifyRequest(config.secret, req)) {
+            throw new CsrfError();
+        }
+
+        const body = await readJsonBody(req, config.maxBodySize);
+        if (typeof body.token !== 'string') {
+            throw new HttpError(400, 'Expected { token }');
+        }
+
+        await notifier.optOut(body.token);
+        sendJson(res, 200, { success: true });
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,274 @@
+// Zero Hunger Server - Volunteer shifts and delivery assignment
+// Coordinators define shifts per location and assign matched deliveries; volunteers sign up for
+// shifts with the cookie issued at registration and see their own schedule.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { CsrfError, verifyRequest } = require('../csrf');
+const { requireCoordinator, requireVolunteer } = require('../auth');
+const { AddressLocator } = require('../geo');
+const { recordAudit, changeStatus } = require('../audit');
+
+const FormSchemas = require('../../form-schemas');
+const Lifecycle = require('../../lifecycle');
+const LocationRepository = require('../../location-repository');
+const Shifts = require('../../shifts');
+
+const MAX_SHIFT_CAPACITY = 100;
+const DEFAULT_DELIVERY_MINUTES = 90;
+
+// { startsAt, endsAt } from local date/time fields; throws 400 with field details when invalid
+function parseSlot(body, { endTime, durationMinutes }) {
+    const timezoneOffset = Number.isInteger(body.timezoneOffset) && Math.abs(body.timezoneOffset) <= 840
+        ? body.timezoneOffset
+        : undefined;
+    const start = FormSchemas.toTimestamp(body.date, body.start, timezoneOffset);
+    if (start === null) {
+        throw new HttpError(400, 'Invalid time', { start: 'Please enter a valid date and start time' });
+    }
+
+    const end = endTime !== undefined
+        ? FormSchemas.toTimestamp(body.date, endTime, timezoneOffset)
+        : start + durationMinutes * 60000;
+    if (end === null || end <= start) {
+        throw new HttpError(400, 'Invalid time', { end: 'End time must be after the start time' });
+    }
+    if (start <= Date.now()) {
+        throw new HttpError(400, 'Invalid time', { start: 'Start time must be in the future' });
+    }
+
+    return { startsAt: new Date(start).toISOString(), endsAt: new Date(end).toISOString() };
+}
+
+// Public view of a shift; signups stay private
+function publicShift(shift) {
+    return {
+        id: shift.id,
+        locationId: shift.locationId,
+        locationName: shift.locationName,
+        address: shift.address,
+        role: shift.role,
+        startsAt: shift.startsAt,
+        endsAt: shift.endsAt,
+        capacity: shift.capacity,
+        spotsLeft: Math.max(0, shift.capacity - shift.signups.length)
+    };
+}
+
+function register(router, { config, store }) {
+    const locator = new AddressLocator(config.rootDir);
+
+    function requireCsrf(req) {
+        if (!verifyRequest(config.secret, req)) {
+            throw new CsrfError();
+        }
+    }
+
+    async function loadSchedule() {
+        const [shifts, assignments] = await Promise.all([store.all('shifts'), store.all('assignments')]);
+        return { shifts, assignments };
+    }
+
+    // Upcoming shifts, optionally for one location or role
+    router.get('/api/shifts', async (req, res, { query }) => {
+        const now = Date.now();
+        const locationId = query.get('location');
+        const role = query.get('role');
+
+        const shifts = (await store.all('shifts'))
+            .filter(shift => Date.parse(shift.endsAt) > now)
+            .filter(shift => !locationId || String(shift.locationId) === locationId)
+            .filter(shift => !role || shift.role === role)
+            .sort((a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt));
+
+        sendJson(res, 200, { shifts: shifts.map(publicShift) });
+    });
+
+    router.post('/api/shifts', async (req, res) => {
+        requireCoordinator(config, req);
+        const body = await readJsonBody(req, config.maxBodySize);
+
+        const { locations } = await locator.load();
+        const location = LocationRepository.findById(locations, body.locationId);
+        if (!location) {
+            throw new HttpError(400, 'Unknown location', { locationId: 'Please choose a location from the directory' });
+        }
+        if (!Shifts.isRole(body.role)) {
+            throw new HttpError(400, 'Unknown role', { role: 'Please choose a volunteer role' });
+        }
+        const capacity = Number(body.capacity);
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_SHIFT_CAPACITY) {
+            throw new HttpError(400, 'Invalid capacity', { capacity: `Capacity must be between 1 and ${MAX_SHIFT_CAPACITY}` });
+        }
+
+        const shift = await store.insert('shifts', {
+            locationId: location.id,
+            locationName: location.name,
+            address: location.address,
+            role: body.role,
+            ...parseSlot(body, { endTime: body.end }),
+            capacity,
+            signups: []
+        });
+
+        sendJson(res, 201, { success: true, shift: publicShift(shift) });
+    });
+
+    router.post('/api/shifts/:id/signup', async (req, res, { params }) => {
+        requireCsrf(req);
+        const volunteer = await requireVolunteer(store, req);
+
+        await store.exclusive(async () => {
+            const { shifts, assignments } = await loadSchedule();
+
+            const shift = shifts.find(item => item.id === params.id);
+            if (!shift || Date.parse(shift.startsAt) <= Date.now()) {
+                throw new HttpError(404, 'Shift not found');
+            }
+            if (shift.signups.some(signup => signup.volunteerId === volunteer.id)) {
+                throw new HttpError(409, 'You are already signed up for this shift');
+            }
+            if (shift.signups.length >= shift.capacity) {
+                throw new HttpError(409, 'This shift is full');
+            }
+
+            const conflicts = Shifts.findConflicts(shift, Shifts.commitmentsFor(volunteer.id, shifts, assignments));
+            if (conflicts.length > 0) {
+                throw new HttpError(409, 'This shift overlaps with your schedule', { conflicts });
+            }
+
+            const signups = shift.signups.concat({ volunteerId: volunteer.id, signedUpAt: new Date().toISOString() });
+            const updated = await store.update('shifts', shift.id, { signups });
+            sendJson(res, 200, { success: true, shift: publicShift(updated) });
+        });
+    });
+
+    router.post('/api/shifts/:id/withdraw', async (req, res, { params }) => {
+        requireCsrf(req);
+        const volunteer = await requireVolunteer(store, req);
+
+        await store.exclusive(async () => {
+            const shift = await store.find('shifts', params.id);
+            if (!shift || !shift.signups.some(signup => signup.volunteerId === volunteer.id)) {
+                throw new HttpError(404, 'You are not signed up for this shift');
+            }
+
+            const signups = shift.signups.filter(signup => signup.volunteerId !== volunteer.id);
+            const updated = await store.update('shifts', shift.id, { signups });
+            sendJson(res, 200, { success: true, shift: publicShift(updated) });
+        });
+    });
+
+    // "My shifts": the volunteer's upcoming shifts and delivery runs
+    router.get('/api/volunteers/me/shifts', async (req, res) => {
+        const volunteer = await requireVolunteer(store, req);
+        const { shifts, assignments } = await loadSchedule();
+        const now = Date.now();
+
+        const myShifts = shifts
+            .filter(shift => Date.parse(shift.endsAt) > now)
+            .filter(shift => shift.signups.some(signup => signup.volunteerId === volunteer.id))
+            .map(publicShift);
+
+        const deliveries = await Promise.all(assignments
+            .filter(assignment => assignment.volunteerId === volunteer.id && assignment.status === 'assigned')
+            .filter(assignment => Date.parse(assignment.endsAt) > now)
+            .map(async assignment => {
+                const match = await store.find('matches', assignment.matchId);
+                const donation = match && await store.find('donations', match.donationId);
+                const request = match && await store.find('requests', match.requestId);
+                return {
+                    id: assignment.id,
+                    startsAt: assignment.startsAt,
+                    endsAt: assignment.endsAt,
+                    pickupAddress: donation ? donation.fields['pickup-address'] : null,
+                    deliveryAddress: request ? request.fields['delivery-address'] : null,
+                    notes: request ? request.fields['special-requirements'] || null : null
+                };
+            }));
+
+        const byStart = (a, b) => Date.parse(a.startsAt) - Date.parse(b.startsAt);
+        sendJson(res, 200, {
+            volunteer: {
+                name: volunteer.fields['volunteer-name'],
+                areaInterest: volunteer.fields['area-interest'],
+                availability: volunteer.fields.availability
+            },
+            shifts: myShifts.sort(byStart),
+            deliveries: deliveries.sort(byStart)
+        });
+    });
+
+    // Assign the delivery for an accepted match. Without volunteerId the best free delivery
+    // volunteer is chosen; the slot defaults to the donation's pickup time.
+    router.post('/api/matches/:id/assign', async (req, res, { params }) => {
+        const actor = requireCoordinator(config, req).name;
+        const body = await readJsonBody(req, config.maxBodySize);
+
+        await store.exclusive(async () => {
+            const match = await store.find('matches', params.id);
+            if (!match || match.status !== 'accepted') {
+                throw new HttpError(404, 'Match not found');
+            }
+            const donation = await store.find('donations', match.donationId);
+
+            const durationMinutes = Number.isInteger(body.durationMinutes) && body.durationMinutes > 0 && body.durationMinutes <= 8 * 60
+                ? body.durationMinutes
+                : DEFAULT_DELIVERY_MINUTES;
+            const slot = parseSlot(body.date ? body : {
+                date: donation && donation.fields['pickup-date'],
+                start: donation && donation.fields['pickup-time'],
+                timezoneOffset: donation && donation.timezoneOffset
+            }, { durationMinutes });
+
+            const { shifts, assignments } = await loadSchedule();
+            // A reassignment frees the previous volunteer's slot before checking conflicts
+            const active = assignments.filter(assignment => assignment.id !== match.assignmentId);
+
+            let candidate;
+            if (body.volunteerId) {
+                const volunteer = await store.find('volunteers', body.volunteerId);
+                if (!volunteer) throw new HttpError(404, 'Volunteer not found');
+                candidate = Shifts.assess(slot, volunteer, shifts, active);
+                if (candidate.conflicts.length > 0) {
+                    throw new HttpError(409, 'Volunteer has a conflicting commitment', { conflicts: candidate.conflicts });
+                }
+            } else {
+                candidate = Shifts.rankDeliveryVolunteers(slot, await store.all('volunteers'), shifts, active)[0];
+                if (!candidate) {
+                    throw new HttpError(409, 'No delivery volunteer is available for this time');
+                }
+            }
+
+            if (match.assignmentId) {
+                await store.update('assignments', match.assignmentId, { status: 'reassigned' });
+            }
+            const assignment = await store.insert('assignments', {
+                matchId: match.id,
+                volunteerId: candidate.volunteer.id,
+                ...slot,
+                status: 'assigned'
+            });
+            await store.update('matches', match.id, { assignmentId: assignment.id, volunteerId: candidate.volunteer.id });
+
+            // Both sides of the match are now scheduled; a reassignment is logged against them as well
+            const note = `Delivery assigned to ${candidate.volunteer.fields['volunteer-name']}`;
+            for (const collection of ['donations', 'requests']) {
+                const record = await store.find(collection, collection === 'donations' ? match.donationId : match.requestId);
+                if (!record) continue;
+                if (Lifecycle.canTransition(collection, record.status, 'scheduled')) {
+                    await changeStatus(store, collection, record, 'scheduled', actor, note);
+                } else {
+                    await recordAudit(store, { collection, recordId: record.id, action: 'assign', actor, note });
+                }
+            }
+
+            sendJson(res, 201, {
+                success: true,
+                assignment,
+                volunteer: { id: candidate.volunteer.id, name: candidate.volunteer.fields['volunteer-name'], onShift: candidate.onShift }
+            });
+        });
+    });
+}
+
+module.exports = { register };
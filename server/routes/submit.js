@@ -0,0 +1,171 @@
+// Zero Hunger Server - Form submission endpoints
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { CsrfError, issueToken, csrfCookie, verifyRequest } = require('../csrf');
+const { FORM_TYPES, getFormType } = require('../form-types');
+const { issueAccessToken, volunteerCookie } = require('../auth');
+const { isTracked, issueReference } = require('../tracking');
+const { recordSecurityEvent } = require('../telemetry');
+const {
+    HONEYPOT_FIELD,
+    SlidingWindowLimiter,
+    RateLimitError,
+    clientAddress,
+    contactKeys,
+    issueFormTicket,
+    checkFormTicket
+} = require('../abuse');
+
+const FormSchemas = require('../../form-schemas');
+const SecurityEvents = require('../../security-events');
+
+const MAX_FIELD_LENGTH = 500;
+
+// Keep only the fields the form's schema declares; checkboxes stay booleans
+function extractFields(schema, body) {
+    const fields = {};
+
+    Object.keys(schema.fields).forEach(name => {
+        const value = body[name];
+        if (value === undefined || value === null) return;
+
+        if (schema.fields[name].type === 'checkbox') {
+            fields[name] = FormSchemas.isChecked(value);
+        } else if (typeof value === 'string' || typeof value === 'number') {
+            fields[name] = String(value).trim().substring(0, MAX_FIELD_LENGTH);
+        } else {
+            throw new HttpError(400, `Invalid field: ${name}`);
+        }
+    });
+
+    return fields;
+}
+
+// The same household: a shared contact or the same address, ignoring case and spacing
+function householdKeys(definition, fields) {
+    const keys = contactKeys(fields, definition.contactFields);
+    const address = definition.householdField && fields[definition.householdField];
+    if (address) {
+        keys.push(`address:${address.toLowerCase().replace(/[\s,.]+/g, ' ').trim()}`);
+    }
+    return keys;
+}
+
+// Seconds until the form's quota allows another record for this person, 0 when it does already
+function quotaRetryAfter(definition, records, fields, now) {
+    const { limit, windowMs } = definition.quota;
+    const keys = new Set(householdKeys(definition, fields));
+    const recent = records
+        .filter(record => record.status !== 'cancelled' && now - Date.parse(record.createdAt) < windowMs)
+        .filter(record => householdKeys(definition, record.fields).some(key => keys.has(key)))
+        .map(record => Date.parse(record.createdAt))
+        .sort((a, b) => a - b);
+    if (recent.length < limit) return 0;
+    return Math.max(1, Math.ceil((recent[recent.length - limit] + windowMs - now) / 1000));
+}
+
+function register(router, { config, store, notifier }) {
+    const addressLimiter = new SlidingWindowLimiter(config.rateLimits.address);
+    const contactLimiter = new SlidingWindowLimiter(config.rateLimits.contact);
+
+    router.get('/api/csrf-token', (req, res) => {
+        const token = issueToken(config.secret);
+        sendJson(res, 200, { token }, { 'Set-Cookie': csrfCookie(token) });
+    });
+
+    // Fetched when a form is shown; /api/submit refuses tickets younger than config.minFillSeconds
+    router.get('/api/form-ticket', (req, res, { query }) => {
+        const formType = Object.keys(FORM_TYPES).find(name => FORM_TYPES[name].formId === query.get('form'));
+        if (!formType) {
+            throw new HttpError(400, 'Unknown form');
+        }
+        sendJson(res, 200, { ticket: issueFormTicket(config.secret, FORM_TYPES[formType].formId) });
+    });
+
+    router.post('/api/submit', async (req, res) => {
+        if (!verifyRequest(config.secret, req)) {
+            throw new CsrfError();
+        }
+
+        // Every attempt counts, so invalid submissions cannot be sent in a loop either
+        const address = clientAddress(req, config.trustProxy);
+        const addressWait = addressLimiter.retryAfter(address);
+        if (addressWait > 0) {
+            throw new RateLimitError('Too many submissions from your network', addressWait, 'rate-limited', 'network-limit');
+        }
+        addressLimiter.hit(address);
+
+        const body = await readJsonBody(req, config.maxBodySize);
+        const definition = getFormType(body.formType);
+        if (!definition) {
+            throw new HttpError(400, 'Unknown form type');
+        }
+
+        if (typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim()) {
+            const error = new HttpError(400, 'Submission rejected');
+            error.securityEvent = { type: 'honeypot', form: definition.formId };
+            throw error;
+        }
+        checkFormTicket(config.secret, body.formTicket, definition.formId, config.minFillSeconds);
+
+        const fields = extractFields(FormSchemas.get(definition.formId), body);
+        // Not refused: values are stored as typed and encoded on output, but coordinators should know
+        const suspicious = SecurityEvents.suspiciousFields(fields);
+        if (suspicious.length > 0) {
+            await recordSecurityEvent(store, { type: 'suspicious-input', page: '/api/submit', form: definition.formId, fields: suspicious },
+                { address: clientAddress(req, config.trustProxy) });
+        }
+        const timezoneOffset = Number.isInteger(body.timezoneOffset) && Math.abs(body.timezoneOffset) <= 840
+            ? body.timezoneOffset
+            : undefined;
+        const { valid, errors } = FormSchemas.validate(definition.formId, fields, { timezoneOffset });
+        if (!valid) {
+            const error = new HttpError(422, 'Validation failed', errors);
+            error.securityEvent = { type: 'validation-failed', form: definition.formId, fields: Object.keys(errors) };
+            throw error;
+        }
+
+        const contacts = contactKeys(fields, definition.contactFields);
+        const contactWait = Math.max(0, ...contacts.map(key => contactLimiter.retryAfter(key)));
+        if (contactWait > 0) {
+            throw new RateLimitError('Too many submissions with these contact details', contactWait, 'rate-limited', 'contact-limit');
+        }
+
+        // Volunteers sign in to the shift board with a cookie issued at registration; donors and
+        // requesters follow up on track.html with a reference code and tracking token
+        const access = issueAccessToken();
+        const volunteer = definition.collection === 'volunteers';
+        const tracked = isTracked(definition.collection);
+
+        // Exclusive so two submissions never draw the same unused reference code or both fit the quota
+        const record = await store.exclusive(async () => {
+            const quotaWait = quotaRetryAfter(definition, await store.all(definition.collection), fields, Date.now());
+            if (quotaWait > 0) {
+                throw new RateLimitError(definition.quota.message, quotaWait, 'rate-limited', `quota-${definition.formId}`);
+            }
+
+            return store.insert(definition.collection, {
+                formType: body.formType,
+                status: 'new',
+                fields,
+                timezoneOffset: timezoneOffset === undefined ? null : timezoneOffset,
+                clientTimestamp: typeof body.timestamp === 'string' ? body.timestamp.substring(0, 40) : null,
+                userAgent: typeof body.userAgent === 'string' ? body.userAgent.substring(0, 200) : null,
+                ...(volunteer ? { tokenHash: access.tokenHash } : {}),
+                ...(tracked ? { reference: await issueReference(store, definition.collection), trackingHash: access.tokenHash } : {})
+            });
+        });
+        contacts.forEach(key => contactLimiter.hit(key));
+
+        // Not awaited: a slow mail server must not hold up the response; notify() logs its own failures
+        notifier.confirmSubmission(definition.confirmation, definition.collection, record, access.token);
+
+        if (tracked) {
+            sendJson(res, 201, { success: true, id: record.id, reference: record.reference, trackingToken: access.token });
+        } else {
+            sendJson(res, 201, { success: true, id: record.id }, volunteer ? { 'Set-Cookie': volunteerCookie(access.token) } : {});
+        }
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,146 @@
+// Zero Hunger Server - Security telemetry API
+// Collector for the events the pages batch and send with navigator.sendBeacon, the endpoint browsers
+// report CSP violations to, and the coordinator view on admin.html with counts per type and per hour.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { requireCoordinator } = require('../auth');
+const { SlidingWindowLimiter, clientAddress } = require('../abuse');
+const { SECURITY_EVENTS_COLLECTION, recordSecurityEvent } = require('../telemetry');
+const { CSP_REPORT_PATH } = require('../security-headers');
+
+const SecurityEvents = require('../../security-events');
+
+const MAX_BATCH = 20;
+const MAX_BATCH_SIZE = 16 * 1024; // 16 KB
+const MAX_RECENT_EVENTS = 50;
+const HOUR = 60 * 60 * 1000;
+const DEFAULT_HOURS = 24;
+const MAX_HOURS = 7 * 24;
+
+// report-uri sends application/csp-report, report-to sends application/reports+json
+const CSP_REPORT_TYPES = ['application/csp-report', 'application/reports+json'];
+
+// "https://cdn.example/lib.js?v=1" -> "https://cdn.example"; keywords such as "inline" stay as they are
+function reportedOrigin(value) {
+    try {
+        return new URL(value).origin;
+    } catch (error) {
+        return String(value || 'unknown').substring(0, 40);
+    }
+}
+
+function reportedPath(value) {
+    try {
+        return new URL(value).pathname;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Both report formats as { type: 'csp-violation', page, detail } security events
+function cspViolations(body) {
+    const reports = Array.isArray(body)
+        ? body.filter(report => report && report.type === 'csp-violation' && report.body).map(report => ({
+            page: report.body.documentURL,
+            directive: report.body.effectiveDirective,
+            blocked: report.body.blockedURL
+        }))
+        : [body['csp-report']].filter(Boolean).map(report => ({
+            page: report['document-uri'],
+            directive: report['effective-directive'] || report['violated-directive'],
+            blocked: report['blocked-uri']
+        }));
+
+    return reports.map(report => ({
+        type: 'csp-violation',
+        page: reportedPath(report.page),
+        detail: `${String(report.directive || 'unknown').split(' ')[0]} blocked ${reportedOrigin(report.blocked)}`
+    }));
+}
+
+function register(router, { config, store }) {
+    // Shared by page events and CSP reports: both come from browsers without a CSRF token
+    const batchLimiter = new SlidingWindowLimiter({ limit: 30, windowMs: 10 * 60 * 1000 });
+
+    function limitBatches(req) {
+        const address = clientAddress(req, config.trustProxy);
+        // A plain 429: recording "too many events" as another event would feed the flood
+        if (batchLimiter.retryAfter(address) > 0) {
+            throw new HttpError(429, 'Too many security events');
+        }
+        batchLimiter.hit(address);
+        return address;
+    }
+
+    // sendBeacon cannot set the CSRF header. JSON bodies cannot be posted cross-site without a CORS
+    // preflight this server never answers, and a foreign Origin is refused outright.
+    router.post('/api/security-events', async (req, res) => {
+        const origin = req.headers.origin;
+        if (origin && origin !== `http://${req.headers.host}` && origin !== `https://${req.headers.host}`) {
+            throw new HttpError(403, 'Cross-origin events are not accepted');
+        }
+
+        const address = limitBatches(req);
+        const body = await readJsonBody(req, MAX_BATCH_SIZE);
+        if (!Array.isArray(body.events)) {
+            throw new HttpError(400, 'Expected { events: [...] }');
+        }
+
+        let accepted = 0;
+        for (const event of body.events.slice(0, MAX_BATCH)) {
+            if (await recordSecurityEvent(store, event, { source: 'client', address })) accepted += 1;
+        }
+        sendJson(res, 202, { accepted });
+    });
+
+    // Browsers post reports without a CSRF token or a reliable Origin, so only the rate limit applies;
+    // nothing but the page path, the directive and the blocked origin is kept
+    router.post(CSP_REPORT_PATH, async (req, res) => {
+        const address = limitBatches(req);
+        const body = await readJsonBody(req, MAX_BATCH_SIZE, { types: CSP_REPORT_TYPES, allowArray: true });
+
+        let accepted = 0;
+        for (const event of cspViolations(body).slice(0, MAX_BATCH)) {
+            if (await recordSecurityEvent(store, event, { source: 'client', address })) accepted += 1;
+        }
+        sendJson(res, 202, { accepted });
+    });
+
+    // ?hours=24: totals per type (split by source), per hour, and the latest events
+    router.get('/api/admin/security-events', async (req, res, { query }) => {
+        requireCoordinator(config, req);
+        const hours = query.has('hours') ? parseInt(query.get('hours'), 10) : DEFAULT_HOURS;
+        if (!Number.isInteger(hours) || hours < 1 || hours > MAX_HOURS) {
+            throw new HttpError(400, `Choose between 1 and ${MAX_HOURS} hours`);
+        }
+
+        const firstHour = Math.floor(Date.now() / HOUR) * HOUR - (hours - 1) * HOUR;
+        const events = (await store.all(SECURITY_EVENTS_COLLECTION))
+            .filter(event => Date.parse(event.createdAt) >= firstHour);
+
+        const byType = SecurityEvents.types().map(type => {
+            const matching = events.filter(event => event.type === type);
+            return {
+                type,
+                label: SecurityEvents.label(type),
+                count: matching.length,
+                client: matching.filter(event => event.source === 'client').length,
+                server: matching.filter(event => event.source === 'server').length
+            };
+        });
+        const byHour = Array.from({ length: hours }, (_, index) => ({ hour: new Date(firstHour + index * HOUR).toISOString(), count: 0 }));
+        events.forEach(event => {
+            byHour[Math.floor((Date.parse(event.createdAt) - firstHour) / HOUR)].count += 1;
+        });
+
+        sendJson(res, 200, {
+            hours,
+            total: events.length,
+            byType,
+            byHour,
+            recent: events.slice(-MAX_RECENT_EVENTS).reverse()
+        });
+    });
+}
+
+module.exports = { register };
@@ -0,0 +1,101 @@
+// Zero Hunger Server - Submission tracking for donors and requesters (track.html)
+// Every call carries the reference code and tracking token returned by POST /api/submit.
+// Cancelling or changing the time is possible until the food is on its way.
+
+const { HttpError, sendJson, readJsonBody } = require('../http-utils');
+const { CsrfError, verifyRequest } = require('../csrf');
+const { AUDIT_COLLECTION, recordAudit, changeStatus } = require('../audit');
+const { getFormType } = require('../form-types');
+const { releaseMatch } = require('../matches');
+const { SCHEDULE_FIELDS, SUBMITTER_ACTORS, findTracked, trackingView } = require('../tracking');
+
+const FormSchemas = require('../../form-schemas');
+const Lifecycle = require('../../lifecycle');
+
+const MAX_REASON_LENGTH = 500;
+
+function register(router, { config, store }) {
+    function requireCsrf(req) {
+        if (!verifyRequest(config.secret, req)) {
+            throw new CsrfError();
+        }
+    }
+
+    async function view(collection, record) {
+        return trackingView(collection, record, await store.all(AUDIT_COLLECTION));
+    }
+
+    function requireSelfService(record) {
+        if (!Lifecycle.isSelfService(record.status)) {
+            throw new HttpError(409, `This ${record.formType.toLowerCase()} is already ${Lifecycle.stageLabel(Lifecycle.trackingStage(record.status)).toLowerCase()} and can no longer be changed`);
+        }
+    }
+
+    router.post('/api/track', async (req, res) => {
+        const body = await readJsonBody(req, config.maxBodySize);
+        const { collection, record } = await findTracked(store, body.reference, body.token);
+        sendJson(res, 200, { submission: await view(collection, record) });
+    });
+
+    router.post('/api/track/cancel', async (req, res) => {
+        requireCsrf(req);
+        const body = await readJsonBody(req, config.maxBodySize);
+        const reason = typeof body.reason === 'string' ? body.reason.trim().substring(0, MAX_REASON_LENGTH) : '';
+
+        const { collection, updated } = await store.exclusive(async () => {
+            const { collection, record } = await findTracked(store, body.reference, body.token);
+            requireSelfService(record);
+
+            const actor = SUBMITTER_ACTORS[collection];
+            await changeStatus(store, collection, record, 'cancelled', actor, reason || null);
+            await releaseMatch(store, collection, record, actor, `Match cancelled: the ${actor.toLowerCase()} cancelled ${record.reference}`);
+            return { collection, updated: await store.find(collection, record.id) };
+        });
+
+        sendJson(res, 200, { success: true, submission: await view(collection, updated) });
+    });
+
+    // { date: 'YYYY-MM-DD', time: 'HH:MM', timezoneOffset } in the submitter's zone
+    router.post('/api/track/reschedule', async (req, res) => {
+        requireCsrf(req);
+        const body = await readJsonBody(req, config.maxBodySize);
+
+        const { collection, updated } = await store.exclusive(async () => {
+            const { collection, record } = await findTracked(store, body.reference, body.token);
+            requireSelfService(record);
+
+            const schedule = SCHEDULE_FIELDS[collection];
+            const timezoneOffset = Number.isInteger(body.timezoneOffset) && Math.abs(body.timezoneOffset) <= 840
+                ? body.timezoneOffset
+                : record.timezoneOffset === null ? undefined : record.timezoneOffset;
+            const fields = {
+                ...record.fields,
+                [schedule.date]: typeof body.date === 'string' ? body.date.trim() : '',
+                [schedule.time]: typeof body.time === 'string' ? body.time.trim() : ''
+            };
+
+            const formId = getFormType(record.formType).formId;
+            const errors = {};
+            [schedule.date, schedule.time].forEach(name => {
+                const error = fields[name]
+                    ? FormSchemas.validateField(formId, name, fields, { timezoneOffset, submittedAt: new Date(record.createdAt) })
+                    : 'This field is required';
+                if (error) errors[name] = error;
+            });
+            if (Object.keys(errors).length > 0) {
+                throw new HttpError(422, 'Validation failed', errors);
+            }
+
+            const actor = SUBMITTER_ACTORS[collection];
+            const note = `${schedule.label} moved to ${fields[schedule.date]} ${fields[schedule.time]}`;
+            const updated = await store.update(collection, record.id, { fields, timezoneOffset: timezoneOffset === undefined ? null : timezoneOffset });
+            await recordAudit(store, { collection, recordId: record.id, action: 'reschedule', actor, note });
+            await releaseMatch(store, collection, record, actor, `${note}; the delivery needs a new volunteer`, false);
+            return { collection, updated };
+        });
+
+        sendJson(res, 200, { success: true, submission: await view(collection, updated) });
+    });
+}
+
+module.exports = { register };
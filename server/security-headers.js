@@ -0,0 +1,61 @@
+// Zero Hunger Server - Security headers
+// Every response gets the headers below. The Content-Security-Policy is built from CSP_DIRECTIVES with
+// a fresh nonce per response, which static.js adds to the <script> and <style> tags of HTML pages.
+
+const crypto = require('crypto');
+
+// Versioned CDN paths the pages load (Leaflet, Chart.js, Tailwind, Font Awesome)
+const CDN_SOURCES = {
+    leaflet: 'https://unpkg.com/leaflet@1.9.4/',
+    chartJs: 'https://cdn.jsdelivr.net/npm/chart.js@4.4.1/',
+    tailwind: 'https://cdn.jsdelivr.net/npm/tailwindcss@2.2.19/',
+    fontAwesome: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/'
+};
+
+const MAP_TILES = 'https://*.tile.openstreetmap.org';
+
+const CSP_REPORT_PATH = '/api/csp-report';
+
+// 'nonce' stands for the per-response nonce
+const CSP_DIRECTIVES = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'", 'nonce', CDN_SOURCES.leaflet, CDN_SOURCES.chartJs],
+    'style-src': ["'self'", 'nonce', CDN_SOURCES.tailwind, CDN_SOURCES.fontAwesome, CDN_SOURCES.leaflet],
+    'img-src': ["'self'", 'data:', MAP_TILES, CDN_SOURCES.leaflet],
+    'font-src': ["'self'", CDN_SOURCES.fontAwesome],
+    // The service worker (sw.js) fetches tiles and CDN files to cache them
+    'connect-src': ["'self'", MAP_TILES, 'https://unpkg.com', 'https://cdn.jsdelivr.net', 'https://cdnjs.cloudflare.com'],
+    'worker-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"],
+    'report-uri': [CSP_REPORT_PATH],
+    'report-to': ['csp']
+};
+
+const SECURITY_HEADERS = {
+    'X-Content-Type-Options': 'nosniff',
+    'X-Frame-Options': 'DENY',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    // "Use My Location" needs geolocation on the site itself
+    'Permissions-Policy': 'geolocation=(self), microphone=(), camera=()',
+    'Cross-Origin-Opener-Policy': 'same-origin',
+    'Reporting-Endpoints': `csp="${CSP_REPORT_PATH}"`
+};
+
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+function buildCsp(nonce) {
+    return Object.keys(CSP_DIRECTIVES)
+        .map(name => [name].concat(CSP_DIRECTIVES[name].map(source => source === 'nonce' ? `'nonce-${nonce}'` : source)).join(' '))
+        .join('; ');
+}
+
+function securityHeaders(nonce) {
+    return { ...SECURITY_HEADERS, 'Content-Security-Policy': buildCsp(nonce) };
+}
+
+module.exports = { CSP_REPORT_PATH, createNonce, buildCsp, securityHeaders };
@@ -0,0 +1,98 @@
+// Zero Hunger Server - Static file serving for the site pages and assets
+
+const fs = require('fs');
+const path = require('path');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+// Directories that must never be served (server code, stored submissions)
+const PRIVATE_DIRS = ['server', 'storage', 'node_modules'];
+
+function resolveStaticPath(rootDir, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.endsWith('/')) {
+        decoded += 'index.html';
+    }
+
+    const filePath = path.resolve(rootDir, '.' + path.posix.normalize(decoded));
+    const relative = path.relative(rootDir, filePath);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return null;
+    }
+
+    const segments = relative.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.')) || PRIVATE_DIRS.includes(segments[0])) {
+        return null;
+    }
+
+    if (!MIME_TYPES[path.extname(filePath).toLowerCase()]) {
+        return null;
+    }
+
+    return filePath;
+}
+
+// Pages get the response's CSP nonce on every <script> and <style> tag
+function addNonce(html, nonce) {
+    return html.replace(/<(script|style)\b(?![^>]*\snonce=)/gi, `<$1 nonce="${nonce}"`);
+}
+
+// options.nonce: the nonce of the response's Content-Security-Policy
+async function serveStatic(rootDir, req, res, pathname, { nonce } = {}) {
+    const filePath = resolveStaticPath(rootDir, pathname);
+    if (!filePath) return false;
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(filePath);
+    } catch (error) {
+        return false;
+    }
+    if (!stat.isFile()) return false;
+
+    if (nonce && path.extname(filePath).toLowerCase() === '.html') {
+        const page = Buffer.from(addNonce(await fs.promises.readFile(filePath, 'utf8'), nonce));
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES['.html'],
+            'Content-Length': page.length
+        });
+        res.end(req.method === 'HEAD' ? undefined : page);
+        return true;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()],
+        'Content-Length': stat.size
+    });
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return true;
+    }
+
+    await new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath);
+        stream.on('error', reject);
+        stream.on('end', resolve);
+        stream.pipe(res);
+    });
+    return true;
+}
+
+module.exports = { serveStatic };
@@ -0,0 +1,124 @@
+// Zero Hunger Server - File-based record store
+// Each collection is kept in memory and persisted to <dataDir>/<collection>.json
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class FileStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.collections = new Map();
+        this.loading = new Map(); // collection -> in-flight load()
+        // Writes are chained so concurrent requests never interleave on disk
+        this.writeQueue = Promise.resolve();
+        this.taskQueue = Promise.resolve();
+    }
+
+    // Run a read-check-write sequence with no other exclusive task in between, so checks such as
+    // shift capacity or status transitions always see the previous change
+    exclusive(task) {
+        const run = this.taskQueue.then(task, task);
+        this.taskQueue = run.catch(() => {});
+        return run;
+    }
+
+    // Concurrent first reads share one load, so every caller gets the same array
+    load(collection) {
+        if (this.collections.has(collection)) {
+            return Promise.resolve(this.collections.get(collection));
+        }
+
+        if (!this.loading.has(collection)) {
+            this.loading.set(collection, this.read(collection)
+                .then(records => {
+                    this.collections.set(collection, records);
+                    return records;
+                })
+                .finally(() => this.loading.delete(collection)));
+        }
+        return this.loading.get(collection);
+    }
+
+    async read(collection) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.filePath(collection), 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return [];
+        }
+    }
+
+    async all(collection) {
+        const records = await this.load(collection);
+        return records.slice();
+    }
+
+    async find(collection, id) {
+        const records = await this.load(collection);
+        return records.find(record => record.id === id) || null;
+    }
+
+    async insert(collection, data) {
+        const records = await this.load(collection);
+        const record = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...data
+        };
+        records.push(record);
+        await this.persist(collection);
+        return record;
+    }
+
+    async update(collection, id, changes) {
+        const records = await this.load(collection);
+        const index = records.findIndex(record => record.id === id);
+        if (index === -1) return null;
+
+        records[index] = {
+            ...records[index],
+            ...changes,
+            id,
+            updatedAt: new Date().toISOString()
+        };
+        await this.persist(collection);
+        return records[index];
+    }
+
+    // Drop every record the predicate matches; resolves with how many were removed
+    async removeWhere(collection, predicate) {
+        const records = await this.load(collection);
+        const kept = records.filter(record => !predicate(record));
+        const removed = records.length - kept.length;
+        if (removed > 0) {
+            this.collections.set(collection, kept);
+            await this.persist(collection);
+        }
+        return removed;
+    }
+
+    filePath(collection) {
+        if (!/^[a-z][a-z0-9-]*$/.test(collection)) {
+            throw new Error(`Invalid collection name: ${collection}`);
+        }
+        return path.join(this.dataDir, `${collection}.json`);
+    }
+
+    persist(collection) {
+        const write = async () => {
+            const records = this.collections.get(collection) || [];
+            const target = this.filePath(collection);
+            const temp = `${target}.${process.pid}.tmp`;
+
+            await fs.promises.mkdir(this.dataDir, { recursive: true });
+            await fs.promises.writeFile(temp, JSON.stringify(records, null, 2));
+            await fs.promises.rename(temp, target);
+        };
+
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+}
+
+module.exports = { FileStore };
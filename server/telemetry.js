@@ -0,0 +1,34 @@
+// Zero Hunger Server - Security telemetry
+// Security events from the server's own checks and from the pages (POST /api/security-events) are
+// appended to security-events.json in the schema of security-events.js, kept for 30 days.
+
+const SecurityEvents = require('../security-events');
+
+const SECURITY_EVENTS_COLLECTION = 'security-events';
+const RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Enough to see where traffic comes from without storing who it was: IPv4 /24, IPv6 /48
+function truncateAddress(address) {
+    const ip = String(address || '').replace(/^::ffff:/, '');
+    if (/^\d+\.\d+\.\d+\.\d+$/.test(ip)) {
+        return ip.split('.').slice(0, 3).concat('0').join('.');
+    }
+    if (ip.includes(':')) {
+        return `${ip.split(':').slice(0, 3).join(':')}::`;
+    }
+    return null;
+}
+
+// event: { type, form?, fields?, detail?, page?, at? }; drops anything outside the schema
+async function recordSecurityEvent(store, event, { source = 'server', address = null } = {}) {
+    const normalized = SecurityEvents.normalize({ at: new Date().toISOString(), ...event }, source);
+    if (!normalized) return null;
+
+    const oldest = (await store.all(SECURITY_EVENTS_COLLECTION))[0];
+    if (oldest && Date.now() - Date.parse(oldest.createdAt) > RETENTION) {
+        await store.removeWhere(SECURITY_EVENTS_COLLECTION, record => Date.now() - Date.parse(record.createdAt) > RETENTION);
+    }
+    return store.insert(SECURITY_EVENTS_COLLECTION, { ...normalized, network: truncateAddress(address) });
+}
+
+module.exports = { SECURITY_EVENTS_COLLECTION, truncateAddress, recordSecurityEvent };
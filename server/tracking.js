@@ -0,0 +1,120 @@
+// Zero Hunger Server - Submission tracking
+// Donations and food requests get a public reference code (D-XXXX-XXXX, R-XXXX-XXXX) and a secret
+// tracking token when they are stored. track.html sends both to follow up without an account.
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-utils');
+const { hashToken, safeEqual } = require('./auth');
+
+const Lifecycle = require('../lifecycle');
+
+const REFERENCE_PREFIXES = {
+    donations: 'D',
+    requests: 'R'
+};
+
+// No 0/O or 1/I, so codes read out over the phone are unambiguous
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+// The date/time fields a submitter may change, per collection
+const SCHEDULE_FIELDS = {
+    donations: { date: 'pickup-date', time: 'pickup-time', label: 'Pickup' },
+    requests: { date: 'delivery-date', time: 'delivery-time', label: 'Delivery' }
+};
+
+// Shown in the audit log for changes made on track.html
+const SUBMITTER_ACTORS = {
+    donations: 'Donor',
+    requests: 'Requester'
+};
+
+// Public fields per collection; contact details and addresses stay out of the tracking view
+const SUMMARY_FIELDS = {
+    donations: ['food-type', 'quantity'],
+    requests: ['family-size', 'urgency', 'food-type']
+};
+
+function isTracked(collection) {
+    return Object.prototype.hasOwnProperty.call(REFERENCE_PREFIXES, collection);
+}
+
+function randomCode(length) {
+    return Array.from(crypto.randomBytes(length), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+}
+
+// A reference code not used by any stored record of the collection
+async function issueReference(store, collection) {
+    const taken = new Set((await store.all(collection)).map(record => record.reference));
+    let reference;
+    do {
+        reference = `${REFERENCE_PREFIXES[collection]}-${randomCode(4)}-${randomCode(4)}`;
+    } while (taken.has(reference));
+    return reference;
+}
+
+// { collection, record } for a reference code and its tracking token. Unknown codes and wrong
+// tokens get the same 404 so codes cannot be probed.
+async function findTracked(store, reference, token) {
+    const notFound = new HttpError(404, 'No submission matches that reference code and tracking token');
+    if (typeof reference !== 'string' || typeof token !== 'string' || !token) throw notFound;
+
+    const code = reference.trim().toUpperCase();
+    const collection = Object.keys(REFERENCE_PREFIXES).find(name => code.startsWith(`${REFERENCE_PREFIXES[name]}-`));
+    if (!collection) throw notFound;
+
+    const record = (await store.all(collection)).find(item => item.reference === code);
+    if (!record || !record.trackingHash || !safeEqual(hashToken(token.trim()), record.trackingHash)) throw notFound;
+    return { collection, record };
+}
+
+// Received -> matched -> out for delivery -> completed, from the audit log. Actors and notes are
+// coordinator-internal and are left out.
+function trackingHistory(record, auditEntries) {
+    const history = [{ stage: 'received', at: record.createdAt }];
+    auditEntries
+        .filter(entry => entry.recordId === record.id)
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .forEach(entry => {
+            let stage = null;
+            if (entry.action === 'match') stage = 'matched';
+            if (entry.action === 'unmatch' && history[history.length - 1].stage === 'matched') stage = 'received';
+            if (entry.action === 'status') stage = Lifecycle.trackingStage(entry.to, false);
+            if (stage && stage !== history[history.length - 1].stage) {
+                history.push({ stage, at: entry.createdAt });
+            }
+        });
+    return history;
+}
+
+function trackingView(collection, record, auditEntries) {
+    const schedule = SCHEDULE_FIELDS[collection];
+    const summary = {};
+    SUMMARY_FIELDS[collection].forEach(name => {
+        if (record.fields[name]) summary[name] = record.fields[name];
+    });
+
+    return {
+        reference: record.reference,
+        formType: record.formType,
+        submittedAt: record.createdAt,
+        stage: Lifecycle.trackingStage(record.status, Boolean(record.matchId)),
+        history: trackingHistory(record, auditEntries),
+        schedule: {
+            label: schedule.label,
+            date: record.fields[schedule.date] || null,
+            time: record.fields[schedule.time] || null
+        },
+        summary,
+        canCancel: Lifecycle.isSelfService(record.status),
+        canReschedule: Lifecycle.isSelfService(record.status)
+    };
+}
+
+module.exports = {
+    SCHEDULE_FIELDS,
+    SUBMITTER_ACTORS,
+    isTracked,
+    issueReference,
+    findTracked,
+    trackingView
+};
@@ -0,0 +1,85 @@
+// Zero Hunger Website - Volunteer Shifts
+// Shift slots, conflict detection and delivery volunteer selection, shared by shifts.html and the server.
+// Shifts, signups and delivery assignments all carry ISO startsAt/endsAt timestamps.
+
+// Same values as the area-interest select on volunteer.html
+const SHIFT_ROLES = {
+    'delivery': 'Food Delivery',
+    'warehouse': 'Food Bank Operations',
+    'helpline': 'Helpline Support',
+    'outreach': 'Community Outreach',
+    'events': 'Event Coordination',
+    'fundraising': 'Fundraising'
+};
+
+const EVENING_STARTS_AT = 17 * 60; // minutes after midnight
+
+const Shifts = {
+    roleLabel: (role) => SHIFT_ROLES[role] || role,
+
+    isRole: (role) => Object.prototype.hasOwnProperty.call(SHIFT_ROLES, role),
+
+    overlaps: (a, b) => Date.parse(a.startsAt) < Date.parse(b.endsAt) && Date.parse(b.startsAt) < Date.parse(a.endsAt),
+
+    covers: (outer, inner) => Date.parse(outer.startsAt) <= Date.parse(inner.startsAt) && Date.parse(inner.endsAt) <= Date.parse(outer.endsAt),
+
+    // Whether a slot suits the coarse availability from volunteer.html, in the volunteer's own time zone
+    fitsAvailability: (availability, slot, timezoneOffset) => {
+        if (availability === 'flexible') return true;
+
+        const offset = Number.isInteger(timezoneOffset) ? timezoneOffset : 0;
+        const local = new Date(Date.parse(slot.startsAt) - offset * 60000);
+        const day = local.getUTCDay();
+        const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+        if (availability === 'weekdays') return day >= 1 && day <= 5 && minute < EVENING_STARTS_AT;
+        if (availability === 'weekends') return day === 0 || day === 6;
+        if (availability === 'evenings') return minute >= EVENING_STARTS_AT;
+        return false;
+    },
+
+    // Everything a volunteer has committed to: shift signups and active delivery assignments
+    commitmentsFor: (volunteerId, shifts, assignments) => shifts
+        .filter(shift => shift.signups.some(signup => signup.volunteerId === volunteerId))
+        .map(shift => ({ kind: 'shift', id: shift.id, role: shift.role, startsAt: shift.startsAt, endsAt: shift.endsAt }))
+        .concat(assignments
+            .filter(assignment => assignment.volunteerId === volunteerId && assignment.status === 'assigned')
+            .map(assignment => ({ kind: 'delivery', id: assignment.id, role: 'delivery', startsAt: assignment.startsAt, endsAt: assignment.endsAt }))),
+
+    findConflicts: (slot, commitments) => commitments.filter(commitment => Shifts.overlaps(slot, commitment)),
+
+    // How a delivery at `slot` fits a volunteer's schedule. A delivery shift covering the slot is where the
+    // delivery is meant to happen, so it counts as being on shift rather than as a conflict.
+    assess: (slot, volunteer, shifts, assignments) => {
+        const commitments = Shifts.commitmentsFor(volunteer.id, shifts, assignments);
+        const isCoveringShift = item => item.kind === 'shift' && item.role === 'delivery' && Shifts.covers(item, slot);
+        const onShift = commitments.some(isCoveringShift);
+        return {
+            volunteer,
+            onShift,
+            conflicts: Shifts.findConflicts(slot, commitments).filter(item => !isCoveringShift(item)),
+            available: onShift || Shifts.fitsAvailability(volunteer.fields.availability, slot, volunteer.timezoneOffset),
+            deliveries: commitments.filter(item => item.kind === 'delivery').length
+        };
+    },
+
+    // Delivery volunteers free for `slot`: those on a delivery shift first, then the least busy
+    rankDeliveryVolunteers: (slot, volunteers, shifts, assignments) => volunteers
+        .filter(volunteer => volunteer.fields['area-interest'] === 'delivery' && volunteer.status !== 'cancelled')
+        .map(volunteer => Shifts.assess(slot, volunteer, shifts, assignments))
+        .filter(candidate => candidate.available && candidate.conflicts.length === 0)
+        .sort((a, b) => (b.onShift - a.onShift) || (a.deliveries - b.deliveries)),
+
+    // 'Sat, Oct 24, 9:00 AM – 12:00 PM' in the viewer's time zone
+    formatSlot: (slot, locale = []) => {
+        const start = new Date(slot.startsAt);
+        const end = new Date(slot.endsAt);
+        const day = start.toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
+        const time = (date) => date.toLocaleTimeString(locale, { hour: 'numeric', minute: '2-digit' });
+        return `${day}, ${time(start)} – ${time(end)}`;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Shifts;
+}
@@ -0,0 +1,132 @@
+// Zero Hunger Website - Service Worker
+// Keeps the site usable on poor connections: pages, scripts and data are served from the cache when the
+// network fails, map tiles and CDN libraries are cached once viewed, and submissions queued in the
+// outbox (outbox.js) are sent on background sync. API responses are never cached.
+
+importScripts('outbox.js');
+
+// Bump when the list below changes so old pages are dropped
+const PAGE_CACHE = 'zh-pages-v7';
+const TILE_CACHE = 'zh-tiles';
+const LIBRARY_CACHE = 'zh-libraries';
+const MAX_TILES = 500;
+
+const PRECACHE_URLS = [
+    '/',
+    'index.html',
+    'donate.html',
+    'request.html',
+    'volunteer.html',
+    'find.html',
+    'map.html',
+    'impact.html',
+    'shifts.html',
+    'track.html',
+    'unsubscribe.html',
+    'styles.css',
+    'script.js',
+    'safe-html.js',
+    'security-events.js',
+    'i18n.js',
+    'outbox.js',
+    'food-safety.js',
+    'form-schemas.js',
+    'location-repository.js',
+    'inventory.js',
+    'opening-hours.js',
+    'geocoder.js',
+    'map-filters.js',
+    'marker-layer.js',
+    'directions.js',
+    'lifecycle.js',
+    'shifts.js',
+    'data/locations.json',
+    'data/gazetteer.json',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/hi.json'
+];
+
+// Versioned CSS/JS libraries the pages load (Tailwind, Font Awesome, Leaflet, Chart.js)
+const LIBRARY_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(PAGE_CACHE)
+        .then(cache => cache.addAll(PRECACHE_URLS))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('zh-pages-') && key !== PAGE_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+// Network first so updates show up; the cached copy when offline
+async function networkFirst(request) {
+    const cache = await caches.open(PAGE_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+// Cache first for content that never changes at the same URL
+async function cacheFirst(cacheName, request, maxEntries) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Tiles are cross-origin <img> requests, so their responses are opaque (status 0)
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (maxEntries) {
+            const keys = await cache.keys();
+            await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+        }
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.hostname.endsWith('tile.openstreetmap.org')) {
+        event.respondWith(cacheFirst(TILE_CACHE, request, MAX_TILES));
+    } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(LIBRARY_CACHE, request));
+    } else if (url.origin === self.location.origin && !url.pathname.startsWith('/api/')) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+function notifyClients() {
+    return self.clients.matchAll({ includeUncontrolled: true })
+        .then(clients => clients.forEach(client => client.postMessage({ type: 'outbox-updated' })));
+}
+
+// Rejecting tells the browser to try the sync again later
+self.addEventListener('sync', (event) => {
+    if (event.tag !== Outbox.syncTag) return;
+    event.waitUntil(Outbox.flush().then(async (done) => {
+        await notifyClients();
+        if (!done) {
+            throw new Error('Outbox entries are still waiting for a connection');
+        }
+    }));
+});
@@ -0,0 +1,126 @@
+// Zero Hunger Tests - Abuse Protection
+// Rate limits, quotas, the honeypot and form tickets on /api/submit, with small limits and a mocked clock
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert');
+
+const { SlidingWindowLimiter, checkFormTicket, issueFormTicket } = require('../server/abuse');
+const { startServer, submission } = require('./helpers');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+const ROOMY = { limit: 100, windowMs: 60 * 1000 };
+
+describe('SlidingWindowLimiter', () => {
+    it('lets a key in again once its oldest hit leaves the window', () => {
+        const limiter = new SlidingWindowLimiter({ limit: 2, windowMs: 10000 });
+        limiter.hit('a', 1000);
+        limiter.hit('a', 4000);
+
+        assert.strictEqual(limiter.retryAfter('a', 5000), 6);
+        assert.strictEqual(limiter.retryAfter('b', 5000), 0);
+        assert.strictEqual(limiter.retryAfter('a', 11000), 0);
+    });
+});
+
+describe('Form tickets', () => {
+    it('answers a forged non-ASCII signature with 400, not a crash', () => {
+        // 64 characters like a real signature, but 128 bytes
+        const ticket = `donation-form.${Date.now()}.${'é'.repeat(64)}`;
+        assert.throws(() => checkFormTicket('secret', ticket, 'donation-form', 0), { status: 400 });
+    });
+
+    it('only fits the form it was issued for', () => {
+        const ticket = issueFormTicket('secret', 'request-form');
+        assert.doesNotThrow(() => checkFormTicket('secret', ticket, 'request-form', 0));
+        assert.throws(() => checkFormTicket('secret', ticket, 'donation-form', 0), { status: 400 });
+        assert.throws(() => checkFormTicket('other-secret', ticket, 'request-form', 0), { status: 400 });
+    });
+});
+
+describe('/api/submit abuse protection', () => {
+    const apps = [];
+    async function start(overrides) {
+        const app = await startServer(overrides);
+        apps.push(app);
+        return app;
+    }
+    after(() => Promise.all(apps.map(app => app.close())));
+
+    it('limits attempts per client address and says when to retry', async () => {
+        const app = await start({ rateLimits: { address: { limit: 2, windowMs: 60 * 1000 }, contact: ROOMY } });
+        const client = app.client();
+
+        assert.strictEqual((await client.submit(submission('Donation'))).status, 201);
+        // Invalid attempts count too
+        assert.strictEqual((await client.submit(submission('Donation', { quantity: '0' }))).status, 422);
+
+        const refused = await client.submit(submission('Donation'));
+        assert.strictEqual(refused.status, 429);
+        const retryAfter = Number(refused.headers.get('retry-after'));
+        assert.ok(retryAfter > 0 && retryAfter <= 60, `Retry-After: ${retryAfter}`);
+    });
+
+    it('limits submissions per email or phone number', async () => {
+        const app = await start({ rateLimits: { address: ROOMY, contact: { limit: 2, windowMs: 60 * 60 * 1000 } } });
+        const client = app.client();
+        const sameDonor = { 'donor-email': 'repeat@example.org' };
+
+        assert.strictEqual((await client.submit(submission('Donation', sameDonor))).status, 201);
+        assert.strictEqual((await client.submit(submission('Donation', sameDonor))).status, 201);
+
+        const refused = await client.submit(submission('Donation', { 'donor-email': 'Repeat@Example.org ' }));
+        assert.strictEqual(refused.status, 429);
+        assert.strictEqual(refused.body.error, 'Too many submissions with these contact details');
+        assert.ok(Number(refused.headers.get('retry-after')) > 3500);
+
+        assert.strictEqual((await client.submit(submission('Donation'))).status, 201);
+    });
+
+    it('allows one food request per household a day', async () => {
+        const app = await start();
+        const client = app.client();
+        const address = '77 Elm St, New York, NY 10007';
+
+        assert.strictEqual((await client.submit(submission('Food Request', { 'delivery-address': address }))).status, 201);
+        const refused = await client.submit(submission('Food Request', { 'delivery-address': '77 elm st new york ny 10007' }));
+        assert.strictEqual(refused.status, 429);
+        assert.strictEqual(refused.body.error, 'Each household can have one food request per day');
+    });
+
+    it('refuses submissions that fill in the honeypot', async () => {
+        const app = await start();
+        const response = await app.client().submit(submission('Volunteer Registration', { website: 'http://spam.example' }));
+        assert.strictEqual(response.status, 400);
+    });
+
+    it('refuses forms sent back faster than a person could fill them in', async () => {
+        const app = await start({ minFillSeconds: 30 });
+        const response = await app.client().submit(submission('Food Request'));
+        assert.strictEqual(response.status, 429);
+        assert.ok(Number(response.headers.get('retry-after')) >= 29);
+    });
+
+    it('refuses missing, forged and expired form tickets', async (t) => {
+        const app = await start();
+        const client = app.client();
+
+        assert.strictEqual((await client.postWithCsrf('/api/submit', submission('Donation'))).status, 400);
+
+        const forged = `donation-form.${Date.now()}.${'é'.repeat(64)}`;
+        const response = await client.postWithCsrf('/api/submit', submission('Donation', { formTicket: forged }));
+        assert.strictEqual(response.status, 400);
+
+        const { ticket } = (await client.get('/api/form-ticket?form=donation-form')).body;
+        const issuedAt = Date.now();
+        t.mock.method(Date, 'now', () => issuedAt + WEEK);
+
+        // A fresh client, since the CSRF token would have expired as well
+        const later = app.client();
+        const expired = await later.postWithCsrf('/api/submit', submission('Donation', { formTicket: ticket }));
+        assert.strictEqual(expired.status, 400);
+        assert.strictEqual(expired.body.error, 'This form has expired. Please reload the page and submit it again');
+
+        t.mock.method(Date, 'now', () => issuedAt + WEEK - 60 * 1000);
+        assert.strictEqual((await later.postWithCsrf('/api/submit', submission('Donation', { formTicket: ticket }))).status, 201);
+    });
+});
@@ -0,0 +1,38 @@
+// Zero Hunger Tests - Accessibility
+// Runs axe-core against the markup of every page in jsdom. Page scripts are not run, so this covers
+// the static structure (landmarks, labels, headings, ARIA); check rendered states with a screen reader.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const axe = require('axe-core');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const PAGES = fs.readdirSync(ROOT_DIR).filter(file => file.endsWith('.html')).sort();
+
+// jsdom has no layout, so axe cannot compute colours
+const AXE_OPTIONS = {
+    runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'] },
+    rules: { 'color-contrast': { enabled: false } }
+};
+
+function describe(violations) {
+    return violations.map(violation => `${violation.id}: ${violation.help}\n` +
+        violation.nodes.map(node => `    ${node.target.join(' ')}`).join('\n')).join('\n');
+}
+
+PAGES.forEach(page => {
+    test(`${page} has no axe violations`, async () => {
+        const html = fs.readFileSync(path.join(ROOT_DIR, page), 'utf8');
+        const dom = new JSDOM(html, { url: `http://localhost/${page}`, runScripts: 'outside-only' });
+        try {
+            dom.window.eval(axe.source);
+            const { violations } = await dom.window.axe.run(dom.window.document, AXE_OPTIONS);
+            assert.strictEqual(violations.length, 0, describe(violations));
+        } finally {
+            dom.window.close();
+        }
+    });
+});
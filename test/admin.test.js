@@ -0,0 +1,99 @@
+// Zero Hunger Tests - Coordinator Dashboard
+// Status changes through /api/admin with a signed-in coordinator, and what cancelling does to a match
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, submission } = require('./helpers');
+
+describe('/api/admin', () => {
+    let app;
+    let coordinator;
+
+    before(async () => {
+        app = await startServer({ coordinatorToken: 'coordinator-token' });
+        coordinator = app.client();
+        const login = await coordinator.post('/api/admin/login', { name: 'Jo Admin', token: 'coordinator-token' });
+        assert.strictEqual(login.status, 200);
+    });
+    after(() => app.close());
+
+    async function submit(formType, overrides) {
+        return (await app.client().submit(submission(formType, overrides))).body.id;
+    }
+
+    // A donation and a request linked by an accepted match with an assigned delivery
+    async function matchedPair() {
+        const donationId = await submit('Donation');
+        const requestId = await submit('Food Request');
+        await submit('Volunteer Registration', { availability: 'flexible' });
+
+        const accepted = await coordinator.postWithCsrf('/api/matches', { donationId, requestId });
+        assert.strictEqual(accepted.status, 201, JSON.stringify(accepted.body));
+        const { match } = accepted.body;
+        const assigned = await coordinator.postWithCsrf(`/api/matches/${match.id}/assign`, {});
+        assert.strictEqual(assigned.status, 201, JSON.stringify(assigned.body));
+
+        return { donationId, requestId, matchId: match.id, assignmentId: assigned.body.assignment.id };
+    }
+
+    async function assertReleased({ donationId, requestId, matchId, assignmentId }) {
+        const { store } = app.server.context;
+        assert.strictEqual((await store.find('matches', matchId)).status, 'cancelled');
+        assert.strictEqual((await store.find('assignments', assignmentId)).status, 'cancelled');
+        assert.strictEqual((await store.find('donations', donationId)).matchId, null);
+        assert.strictEqual((await store.find('requests', requestId)).matchId, null);
+
+        const audit = await store.all('audit-log');
+        for (const recordId of [donationId, requestId]) {
+            assert.ok(audit.some(entry => entry.recordId === recordId && entry.action === 'unmatch' && entry.actor === 'Jo Admin'));
+        }
+    }
+
+    it('moves records along the lifecycle and logs each change', async () => {
+        const id = await submit('Food Request');
+        const moved = await coordinator.postWithCsrf(`/api/admin/records/requests/${id}/status`, { status: 'scheduled', note: 'Called back' });
+        assert.strictEqual(moved.status, 200);
+        assert.strictEqual(moved.body.record.status, 'scheduled');
+
+        const back = await coordinator.postWithCsrf(`/api/admin/records/requests/${id}/status`, { status: 'new' });
+        assert.strictEqual(back.status, 409);
+
+        const { entries } = (await coordinator.get(`/api/admin/audit?recordId=${id}`)).body;
+        assert.deepStrictEqual(entries.map(entry => [entry.from, entry.to, entry.note]), [['new', 'scheduled', 'Called back']]);
+    });
+
+    it('needs the CSRF token with a session cookie', async () => {
+        const id = await submit('Donation');
+        const response = await coordinator.post(`/api/admin/records/donations/${id}/status`, { status: 'cancelled' });
+        assert.strictEqual(response.status, 403);
+    });
+
+    it('cancels the match and its delivery when a matched record is cancelled', async () => {
+        const pair = await matchedPair();
+        const response = await coordinator.postWithCsrf(`/api/admin/records/donations/${pair.donationId}/status`, { status: 'cancelled' });
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.body.record.status, 'cancelled');
+        assert.strictEqual(response.body.record.matchId, null);
+        await assertReleased(pair);
+
+        const request = await app.server.context.store.find('requests', pair.requestId);
+        assert.strictEqual(request.status, 'scheduled');
+    });
+
+    it('releases every match in a bulk cancel', async () => {
+        const pairs = [await matchedPair(), await matchedPair()];
+        const unmatched = await submit('Food Request');
+
+        const response = await coordinator.postWithCsrf('/api/admin/records/requests/bulk', {
+            ids: pairs.map(pair => pair.requestId).concat(unmatched),
+            status: 'cancelled'
+        });
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body.failed, []);
+        assert.strictEqual(response.body.updated.length, 3);
+        for (const pair of pairs) {
+            await assertReleased(pair);
+        }
+    });
+});
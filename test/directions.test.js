@@ -0,0 +1,94 @@
+// Zero Hunger Tests - Directions
+// Routing through the in-process provider and through the OSRM client against the /api/route stand-in
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+
+const Directions = require('../directions');
+const { startServer } = require('./helpers');
+
+const FROM = { lat: 40.7128, lng: -74.0060 };
+const TO = { lat: 40.7580, lng: -73.9855 };
+
+describe('Directions.localRoute', () => {
+    it('walks the street grid north/south, then east/west', () => {
+        const { code, routes } = Directions.localRoute(FROM, TO, 'foot');
+        assert.strictEqual(code, 'Ok');
+        assert.deepStrictEqual(routes[0].geometry.coordinates, [[FROM.lng, FROM.lat], [FROM.lng, TO.lat], [TO.lng, TO.lat]]);
+        assert.ok(routes[0].distance > Directions.haversine(FROM, TO));
+    });
+
+    it('times the route at the profile speed', () => {
+        const walk = Directions.localRoute(FROM, TO, 'foot').routes[0];
+        const drive = Directions.localRoute(FROM, TO, 'car').routes[0];
+        assert.strictEqual(walk.distance, drive.distance);
+        assert.ok(Math.abs(walk.duration - walk.distance / (4.8 / 3.6)) < 1);
+        assert.ok(drive.duration < walk.duration);
+    });
+
+    it('answers unknown profiles the way OSRM does', () => {
+        assert.strictEqual(Directions.localRoute(FROM, TO, 'boat').code, 'InvalidValue');
+    });
+});
+
+describe('Directions.plan', () => {
+    afterEach(() => {
+        Directions.provider = null;
+    });
+
+    it('routes every travel mode through the chosen provider', async () => {
+        Directions.use(Directions.localProvider);
+        const routes = await Directions.plan(FROM, TO);
+
+        assert.deepStrictEqual(Object.keys(routes), ['walking', 'transit', 'driving']);
+        assert.deepStrictEqual(routes.walking.geometry[0], [FROM.lat, FROM.lng]);
+        assert.strictEqual(routes.transit.duration, Directions.estimateTransitDuration(routes.driving.distance));
+        assert.ok(routes.driving.duration < routes.walking.duration);
+    });
+
+    it('reports a failing mode as null and keeps the others', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        Directions.use({
+            route: async (from, to, mode) => {
+                if (mode === 'transit') throw new Error('No service');
+                return Directions.localProvider.route(from, to, mode);
+            }
+        });
+
+        const routes = await Directions.plan(FROM, TO);
+        assert.strictEqual(routes.transit, null);
+        assert.ok(routes.walking && routes.driving);
+    });
+
+    it('refuses providers without route()', () => {
+        assert.throws(() => Directions.use({}), /must implement route/);
+    });
+});
+
+describe('OSRM provider against the local stand-in', () => {
+    let app;
+    let provider;
+    before(async () => {
+        app = await startServer();
+        provider = Directions.createOsrmProvider({ baseUrl: `${app.baseUrl}/api` });
+    });
+    after(() => app.close());
+
+    it('matches the in-process provider', async () => {
+        for (const mode of Object.keys(Directions.MODES)) {
+            assert.deepStrictEqual(await provider.route(FROM, TO, mode), await Directions.localProvider.route(FROM, TO, mode));
+        }
+    });
+
+    it('surfaces the stand-in\'s errors', async () => {
+        const response = await app.client().get('/api/route/v1/foot/not,coordinates');
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.code, 'InvalidQuery');
+
+        const badProfile = Directions.createOsrmProvider({
+            baseUrl: `${app.baseUrl}/api`,
+            fetchImpl: (url) => fetch(url.replace('/foot/', '/boat/'))
+        });
+        await assert.rejects(badProfile.route(FROM, TO, 'walking'), /Unknown profile: boat/);
+    });
+});
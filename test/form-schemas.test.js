@@ -0,0 +1,174 @@
+// Zero Hunger Tests - Form Schemas
+// The rules shared by the pages and /api/submit, and the server applying them to input that skips the page
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const FormSchemas = require('../form-schemas');
+const { startServer, submission } = require('./helpers');
+
+const NOW = new Date(2025, 5, 15, 12, 0); // 15 June 2025, noon local time
+
+// The form's sample fields with overrides applied, without the formType the server reads
+function fieldsFor(formType, overrides) {
+    const { formType: _, ...fields } = submission(formType, overrides);
+    return fields;
+}
+
+function errorsFor(formId, formType, overrides = {}) {
+    return FormSchemas.validate(formId, fieldsFor(formType, overrides), { now: NOW }).errors;
+}
+
+describe('FormSchemas required fields', () => {
+    const REQUIRED = {
+        'donation-form': ['donor-name', 'donor-email', 'donor-phone', 'food-type', 'quantity', 'pickup-date', 'pickup-time', 'food-condition', 'pickup-address', 'terms'],
+        'request-form': ['requester-name', 'requester-phone', 'family-size', 'urgency', 'delivery-address', 'consent'],
+        'volunteer-form': ['volunteer-name', 'volunteer-email', 'volunteer-phone', 'area-interest', 'availability', 'background-check', 'terms']
+    };
+
+    Object.entries(REQUIRED).forEach(([formId, fields]) => {
+        it(`reports every required field of ${formId}`, () => {
+            const { valid, errors } = FormSchemas.validate(formId, {}, { now: NOW });
+            assert.strictEqual(valid, false);
+            assert.deepStrictEqual(Object.keys(errors).sort(), [...fields].sort());
+        });
+    });
+
+    it('treats whitespace and unticked boxes as missing', () => {
+        const errors = errorsFor('request-form', 'Food Request', { 'requester-name': '   ', 'consent': false });
+        assert.strictEqual(errors['requester-name'], 'This field is required');
+        assert.strictEqual(errors.consent, 'Please confirm the information provided is accurate');
+    });
+
+    it('accepts a complete submission of each form', () => {
+        const pickupDate = '2025-06-16';
+        assert.deepStrictEqual(errorsFor('donation-form', 'Donation', { 'pickup-date': pickupDate }), {});
+        assert.deepStrictEqual(errorsFor('request-form', 'Food Request'), {});
+        assert.deepStrictEqual(errorsFor('volunteer-form', 'Volunteer Registration'), {});
+    });
+
+    it('knows no other forms', () => {
+        assert.strictEqual(FormSchemas.get('payment-form'), null);
+        assert.strictEqual(FormSchemas.get('toString'), null);
+        assert.deepStrictEqual(FormSchemas.validate('payment-form', {}), { valid: false, errors: { form: 'Unknown form' } });
+    });
+});
+
+describe('FormSchemas bounds', () => {
+    const donation = (overrides) => errorsFor('donation-form', 'Donation', { 'pickup-date': '2025-06-16', ...overrides });
+
+    it('keeps quantity within 1 to 10,000 whole servings', () => {
+        assert.strictEqual(donation({ quantity: '0' }).quantity, 'Quantity must be at least 1 serving');
+        assert.strictEqual(donation({ quantity: '10001' }).quantity, 'For more than 10,000 servings please call our helpline');
+        assert.strictEqual(donation({ quantity: '2.5' }).quantity, 'Please enter a whole number');
+        assert.strictEqual(donation({ quantity: '10000' }).quantity, undefined);
+    });
+
+    it('keeps family size within 1 to 20', () => {
+        const request = (size) => errorsFor('request-form', 'Food Request', { 'family-size': size })['family-size'];
+        assert.strictEqual(request('0'), 'Family size must be at least 1');
+        assert.strictEqual(request('21'), 'For households larger than 20 please call our helpline');
+        assert.strictEqual(request('1'), undefined);
+        assert.strictEqual(request('20'), undefined);
+    });
+
+    it('limits text lengths', () => {
+        assert.strictEqual(donation({ 'pickup-address': 'Here' })['pickup-address'], 'This entry is too short');
+        assert.strictEqual(donation({ 'special-instructions': 'x'.repeat(501) })['special-instructions'], 'This entry is too long');
+        assert.strictEqual(donation({ 'special-instructions': 'x'.repeat(500) })['special-instructions'], undefined);
+    });
+
+    it('only accepts the listed options', () => {
+        assert.strictEqual(donation({ 'food-type': 'frozen' })['food-type'], 'Please select one of the listed options');
+        assert.strictEqual(errorsFor('request-form', 'Food Request', { urgency: 'someday' }).urgency, 'Please select one of the listed options');
+    });
+
+    it('checks names, emails and phone numbers', () => {
+        const errors = donation({ 'donor-name': 'M', 'donor-email': 'maria@example', 'donor-phone': '555-1234' });
+        assert.strictEqual(errors['donor-name'], 'Name should only contain letters');
+        assert.strictEqual(errors['donor-email'], 'Please enter a valid email address');
+        assert.strictEqual(errors['donor-phone'], 'Please enter a valid phone number');
+    });
+
+    it('rejects impossible dates and times', () => {
+        assert.strictEqual(donation({ 'pickup-date': '2025-02-30' })['pickup-date'], 'Please enter a valid date');
+        assert.strictEqual(donation({ 'pickup-time': '24:00' })['pickup-time'], 'Please enter a valid time');
+    });
+
+    it('wants the pickup in the future', () => {
+        assert.strictEqual(donation({ 'pickup-date': '2025-06-14' })['pickup-date'], 'Pickup date cannot be in the past');
+        assert.strictEqual(donation({ 'pickup-date': '2025-06-15', 'pickup-time': '11:00' })['pickup-time'], 'Pickup date and time must be in the future');
+        assert.strictEqual(donation({ 'pickup-date': '2025-06-15', 'pickup-time': '13:00' })['pickup-time'], undefined);
+    });
+
+    it('judges "today" in the submitter\'s timezone', () => {
+        // 23:30 UTC on the 15th is already the 16th at UTC+2 (offset -120)
+        const now = new Date(Date.UTC(2025, 5, 15, 23, 30));
+        const fields = fieldsFor('Donation', { 'pickup-date': '2025-06-15', 'pickup-time': '23:59' });
+        assert.strictEqual(FormSchemas.validateField('donation-form', 'pickup-date', fields, { now, timezoneOffset: 0 }), '');
+        assert.strictEqual(FormSchemas.validateField('donation-form', 'pickup-date', fields, { now, timezoneOffset: -120 }), 'Pickup date cannot be in the past');
+    });
+});
+
+describe('FormSchemas age rules', () => {
+    const dobError = (dob) => errorsFor('volunteer-form', 'Volunteer Registration', { dob }).dob;
+
+    it('accepts volunteers from their 16th birthday', () => {
+        assert.strictEqual(dobError('2009-06-15'), undefined);
+        assert.strictEqual(dobError('1980-01-01'), undefined);
+    });
+
+    it('refuses volunteers under 16', () => {
+        assert.strictEqual(dobError('2009-06-16'), 'Volunteers must be at least 16 years old');
+        assert.strictEqual(dobError('2015-01-01'), 'Volunteers must be at least 16 years old');
+    });
+
+    it('refuses birth dates in the future and leaves the field optional', () => {
+        assert.strictEqual(dobError('2025-06-16'), 'Date of birth cannot be in the future');
+        assert.strictEqual(dobError(''), undefined);
+    });
+
+    it('counts age in whole years', () => {
+        assert.strictEqual(FormSchemas.ageOn('2000-06-16', NOW), 24);
+        assert.strictEqual(FormSchemas.ageOn('2000-06-15', NOW), 25);
+        assert.strictEqual(FormSchemas.ageOn('not a date', NOW), null);
+    });
+});
+
+describe('Server-side validation', () => {
+    let app;
+    before(async () => {
+        app = await startServer();
+    });
+    after(() => app.close());
+
+    const post = (body) => app.client().submit(body);
+
+    it('applies the schema to input that never went through the page', async () => {
+        const response = await post(submission('Donation', { quantity: '-5', 'donor-email': 'nobody', 'pickup-date': '2000-01-01' }));
+        assert.strictEqual(response.status, 422);
+        assert.deepStrictEqual(response.body.details, {
+            'donor-email': 'Please enter a valid email address',
+            'quantity': 'Quantity must be at least 1 serving',
+            'pickup-date': 'Pickup date cannot be in the past',
+            'pickup-time': 'Pickup date and time must be in the future'
+        });
+    });
+
+    it('refuses volunteers the page would have stopped', async () => {
+        const response = await post(submission('Volunteer Registration', { dob: '2020-01-01' }));
+        assert.strictEqual(response.status, 422);
+        assert.strictEqual(response.body.details.dob, 'Volunteers must be at least 16 years old');
+    });
+
+    it('does not accept an unticked consent sent as a string', async () => {
+        const response = await post(submission('Food Request', { consent: 'off' }));
+        assert.strictEqual(response.status, 422);
+        assert.ok(response.body.details.consent);
+    });
+
+    it('accepts numbers sent as JSON numbers', async () => {
+        const response = await post(submission('Food Request', { 'family-size': 7 }));
+        assert.strictEqual(response.status, 201);
+    });
+});
@@ -0,0 +1,63 @@
+// Zero Hunger Tests - Geocoder
+// Map searches resolved against a small fixture gazetteer and location list instead of data/gazetteer.json
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const Geocoder = require('../geocoder');
+
+const GAZETTEER = [
+    { name: '10027', kind: 'zip', lat: 40.8116, lng: -73.9533 },
+    { name: 'Harlem', kind: 'neighborhood', region: 'Manhattan', lat: 40.8116, lng: -73.9465 },
+    { name: 'Bedford-Stuyvesant', kind: 'neighborhood', region: 'Brooklyn', aliases: ['Bed-Stuy'], lat: 40.6872, lng: -73.9418 },
+    { name: 'Springfield', kind: 'city', region: 'IL', lat: 39.7817, lng: -89.6501 },
+    { name: 'Springfield', kind: 'city', region: 'MA', lat: 42.1015, lng: -72.5898 }
+];
+
+const LOCATIONS = [
+    { id: 1, name: 'Harlem Community Pantry', address: '456 Oak Ave, New York, NY 10027', zip: '10027', lat: 40.8101, lng: -73.9502 },
+    { id: 2, name: 'Westside Soup Kitchen', address: '12 West 83rd St, New York, NY 10024', zip: '10024', lat: 40.7851, lng: -73.9742 }
+];
+
+const resolve = (query) => Geocoder.resolve(query, LOCATIONS, GAZETTEER);
+
+describe('Geocoder.resolve', () => {
+    it('places a ZIP code from the gazetteer', () => {
+        const result = resolve('10027');
+        assert.strictEqual(result.kind, 'zip');
+        assert.deepStrictEqual([result.lat, result.lng], [40.8116, -73.9533]);
+    });
+
+    it('falls back to a location for a ZIP the gazetteer lacks', () => {
+        const result = resolve('NY 10024');
+        assert.strictEqual(result.kind, 'zip');
+        assert.deepStrictEqual([result.lat, result.lng], [40.7851, -73.9742]);
+    });
+
+    it('matches neighborhoods by name or alias, ignoring case and punctuation', () => {
+        assert.strictEqual(resolve('harlem').label, 'Harlem, Manhattan');
+        assert.strictEqual(resolve('Bed-Stuy,').label, 'Bedford-Stuyvesant, Brooklyn');
+        assert.strictEqual(resolve('harlem new york').label, 'Harlem, Manhattan');
+    });
+
+    it('finds locations by name prefix and by street address', () => {
+        assert.strictEqual(resolve('westside soup').location.id, 2);
+        assert.strictEqual(resolve('456 oak avenue apt 2').location.id, 1);
+        assert.strictEqual(resolve('oak ave new york').location.id, 1);
+    });
+
+    it('does not match parts of words', () => {
+        assert.strictEqual(resolve('oak avenu'), null);
+        assert.strictEqual(resolve('45 oak ave'), null);
+    });
+
+    it('refuses queries that are too short or ambiguous', () => {
+        assert.strictEqual(resolve('ha'), null);
+        assert.strictEqual(resolve('Springfield'), null);
+    });
+
+    it('returns null when nothing matches', () => {
+        assert.strictEqual(resolve('Atlantis'), null);
+        assert.strictEqual(Geocoder.resolve('harlem', [], []), null);
+    });
+});
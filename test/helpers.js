@@ -0,0 +1,154 @@
+// Zero Hunger Tests - Helpers
+// Starts createApp() on an ephemeral port with its own temporary data directory, and gives tests an
+// HTTP client that keeps cookies like a browser would.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createApp } = require('../server/app');
+const { getFormType } = require('../server/form-types');
+
+// Limits roomy enough for a whole test file; tests of the limits pass their own
+const TEST_RATE_LIMITS = {
+    address: { limit: 1000, windowMs: 60 * 1000 },
+    contact: { limit: 1000, windowMs: 60 * 1000 }
+};
+
+// 'YYYY-MM-DD' in local time, days from today
+function dateFromToday(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return [date.getFullYear(), String(date.getMonth() + 1).padStart(2, '0'), String(date.getDate()).padStart(2, '0')].join('-');
+}
+
+// Valid form submissions as the pages send them. Each call gets its own contact details and
+// delivery address so the per-person quotas in server/form-types.js never get in the way.
+let sequence = 0;
+const serial = () => String(sequence).padStart(4, '0');
+
+const SAMPLE_FIELDS = {
+    'Donation': () => ({
+        'donor-name': 'Maria Lopez',
+        'donor-email': `maria${sequence}@example.org`,
+        'donor-phone': `555-100-${serial()}`,
+        'food-type': 'non-perishable',
+        'quantity': '40',
+        'pickup-date': dateFromToday(1),
+        'pickup-time': '10:00',
+        'food-condition': 'excellent',
+        'pickup-address': '456 Oak Ave, New York, NY 10036',
+        'terms': 'on'
+    }),
+    'Food Request': () => ({
+        'requester-name': 'Sam Lee',
+        'requester-phone': `555-200-${serial()}`,
+        'family-size': '3',
+        'urgency': 'today',
+        'delivery-address': `${100 + sequence} Main St, New York, NY 10007`,
+        'consent': 'on'
+    }),
+    'Volunteer Registration': () => ({
+        'volunteer-name': 'Ana Ruiz',
+        'volunteer-email': `ana${sequence}@example.org`,
+        'volunteer-phone': `555-300-${serial()}`,
+        'area-interest': 'delivery',
+        'availability': 'weekends',
+        'background-check': 'on',
+        'terms': 'on'
+    })
+};
+
+function submission(formType, overrides = {}) {
+    sequence += 1;
+    return { formType, ...SAMPLE_FIELDS[formType](), ...overrides };
+}
+
+class TestClient {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.cookies = {};
+    }
+
+    // Resolves with { status, headers, body }; objects are sent as JSON
+    async request(method, url, { body, headers = {} } = {}) {
+        const cookie = Object.entries(this.cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+        const response = await fetch(this.baseUrl + url, {
+            method,
+            headers: {
+                ...(cookie ? { Cookie: cookie } : {}),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+
+        // Node 18 has no getSetCookie(); our cookies carry Max-Age, never a comma-separated Expires
+        const setCookies = response.headers.getSetCookie
+            ? response.headers.getSetCookie()
+            : (response.headers.get('set-cookie') || '').split(/,\s*(?=[^;=\s]+=)/).filter(Boolean);
+        setCookies.forEach(header => {
+            const [pair] = header.split(';');
+            const index = pair.indexOf('=');
+            this.cookies[pair.slice(0, index)] = pair.slice(index + 1);
+        });
+
+        const text = await response.text();
+        const type = response.headers.get('content-type') || '';
+        return { status: response.status, headers: response.headers, body: type.includes('json') ? JSON.parse(text) : text };
+    }
+
+    get(url, options) {
+        return this.request('GET', url, options);
+    }
+
+    post(url, body, options = {}) {
+        return this.request('POST', url, { ...options, body });
+    }
+
+    // POST with the CSRF token the pages send, fetching one first if needed
+    async postWithCsrf(url, body) {
+        if (!this.csrfToken) {
+            this.csrfToken = (await this.get('/api/csrf-token')).body.token;
+        }
+        return this.post(url, body, { headers: { 'X-CSRF-Token': this.csrfToken } });
+    }
+
+    // Submit a form the way the pages do: with the form ticket issued when the form was shown
+    async submit(body) {
+        const definition = getFormType(body.formType);
+        const { ticket } = (await this.get(`/api/form-ticket?form=${definition.formId}`)).body;
+        return this.postWithCsrf('/api/submit', { formTicket: ticket, ...body });
+    }
+}
+
+// fetch() keeps connections alive, which would hold close() open for seconds
+function stop(server) {
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeAllConnections();
+    return closed;
+}
+
+// overrides go to createApp(); pass dataDir to reopen an earlier server's data. Forms may be
+// submitted right after their ticket is issued unless minFillSeconds says otherwise.
+async function startServer(overrides = {}) {
+    const dataDir = overrides.dataDir || fs.mkdtempSync(path.join(os.tmpdir(), 'zh-test-'));
+    const server = createApp({ secret: 'test-secret', minFillSeconds: 0, rateLimits: TEST_RATE_LIMITS, ...overrides, dataDir });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        server,
+        dataDir,
+        baseUrl,
+        client: () => new TestClient(baseUrl),
+        stop: () => stop(server),
+        // Stops the server and deletes its data directory
+        close: async () => {
+            await stop(server);
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { startServer, TestClient, submission, dateFromToday };
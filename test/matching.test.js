@@ -0,0 +1,163 @@
+// Zero Hunger Tests - Matching
+// Scores from matching.js on hand-made records, and accepting a proposal through /api/matches
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const Matching = require('../matching');
+const { startServer, submission, dateFromToday } = require('./helpers');
+
+const NOW = new Date('2025-06-15T12:00:00Z');
+const COORDINATOR = { Authorization: 'Bearer coordinator-token' };
+
+// Stored records as POST /api/submit writes them, in UTC
+function donation(fields = {}) {
+    return {
+        id: 'donation-1',
+        createdAt: '2025-06-15T09:00:00.000Z',
+        timezoneOffset: 0,
+        fields: { 'food-type': 'non-perishable', 'quantity': '12', 'pickup-date': '2025-06-15', 'pickup-time': '16:00', ...fields }
+    };
+}
+
+function request(fields = {}) {
+    return {
+        id: 'request-1',
+        createdAt: '2025-06-15T10:00:00.000Z',
+        timezoneOffset: 0,
+        fields: { 'urgency': 'today', 'family-size': '4', 'food-type': 'any', ...fields }
+    };
+}
+
+const score = (donationFields, requestFields, options = {}) =>
+    Matching.score(donation(donationFields), request(requestFields), { now: NOW, ...options });
+
+describe('Matching.score', () => {
+    it('gives a perfect pair without a known distance 93 of 100', () => {
+        const result = score({}, { urgency: 'immediate' });
+        // Every factor at 1 except distance, which counts half while unknown
+        assert.strictEqual(result.score, 93);
+        assert.strictEqual(result.distance, null);
+        assert.ok(result.reasons.includes('distance unknown'));
+    });
+
+    it('ranks more urgent requests higher', () => {
+        const scores = ['immediate', 'today', 'tomorrow', 'this-week'].map(urgency => score({}, { urgency }).score);
+        assert.deepStrictEqual([...scores].sort((a, b) => b - a), scores);
+        assert.strictEqual(scores[0] - scores[3], 23);
+    });
+
+    it('never pairs incompatible food types', () => {
+        assert.strictEqual(score({ 'food-type': 'cooked' }, { 'food-type': 'canned' }), null);
+        assert.strictEqual(Matching.foodCompatibility('perishable', 'dairy'), 0.6);
+        assert.strictEqual(Matching.foodCompatibility('bakery', undefined), 1);
+    });
+
+    it('scores quantity against three servings per person', () => {
+        const full = score({ quantity: '12' }, { 'family-size': '4' });
+        const half = score({ quantity: '6' }, { 'family-size': '4' });
+        assert.ok(full.reasons.includes('covers 12 of 12 servings'));
+        assert.ok(half.reasons.includes('covers 6 of 12 servings'));
+        assert.ok(full.score > half.score);
+    });
+
+    it('drops expired donations and marks late pickups', () => {
+        // Kept hot, a meal cooked at 7 is only safe until 11 (food-safety.js)
+        const cooked = { 'food-type': 'cooked', 'food-condition': 'good', 'prepared-date': '2025-06-15', 'prepared-time': '07:00', 'pickup-time': '10:00' };
+        assert.strictEqual(score({ ...cooked, 'storage-temperature': 'hot' }, {}), null);
+        assert.ok(score({ ...cooked, 'storage-temperature': 'refrigerated' }, {}));
+
+        const late = score({ 'pickup-date': '2025-06-20' }, { urgency: 'immediate' });
+        assert.ok(late.reasons.includes('pickup is after the requested time'));
+        assert.ok(late.score < score({}, { urgency: 'immediate' }).score);
+    });
+
+    it('uses the distance between the two addresses', () => {
+        const places = { 'donation-1': { lat: 40.7128, lng: -74.0060 }, 'request-1': { lat: 40.7580, lng: -73.9855 } };
+        const near = score({}, {}, { locate: record => places[record.id] });
+        assert.ok(near.distance > 3 && near.distance < 4);
+        assert.ok(near.score > score({}, {}).score);
+
+        const far = { ...places, 'request-1': { lat: 41.5, lng: -74.0 } };
+        assert.strictEqual(score({}, {}, { locate: record => far[record.id] }), null);
+    });
+});
+
+describe('Matching.rankDonations', () => {
+    it('orders by score, then by the donation that spoils first', () => {
+        const donations = [
+            { ...donation({ 'food-type': 'non-perishable' }), id: 'canned' },
+            { ...donation({ 'food-type': 'perishable' }), id: 'fresh' },
+            { ...donation({ 'food-type': 'perishable', 'quantity': '3' }), id: 'small' },
+            { ...donation({ 'food-type': 'cooked' }), id: 'cooked' }
+        ];
+        const ranked = Matching.rankDonations(request({ 'food-type': 'fresh' }), donations, { now: NOW });
+        assert.deepStrictEqual(ranked.map(proposal => proposal.donationId), ['fresh', 'small']);
+        assert.ok(!('expiresAt' in ranked[0]));
+    });
+});
+
+describe('/api/matches', () => {
+    let app;
+    let client;
+    before(async () => {
+        app = await startServer({ coordinatorToken: 'coordinator-token' });
+        client = app.client();
+    });
+    after(() => app.close());
+
+    async function submit(formType, overrides) {
+        return (await client.submit(submission(formType, overrides))).body.id;
+    }
+
+    it('needs the coordinator token', async () => {
+        assert.strictEqual((await client.get('/api/matches?donation=x')).status, 401);
+        assert.strictEqual((await client.get('/api/matches?donation=x', { headers: { Authorization: 'Bearer nope' } })).status, 401);
+    });
+
+    it('proposes open requests for a donation', async () => {
+        const donationId = await submit('Donation');
+        const requestId = await submit('Food Request', { 'food-type': 'canned' });
+        await submit('Food Request', { 'food-type': 'fresh' });
+
+        const { status, body } = await client.get(`/api/matches?donation=${donationId}`, { headers: COORDINATOR });
+        assert.strictEqual(status, 200);
+        assert.deepStrictEqual(body.proposals.map(proposal => proposal.requestId), [requestId]);
+        assert.strictEqual(body.proposals[0].request.area, '10007, New York');
+        assert.strictEqual(body.proposals[0].request['requester-phone'], undefined);
+    });
+
+    it('accepts a proposal once and links both records', async () => {
+        const donationId = await submit('Donation');
+        const requestId = await submit('Food Request');
+        const accept = () => client.post('/api/matches', { donationId, requestId }, { headers: COORDINATOR });
+
+        const [first, second] = await Promise.all([accept(), accept()]);
+        assert.deepStrictEqual([first.status, second.status].sort(), [201, 409]);
+        const { match } = (first.status === 201 ? first : second).body;
+        assert.strictEqual(match.status, 'accepted');
+
+        const { store } = app.server.context;
+        assert.strictEqual((await store.find('donations', donationId)).matchId, match.id);
+        assert.strictEqual((await store.find('requests', requestId)).matchId, match.id);
+
+        const { body } = await client.get(`/api/matches?request=${requestId}`, { headers: COORDINATOR });
+        assert.ok(body.proposals.every(proposal => proposal.donationId !== donationId));
+    });
+
+    it('refuses pairs that cannot match', async () => {
+        const donationId = await submit('Donation', {
+            'food-type': 'cooked',
+            'prepared-date': dateFromToday(1),
+            'prepared-time': '09:00',
+            'storage-temperature': 'refrigerated',
+            'allergen-none': 'on'
+        });
+        const requestId = await submit('Food Request', { 'food-type': 'canned' });
+        const response = await client.post('/api/matches', { donationId, requestId }, { headers: COORDINATOR });
+        assert.strictEqual(response.status, 409);
+
+        const missing = await client.post('/api/matches', { donationId, requestId: 'nope' }, { headers: COORDINATOR });
+        assert.strictEqual(missing.status, 404);
+    });
+});
@@ -0,0 +1,53 @@
+// Zero Hunger Tests - Notifications
+// Confirmations through a recording channel, and the unsubscribe link that stops them
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, submission } = require('./helpers');
+
+describe('/api/notifications/opt-out', () => {
+    const sent = [];
+    const recorder = { send: async (message) => { sent.push(message); } };
+    let app;
+
+    before(async () => {
+        app = await startServer({ channels: { email: recorder, sms: recorder } });
+    });
+    after(() => app.close());
+
+    // The confirmation is sent after the response, so wait for it to arrive
+    async function nextMessage(count) {
+        for (let i = 0; i < 50 && sent.length < count; i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        assert.strictEqual(sent.length, count);
+        return sent[count - 1];
+    }
+
+    it('stops further messages once the link in a message is used', async () => {
+        const client = app.client();
+        const count = sent.length + 1;
+        const { id } = (await client.submit(submission('Donation', { 'contact-consent': 'on' }))).body;
+        const confirmation = await nextMessage(count);
+        const token = /#token=([\w.-]+)/.exec(confirmation.text)[1];
+
+        const response = await client.postWithCsrf('/api/notifications/opt-out', { token });
+        assert.strictEqual(response.status, 200);
+
+        const { store, notifier } = app.server.context;
+        const donation = await store.find('donations', id);
+        assert.strictEqual(await notifier.notify('donation-matched', 'donations', donation), null);
+    });
+
+    it('answers forged and malformed links with 400', async () => {
+        const client = app.client();
+        const contact = Buffer.from('email:someone@example.org').toString('base64url');
+        // 64 characters like a real signature, but 128 bytes
+        for (const token of [`${contact}.${'é'.repeat(64)}`, `${contact}.${'0'.repeat(64)}`, contact, '.']) {
+            const response = await client.postWithCsrf('/api/notifications/opt-out', { token });
+            assert.strictEqual(response.status, 400, token);
+            assert.strictEqual(response.body.error, 'This unsubscribe link is not valid');
+        }
+    });
+});
@@ -0,0 +1,138 @@
+// Zero Hunger Tests - Opening Hours
+// The hours formats used in data/locations.json, checked against fixed local times.
+// 5 January 2026 is a Monday.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+const OpeningHours = require('../opening-hours');
+
+const at = (day, hours, minutes = 0) => new Date(2026, 0, day, hours, minutes);
+const statusAt = (text, now, exceptions) => OpeningHours.status(OpeningHours.parse(text, exceptions), now);
+
+describe('OpeningHours.parse', () => {
+    it('reads weekday hours', () => {
+        const schedule = OpeningHours.parse('Mon-Fri: 9AM-6PM');
+        assert.strictEqual(schedule.valid, true);
+        [1, 2, 3, 4, 5].forEach(day => assert.deepStrictEqual(schedule.weekly[day], [{ open: 540, close: 1080 }]));
+        assert.deepStrictEqual(schedule.weekly[0], []);
+        assert.deepStrictEqual(schedule.weekly[6], []);
+    });
+
+    it('reads daily hours', () => {
+        const schedule = OpeningHours.parse('Daily: 11AM-7PM');
+        schedule.weekly.forEach(ranges => assert.deepStrictEqual(ranges, [{ open: 660, close: 1140 }]));
+    });
+
+    it('reads 24/7 with a note', () => {
+        const schedule = OpeningHours.parse('24/7 Emergency');
+        assert.strictEqual(schedule.alwaysOpen, true);
+        assert.strictEqual(schedule.note, 'Emergency');
+        schedule.weekly.forEach(ranges => assert.deepStrictEqual(ranges, [{ open: 0, close: 1440 }]));
+    });
+
+    it('reads Tue-Sun and ranges that wrap around the week', () => {
+        const tueSun = OpeningHours.parse('Tue-Sun: 10AM-4PM');
+        assert.deepStrictEqual(tueSun.weekly[1], []);
+        [0, 2, 3, 4, 5, 6].forEach(day => assert.deepStrictEqual(tueSun.weekly[day], [{ open: 600, close: 960 }]));
+
+        const satMon = OpeningHours.parse('Sat-Mon: 10AM-2PM');
+        assert.deepStrictEqual(satMon.weekly.map(ranges => ranges.length), [1, 1, 0, 0, 0, 0, 1]);
+    });
+
+    it('reads split ranges and several day groups', () => {
+        const schedule = OpeningHours.parse('Mon-Fri: 9:30AM-12PM, 1PM-5PM; Sat: 10AM-2PM');
+        assert.deepStrictEqual(schedule.weekly[3], [{ open: 570, close: 720 }, { open: 780, close: 1020 }]);
+        assert.deepStrictEqual(schedule.weekly[6], [{ open: 600, close: 840 }]);
+        assert.deepStrictEqual(schedule.weekly[0], []);
+    });
+
+    it('runs overnight ranges past midnight', () => {
+        const schedule = OpeningHours.parse('Fri-Sat: 6PM-2AM');
+        assert.deepStrictEqual(schedule.weekly[5], [{ open: 1080, close: 1560 }]);
+    });
+
+    it('keeps exceptions by date', () => {
+        const schedule = OpeningHours.parse('Mon-Fri: 9AM-6PM', [
+            { date: '2026-12-25', hours: 'Closed', label: 'Christmas Day' },
+            { date: '2026-12-24', hours: '9AM-1PM', label: 'Christmas Eve' },
+            { date: 'tomorrow', hours: 'Closed' }
+        ]);
+        assert.deepStrictEqual(schedule.exceptions, {
+            '2026-12-25': { ranges: [], label: 'Christmas Day' },
+            '2026-12-24': { ranges: [{ open: 540, close: 780 }], label: 'Christmas Eve' }
+        });
+    });
+
+    it('flags text it cannot read', () => {
+        assert.strictEqual(OpeningHours.parse('By appointment').valid, false);
+        assert.strictEqual(OpeningHours.parse('').valid, false);
+        assert.strictEqual(OpeningHours.parse('Mon-Fri: 9-5').valid, false);
+        assert.deepStrictEqual(statusAt('By appointment', at(5, 10)), { state: 'unknown', label: 'Hours not available' });
+    });
+});
+
+describe('OpeningHours.status', () => {
+    it('is open during the day and closing soon in the last hour', () => {
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', at(5, 9)).label, 'Open now');
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', at(5, 16, 59)).state, 'open');
+        assert.deepStrictEqual(statusAt('Mon-Fri: 9AM-6PM', at(5, 17)),
+            { state: 'closing-soon', label: 'Closes in 60 min', minutesLeft: 60 });
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', at(5, 17, 59)).label, 'Closes in 1 min');
+    });
+
+    it('says when it opens next', () => {
+        const early = statusAt('Mon-Fri: 9AM-6PM', at(5, 8, 59));
+        assert.strictEqual(early.label, 'Opens 9AM');
+        assert.deepStrictEqual(early.opensAt, at(5, 9));
+
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', at(5, 18)).label, 'Opens tomorrow 9AM');
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', at(9, 18)).label, 'Opens Mon 9AM');
+        assert.strictEqual(statusAt('Tue-Sun: 10AM-4PM', at(5, 12)).label, 'Opens tomorrow 10AM');
+        assert.strictEqual(statusAt('Daily: 11AM-7PM', at(7, 19, 30)).label, 'Opens tomorrow 11AM');
+    });
+
+    it('closes between split ranges', () => {
+        const text = 'Mon-Fri: 9AM-12PM, 1PM-5PM';
+        assert.strictEqual(statusAt(text, at(5, 11, 30)).label, 'Closes in 30 min');
+        assert.strictEqual(statusAt(text, at(5, 12)).label, 'Opens 1PM');
+        assert.strictEqual(statusAt(text, at(5, 13)).label, 'Open now');
+    });
+
+    it('is always open for 24/7', () => {
+        assert.deepStrictEqual(statusAt('24/7 Emergency', at(4, 3)), { state: 'open', label: 'Open 24/7', alwaysOpen: true });
+        assert.strictEqual(statusAt('Daily: 24 hours', at(5, 23, 30)).state, 'open');
+    });
+
+    it('follows overnight hours into the next morning', () => {
+        const text = 'Fri-Sat: 6PM-2AM';
+        assert.strictEqual(statusAt(text, at(10, 0, 30)).label, 'Open now');
+        assert.strictEqual(statusAt(text, at(11, 1, 30)).label, 'Closes in 30 min');
+        assert.strictEqual(statusAt(text, at(11, 3)).label, 'Opens Fri 6PM');
+        assert.strictEqual(statusAt(text, at(9, 17)).label, 'Opens 6PM');
+    });
+
+    it('uses holiday closures and holiday hours', () => {
+        const exceptions = [
+            { date: '2026-12-24', hours: '9AM-1PM', label: 'Christmas Eve' },
+            { date: '2026-12-25', hours: 'Closed', label: 'Christmas Day' }
+        ];
+        const christmas = statusAt('Mon-Fri: 9AM-6PM', new Date(2026, 11, 25, 10), exceptions);
+        assert.strictEqual(christmas.state, 'closed');
+        assert.strictEqual(christmas.label, 'Closed today (Christmas Day) · Opens Mon 9AM');
+        assert.strictEqual(christmas.closedReason, 'Christmas Day');
+
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', new Date(2026, 11, 24, 12, 30), exceptions).label, 'Closes in 30 min');
+        assert.strictEqual(statusAt('Mon-Fri: 9AM-6PM', new Date(2026, 11, 24, 14), exceptions).label, 'Opens Mon 9AM');
+
+        const closed = statusAt('24/7 Emergency', new Date(2026, 11, 25, 10), exceptions);
+        assert.strictEqual(closed.label, 'Closed today (Christmas Day) · Opens tomorrow 12AM');
+        assert.strictEqual(closed.alwaysOpen, undefined);
+    });
+
+    it('reads location objects', () => {
+        const location = { hours: 'Mon-Fri: 9AM-6PM', hoursExceptions: [{ date: '2026-01-05', hours: 'Closed', label: 'Inventory day' }] };
+        assert.strictEqual(OpeningHours.forLocation(location, at(5, 10)).label, 'Closed today (Inventory day) · Opens tomorrow 9AM');
+        assert.strictEqual(OpeningHours.forLocation({ hours: 'Daily: 11AM-7PM' }, at(5, 12)).state, 'open');
+    });
+});
@@ -0,0 +1,138 @@
+// Zero Hunger Tests - Safe HTML Templates
+// Known XSS payloads must come out as text, lose their URL, or be refused where they would run.
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+
+const SafeHTML = require('../safe-html');
+
+const { html } = SafeHTML;
+const markup = (value) => String(value);
+
+// Parse the output the way a browser would and collect anything that could run
+function executable(output) {
+    const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+    SafeHTML.render(document.body, output);
+    const elements = Array.from(document.body.querySelectorAll('*'));
+    return {
+        scripts: document.body.querySelectorAll('script').length,
+        handlers: elements.flatMap(element => element.getAttributeNames().filter(name => name.startsWith('on'))),
+        links: elements.map(element => element.getAttribute('href')).filter(Boolean)
+    };
+}
+
+describe('SafeHTML text and attributes', () => {
+    it('escapes <script> in text', () => {
+        const output = html`<p>${'<script>alert(1)</script>'}</p>`;
+        assert.strictEqual(markup(output), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+        assert.strictEqual(executable(output).scripts, 0);
+    });
+
+    it('escapes <script> in attributes', () => {
+        const output = html`<img alt="${'"><script>alert(1)</script>'}" src="logo.png">`;
+        assert.strictEqual(markup(output), '<img alt="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;" src="logo.png">');
+        assert.strictEqual(executable(output).scripts, 0);
+    });
+
+    it('keeps quote breakouts inside the attribute', () => {
+        const double = html`<a title="${'" onmouseover="alert(1)'}">x</a>`;
+        const single = html`<a title='${"' onmouseover='alert(1)"}'>x</a>`;
+        assert.strictEqual(markup(double), '<a title="&quot; onmouseover=&quot;alert(1)">x</a>');
+        assert.strictEqual(markup(single), '<a title=\'&#39; onmouseover=&#39;alert(1)\'>x</a>');
+        assert.deepStrictEqual(executable(double).handlers, []);
+        assert.deepStrictEqual(executable(single).handlers, []);
+    });
+
+    it('keeps names and addresses verbatim', () => {
+        assert.strictEqual(markup(html`<p>${"O'Brien & Sons <Pantry>"}</p>`), '<p>O&#39;Brien &amp; Sons &lt;Pantry&gt;</p>');
+    });
+
+    it('keeps nested markup and arrays, and drops empty values', () => {
+        const items = ['a', '<b>'].map(item => html`<li>${item}</li>`);
+        assert.strictEqual(markup(html`<ul>${items}</ul>`), '<ul><li>a</li><li>&lt;b&gt;</li></ul>');
+        assert.strictEqual(markup(html`<input ${true ? html`checked` : ''}>`), '<input checked>');
+        assert.strictEqual(markup(html`<p>${null}${undefined}${false}</p>`), '<p></p>');
+    });
+});
+
+describe('SafeHTML URLs', () => {
+    const hrefFor = (url) => executable(html`<a href="${url}">link</a>`).links[0];
+
+    [
+        'javascript:alert(1)',
+        'JaVaScRiPt:alert(1)',
+        'java\tscript:alert(1)',
+        'java\nscript:alert(1)',
+        ' \u0001javascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)'
+    ].forEach(url => {
+        it(`replaces ${JSON.stringify(url)} with #`, () => {
+            assert.strictEqual(SafeHTML.url(url), '#');
+            assert.strictEqual(hrefFor(url), '#');
+        });
+    });
+
+    it('keeps http(s), mailto, tel and relative links', () => {
+        ['https://example.org/a?b=1', 'http://example.org', 'mailto:help@zerohunger.org', 'tel:+15551234567',
+            'map.html?directions=3', '/api/track', '#main-content', '?q=a:b']
+            .forEach(url => assert.strictEqual(SafeHTML.url(url), url));
+    });
+
+    it('checks src and formaction as well as href', () => {
+        assert.strictEqual(markup(html`<img src="${'javascript:alert(1)'}">`), '<img src="#">');
+        assert.strictEqual(markup(html`<button formaction="${'javascript:alert(1)'}">x</button>`), '<button formaction="#">x</button>');
+    });
+
+    it('leaves the scheme to the page when the value is not at the start', () => {
+        assert.strictEqual(markup(html`<a href="map.html?q=${'javascript:alert(1)'}">x</a>`), '<a href="map.html?q=javascript:alert(1)">x</a>');
+    });
+
+    it('does not decode entity-encoded schemes', () => {
+        assert.strictEqual(hrefFor('&#106;avascript:alert(1)'), '&#106;avascript:alert(1)');
+    });
+});
+
+describe('SafeHTML refused contexts', () => {
+    it('throws for event handler attributes', () => {
+        assert.throws(() => html`<button onclick="${'alert(1)'}">x</button>`, /event handler/);
+        assert.throws(() => html`<img src="x.png" onerror='${'alert(1)'}'>`, /event handler/);
+        assert.throws(() => html`<div ONMOUSEOVER="go(${'1'})"></div>`, /event handler/);
+    });
+
+    it('throws for unquoted attributes and bare tag positions', () => {
+        assert.throws(() => html`<a href=${'javascript:alert(1)'}>x</a>`, /outside a quoted attribute/);
+        assert.throws(() => html`<div ${'onmouseover=alert(1)'}></div>`, /outside a quoted attribute/);
+    });
+
+    it('throws inside <script> and <style>', () => {
+        assert.throws(() => html`<script>var name = "${'x'}";</script>`, /<script> or <style>/);
+        assert.throws(() => html`<style>.a { color: ${'red'} }</style>`, /<script> or <style>/);
+    });
+
+    it('renders only SafeHTML markup', () => {
+        const { document } = new JSDOM('<!DOCTYPE html><body></body>').window;
+        assert.throws(() => SafeHTML.render(document.body, '<img src=x onerror=alert(1)>'), TypeError);
+    });
+});
+
+describe('SafeHTML style attributes', () => {
+    const style = (value) => markup(html`<p style="${value}">x</p>`);
+
+    it('keeps colours, lengths and keywords', () => {
+        assert.strictEqual(style('#16a34a'), '<p style="#16a34a">x</p>');
+        assert.strictEqual(markup(html`<p style="color: ${'#16a34a'}; height: ${'45%'}">x</p>`),
+            '<p style="color: #16a34a; height: 45%">x</p>');
+        assert.strictEqual(markup(html`<p style="margin: ${'5px 0'}">x</p>`), '<p style="margin: 5px 0">x</p>');
+        assert.strictEqual(markup(html`<p style="color: ${'rgb(22, 163, 74)'}">x</p>`), '<p style="color: rgb(22, 163, 74)">x</p>');
+    });
+
+    it('drops values that add declarations, URLs or quotes', () => {
+        assert.strictEqual(style('red; position: fixed'), '<p style="">x</p>');
+        assert.strictEqual(style('url(javascript:alert(1))'), '<p style="">x</p>');
+        assert.strictEqual(style('red" onmouseover="alert(1)'), '<p style="">x</p>');
+        assert.strictEqual(style('red</p><script>alert(1)</script>'), '<p style="">x</p>');
+        assert.strictEqual(style('color: #d97706; font-weight: 600;'), '<p style="">x</p>');
+    });
+});
@@ -0,0 +1,160 @@
+// Zero Hunger Tests - Server
+// /api/submit end to end against createApp() with a temporary data directory
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { FileStore } = require('../server/store');
+const { startServer, submission } = require('./helpers');
+
+describe('POST /api/submit', () => {
+    let app;
+    before(async () => {
+        app = await startServer();
+    });
+    after(() => app.close());
+
+    it('stores each form type and answers 201', async () => {
+        for (const [formType, collection] of [['Donation', 'donations'], ['Food Request', 'requests'], ['Volunteer Registration', 'volunteers']]) {
+            const response = await app.client().submit(submission(formType));
+            assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+            assert.strictEqual(response.body.success, true);
+
+            const stored = await new FileStore(app.dataDir).find(collection, response.body.id);
+            assert.strictEqual(stored.formType, formType);
+            assert.strictEqual(stored.status, 'new');
+
+            // Donations and requests get a reference code to track them by; volunteers get a session cookie
+            if (collection === 'volunteers') {
+                assert.strictEqual(response.body.reference, undefined);
+            } else {
+                assert.match(response.body.reference, /^[DR]-[A-Z0-9]{4}-[A-Z0-9]{4}$/);
+                assert.strictEqual(stored.reference, response.body.reference);
+                assert.ok(response.body.trackingToken);
+            }
+        }
+    });
+
+    it('keeps input verbatim', async () => {
+        const name = "Maria O'Brien-Lopez";
+        const response = await app.client().submit(submission('Donation', { 'donor-name': name }));
+        const stored = await new FileStore(app.dataDir).find('donations', response.body.id);
+        assert.strictEqual(stored.fields['donor-name'], name);
+    });
+
+    it('answers 422 with the missing fields', async () => {
+        const body = submission('Food Request');
+        delete body['delivery-address'];
+        delete body.consent;
+        const response = await app.client().submit(body);
+        assert.strictEqual(response.status, 422);
+        assert.deepStrictEqual(Object.keys(response.body.details).sort(), ['consent', 'delivery-address']);
+    });
+
+    it('refuses unknown form types and malformed fields', async () => {
+        const client = app.client();
+        assert.strictEqual((await client.postWithCsrf('/api/submit', submission('Donation', { formType: 'Payment' }))).status, 400);
+        assert.strictEqual((await client.submit(submission('Donation', { 'donor-name': ['Maria'] }))).status, 400);
+    });
+
+    it('keeps only the fields the form declares', async () => {
+        const response = await app.client().submit(submission('Donation', { 'Bad Name': 'x', 'role': 'admin' }));
+        assert.strictEqual(response.status, 201);
+        const stored = await new FileStore(app.dataDir).find('donations', response.body.id);
+        assert.strictEqual(stored.fields['Bad Name'], undefined);
+        assert.strictEqual(stored.fields.role, undefined);
+        assert.strictEqual(stored.fields.terms, true);
+    });
+
+    it('refuses requests without a matching CSRF token', async () => {
+        const client = app.client();
+        assert.strictEqual((await client.post('/api/submit', submission('Donation'))).status, 403);
+
+        const { token } = (await client.get('/api/csrf-token')).body;
+        const forged = `${token.split('.').slice(0, 2).join('.')}.${'é'.repeat(64)}`;
+        client.cookies.zh_csrf = forged;
+        const response = await client.post('/api/submit', submission('Donation'), { headers: { 'X-CSRF-Token': forged } });
+        assert.strictEqual(response.status, 403);
+    });
+
+    it('refuses bodies that are not JSON', async () => {
+        const client = app.client();
+        const { token } = (await client.get('/api/csrf-token')).body;
+        const response = await client.request('POST', '/api/submit', { headers: { 'X-CSRF-Token': token, 'Content-Type': 'text/plain' } });
+        assert.strictEqual(response.status, 415);
+    });
+});
+
+describe('Store persistence', () => {
+    it('keeps submissions across restarts', async () => {
+        const first = await startServer();
+        const { body } = await first.client().submit(submission('Volunteer Registration'));
+        await first.stop();
+
+        assert.ok(fs.existsSync(path.join(first.dataDir, 'volunteers.json')));
+        const second = await startServer({ dataDir: first.dataDir });
+        try {
+            const stored = await second.server.context.store.find('volunteers', body.id);
+            assert.strictEqual(stored.fields['volunteer-name'], 'Ana Ruiz');
+        } finally {
+            await second.close();
+        }
+    });
+
+    it('loses no write when the first accesses to a collection overlap', async () => {
+        const app = await startServer();
+        try {
+            const client = app.client();
+            const responses = await Promise.all([1, 2, 3, 4, 5].map(() => client.submit(submission('Food Request'))));
+            responses.forEach(response => assert.strictEqual(response.status, 201));
+
+            const saved = JSON.parse(fs.readFileSync(path.join(app.dataDir, 'requests.json'), 'utf8'));
+            assert.strictEqual(saved.length, 5);
+        } finally {
+            await app.close();
+        }
+    });
+
+    it('shares one array between concurrent first loads', async () => {
+        const app = await startServer();
+        try {
+            const store = new FileStore(app.dataDir);
+            const [first, second] = await Promise.all([store.load('donations'), store.load('donations')]);
+            assert.strictEqual(first, second);
+        } finally {
+            await app.close();
+        }
+    });
+});
+
+describe('Static pages', () => {
+    let app;
+    before(async () => {
+        app = await startServer();
+    });
+    after(() => app.close());
+
+    it('serves the pages and nothing outside the site', async () => {
+        const client = app.client();
+        const home = await client.get('/');
+        assert.strictEqual(home.status, 200);
+        assert.match(home.headers.get('content-type'), /text\/html/);
+        assert.strictEqual((await client.get('/server/config.js')).status, 404);
+        assert.strictEqual((await client.get('/%2e%2e/%2e%2e/etc/passwd')).status, 404);
+        assert.strictEqual((await client.get('/api/nothing')).status, 404);
+    });
+
+    it('sends a CSP without unsafe-inline and pages without style attributes', async () => {
+        const client = app.client();
+        const pages = fs.readdirSync(path.join(__dirname, '..')).filter(name => name.endsWith('.html'));
+        for (const page of pages) {
+            const response = await client.get(`/${page}`);
+            const csp = response.headers.get('content-security-policy');
+            assert.match(csp, /script-src 'self' 'nonce-[^']+'/);
+            assert.doesNotMatch(csp, /unsafe-inline|style-src-attr/);
+            assert.doesNotMatch(response.body, /\sstyle=/, page);
+        }
+    });
+});
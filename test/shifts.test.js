@@ -0,0 +1,150 @@
+// Zero Hunger Tests - Volunteer Shifts
+// Slot arithmetic from shifts.js, and sign-up capacity and double-booking checks on /api/shifts
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const Shifts = require('../shifts');
+const { startServer, submission, dateFromToday } = require('./helpers');
+
+const COORDINATOR = { Authorization: 'Bearer coordinator-token' };
+
+const slot = (startsAt, endsAt) => ({ startsAt, endsAt });
+
+function volunteer(id, fields = {}) {
+    return { id, timezoneOffset: 0, fields: { 'area-interest': 'delivery', 'availability': 'flexible', ...fields } };
+}
+
+describe('Shifts slots', () => {
+    it('treats touching slots as free and shared minutes as overlapping', () => {
+        const morning = slot('2025-06-14T09:00:00Z', '2025-06-14T12:00:00Z');
+        assert.strictEqual(Shifts.overlaps(morning, slot('2025-06-14T12:00:00Z', '2025-06-14T14:00:00Z')), false);
+        assert.strictEqual(Shifts.overlaps(morning, slot('2025-06-14T11:59:00Z', '2025-06-14T14:00:00Z')), true);
+        assert.strictEqual(Shifts.covers(morning, slot('2025-06-14T10:00:00Z', '2025-06-14T11:30:00Z')), true);
+    });
+
+    it('reads availability in the volunteer\'s time zone', () => {
+        // Saturday 14 June 2025, 16:00 UTC
+        const saturday = slot('2025-06-14T16:00:00Z', '2025-06-14T17:00:00Z');
+        assert.strictEqual(Shifts.fitsAvailability('weekends', saturday, 0), true);
+        assert.strictEqual(Shifts.fitsAvailability('weekdays', saturday, 0), false);
+        assert.strictEqual(Shifts.fitsAvailability('evenings', saturday, 0), false);
+        // 16:00 UTC is 18:00 at UTC+2
+        assert.strictEqual(Shifts.fitsAvailability('evenings', saturday, -120), true);
+    });
+
+    it('prefers volunteers on a delivery shift, then the least busy', () => {
+        const delivery = slot('2025-06-16T10:00:00Z', '2025-06-16T11:30:00Z');
+        const shifts = [{ id: 's1', role: 'delivery', ...slot('2025-06-16T09:00:00Z', '2025-06-16T13:00:00Z'), signups: [{ volunteerId: 'on-shift' }] }];
+        const assignments = [{ id: 'a1', volunteerId: 'busy', status: 'assigned', ...slot('2025-06-15T10:00:00Z', '2025-06-15T11:00:00Z') }];
+        const volunteers = [
+            volunteer('busy'),
+            volunteer('idle'),
+            volunteer('on-shift', { availability: 'weekends' }),
+            volunteer('warehouse', { 'area-interest': 'warehouse' }),
+            volunteer('weekends', { availability: 'weekends' })
+        ];
+
+        const ranked = Shifts.rankDeliveryVolunteers(delivery, volunteers, shifts, assignments);
+        assert.deepStrictEqual(ranked.map(candidate => candidate.volunteer.id), ['on-shift', 'idle', 'busy']);
+    });
+
+    it('lists shifts and deliveries that clash', () => {
+        const shifts = [{ id: 's1', role: 'warehouse', ...slot('2025-06-16T09:00:00Z', '2025-06-16T12:00:00Z'), signups: [{ volunteerId: 'v1' }] }];
+        const assignments = [{ id: 'a1', volunteerId: 'v1', status: 'cancelled', ...slot('2025-06-16T13:00:00Z', '2025-06-16T14:00:00Z') }];
+        const commitments = Shifts.commitmentsFor('v1', shifts, assignments);
+
+        assert.deepStrictEqual(commitments.map(item => item.id), ['s1']);
+        assert.deepStrictEqual(Shifts.findConflicts(slot('2025-06-16T11:00:00Z', '2025-06-16T13:30:00Z'), commitments).map(item => item.kind), ['shift']);
+    });
+});
+
+describe('/api/shifts', () => {
+    let app;
+    let coordinator;
+    const date = dateFromToday(3);
+
+    before(async () => {
+        app = await startServer({ coordinatorToken: 'coordinator-token' });
+        coordinator = app.client();
+    });
+    after(() => app.close());
+
+    async function createShift(fields) {
+        const response = await coordinator.post('/api/shifts', { locationId: 1, role: 'warehouse', date, capacity: 1, ...fields }, { headers: COORDINATOR });
+        assert.strictEqual(response.status, 201, JSON.stringify(response.body));
+        return response.body.shift;
+    }
+
+    // A client holding a freshly registered volunteer's cookie
+    async function registerVolunteer(name) {
+        const client = app.client();
+        const response = await client.submit(submission('Volunteer Registration', { 'volunteer-name': name }));
+        assert.strictEqual(response.status, 201);
+        assert.ok(client.cookies.zh_volunteer);
+        return client;
+    }
+
+    const signUp = (client, shift) => client.postWithCsrf(`/api/shifts/${shift.id}/signup`, {});
+
+    it('refuses sign-ups once a shift is full', async () => {
+        const shift = await createShift({ start: '09:00', end: '12:00', capacity: 1 });
+        const [first, second] = await Promise.all([registerVolunteer('Ana Ruiz'), registerVolunteer('Ben Ortiz')]);
+
+        const results = await Promise.all([signUp(first, shift), signUp(second, shift)]);
+        assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 409]);
+        assert.strictEqual(results.find(result => result.status === 409).body.error, 'This shift is full');
+
+        const listed = (await coordinator.get('/api/shifts')).body.shifts.find(item => item.id === shift.id);
+        assert.strictEqual(listed.spotsLeft, 0);
+        assert.strictEqual(listed.signups, undefined);
+    });
+
+    it('frees the spot when a volunteer withdraws', async () => {
+        const shift = await createShift({ start: '13:00', end: '14:00', capacity: 1 });
+        const first = await registerVolunteer('Cai Wong');
+        const second = await registerVolunteer('Dee Park');
+
+        assert.strictEqual((await signUp(first, shift)).status, 200);
+        assert.strictEqual((await signUp(first, shift)).status, 409);
+        assert.strictEqual((await first.postWithCsrf(`/api/shifts/${shift.id}/withdraw`, {})).status, 200);
+        assert.strictEqual((await signUp(second, shift)).status, 200);
+    });
+
+    it('refuses a second shift that overlaps the first', async () => {
+        const morning = await createShift({ start: '15:00', end: '17:00', capacity: 5 });
+        const overlapping = await createShift({ start: '16:30', end: '18:00', capacity: 5, role: 'helpline' });
+        const later = await createShift({ start: '17:00', end: '18:00', capacity: 5, role: 'events' });
+        const client = await registerVolunteer('Eve Stone');
+
+        assert.strictEqual((await signUp(client, morning)).status, 200);
+        const clash = await signUp(client, overlapping);
+        assert.strictEqual(clash.status, 409);
+        assert.deepStrictEqual(clash.body.details.conflicts.map(item => item.id), [morning.id]);
+        assert.strictEqual((await signUp(client, later)).status, 200);
+
+        const mine = (await client.get('/api/volunteers/me/shifts')).body;
+        assert.deepStrictEqual(mine.shifts.map(item => item.id), [morning.id, later.id]);
+    });
+
+    it('refuses a delivery for a volunteer who is busy then', async () => {
+        const shift = await createShift({ start: '19:00', end: '21:00', capacity: 5 });
+        const client = await registerVolunteer('Fay Lin');
+        assert.strictEqual((await signUp(client, shift)).status, 200);
+
+        const { store } = app.server.context;
+        const volunteerId = (await store.all('volunteers')).find(record => record.fields['volunteer-name'] === 'Fay Lin').id;
+        const match = await store.insert('matches', { donationId: 'd', requestId: 'r', status: 'accepted' });
+
+        const response = await coordinator.post(`/api/matches/${match.id}/assign`, { volunteerId, date, start: '20:00' }, { headers: COORDINATOR });
+        assert.strictEqual(response.status, 409);
+        assert.deepStrictEqual(response.body.details.conflicts.map(item => item.id), [shift.id]);
+    });
+
+    it('needs a registered volunteer and a coordinator', async () => {
+        const shift = await createShift({ start: '22:00', end: '23:00' });
+        assert.strictEqual((await signUp(app.client(), shift)).status, 401);
+        assert.strictEqual((await app.client().post('/api/shifts', { locationId: 1 })).status, 401);
+        assert.strictEqual((await coordinator.post('/api/shifts', { locationId: 1, role: 'warehouse', date, start: '09:00', end: '08:00', capacity: 1 }, { headers: COORDINATOR })).status, 400);
+    });
+});
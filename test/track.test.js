@@ -0,0 +1,89 @@
+// Zero Hunger Tests - Submission Tracking
+// Looking up, cancelling and rescheduling a submission with its reference code and tracking token
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startServer, submission, dateFromToday } = require('./helpers');
+
+const COORDINATOR = { Authorization: 'Bearer coordinator-token' };
+
+describe('/api/track', () => {
+    let app;
+    let client;
+
+    before(async () => {
+        app = await startServer({ coordinatorToken: 'coordinator-token' });
+        client = app.client();
+    });
+    after(() => app.close());
+
+    async function submit(formType, overrides) {
+        const { body } = await client.submit(submission(formType, overrides));
+        return { id: body.id, reference: body.reference, token: body.trackingToken };
+    }
+
+    // A tracked donation matched to a request, with its delivery assigned
+    async function matchedDonation() {
+        const donation = await submit('Donation');
+        const request = await submit('Food Request');
+        await submit('Volunteer Registration', { availability: 'flexible' });
+
+        const { match } = (await client.post('/api/matches', { donationId: donation.id, requestId: request.id }, { headers: COORDINATOR })).body;
+        const assigned = await client.post(`/api/matches/${match.id}/assign`, {}, { headers: COORDINATOR });
+        assert.strictEqual(assigned.status, 201, JSON.stringify(assigned.body));
+        return { donation, request, match, assignmentId: assigned.body.assignment.id };
+    }
+
+    it('shows a submission only with its own token', async () => {
+        const body = submission('Food Request');
+        const { reference, trackingToken: token } = (await client.submit(body)).body;
+        const found = await client.post('/api/track', { reference, token });
+        assert.strictEqual(found.status, 200);
+        assert.strictEqual(found.body.submission.reference, reference);
+        assert.strictEqual(JSON.stringify(found.body).includes(body['requester-phone']), false);
+
+        assert.strictEqual((await client.post('/api/track', { reference, token: 'x'.repeat(token.length) })).status, 404);
+        assert.strictEqual((await client.post('/api/track', { reference: 'R-AAAA-AAAA', token })).status, 404);
+    });
+
+    it('cancels the match when the donor cancels', async () => {
+        const { donation, request, match, assignmentId } = await matchedDonation();
+        const response = await client.postWithCsrf('/api/track/cancel', { reference: donation.reference, token: donation.token, reason: 'Plans changed' });
+        assert.strictEqual(response.status, 200);
+
+        const { store } = app.server.context;
+        assert.strictEqual((await store.find('donations', donation.id)).status, 'cancelled');
+        assert.strictEqual((await store.find('matches', match.id)).status, 'cancelled');
+        assert.strictEqual((await store.find('assignments', assignmentId)).status, 'cancelled');
+        assert.strictEqual((await store.find('requests', request.id)).matchId, null);
+    });
+
+    it('keeps the match but frees the volunteer when the pickup moves', async () => {
+        const { donation, request, match, assignmentId } = await matchedDonation();
+        const response = await client.postWithCsrf('/api/track/reschedule', {
+            reference: donation.reference,
+            token: donation.token,
+            date: dateFromToday(2),
+            time: '15:00'
+        });
+        assert.strictEqual(response.status, 200, JSON.stringify(response.body));
+
+        const { store } = app.server.context;
+        const updated = await store.find('matches', match.id);
+        assert.strictEqual(updated.status, 'accepted');
+        assert.strictEqual(updated.assignmentId, null);
+        assert.strictEqual((await store.find('assignments', assignmentId)).status, 'rescheduled');
+        assert.strictEqual((await store.find('requests', request.id)).matchId, match.id);
+
+        const audit = await store.all('audit-log');
+        assert.ok(audit.some(entry => entry.recordId === request.id && entry.action === 'unassign'));
+    });
+
+    it('refuses a reschedule into the past', async () => {
+        const { reference, token } = await submit('Donation');
+        const response = await client.postWithCsrf('/api/track/reschedule', { reference, token, date: dateFromToday(-1), time: '10:00' });
+        assert.strictEqual(response.status, 422);
+        assert.ok(response.body.details['pickup-date']);
+    });
+});